@@ -0,0 +1,32 @@
+// Robot drivers selectable at startup (ROBOT_DRIVER) or through /api/driver
+const Ros1Driver = require("./ros1Driver");
+const RosbridgeDriver = require("./rosbridgeDriver");
+const SimulationDriver = require("./simulationDriver");
+
+const DRIVERS = {
+  ros1: Ros1Driver,
+  rosbridge: RosbridgeDriver,
+  simulation: SimulationDriver,
+};
+
+// ROBOT_DRIVER wins; otherwise ROS_TRANSPORT picks the ROS driver
+function defaultDriverName() {
+  if (process.env.ROBOT_DRIVER) {
+    return process.env.ROBOT_DRIVER;
+  }
+  return process.env.ROS_TRANSPORT === "rosbridge" ? "rosbridge" : "ros1";
+}
+
+function createDriver(name) {
+  const Driver = DRIVERS[name];
+  if (!Driver) {
+    throw new Error(
+      `Unknown robot driver: ${name}. Available: ${Object.keys(DRIVERS).join(
+        ", "
+      )}`
+    );
+  }
+  return new Driver();
+}
+
+module.exports = { DRIVERS, defaultDriverName, createDriver };
@@ -0,0 +1,123 @@
+// Robot Driver - base class for the transports behind TurtleBotController
+//
+// A driver connects to a robot (or simulates one), publishes velocity
+// commands and emits sensor data:
+//   "battery" | "odom" | "laser" (data, { broadcast })  normalized sensor data
+//   "bumper" | "cliff" | "wheel_drop" (event)           hazard sensor events
+//   "disconnected" (reason)                              connection lost
+// The controller owns motion logic; drivers only move data in and out.
+const EventEmitter = require("events");
+
+class RobotDriver extends EventEmitter {
+  constructor(name) {
+    super();
+    this.name = name;
+    this.isRos = false; // Whether the driver talks to a real ROS graph
+    this.connected = false;
+    this.connectedAt = null;
+    this.lastError = null;
+  }
+
+  // Resolve once the driver can publish; reject if it cannot connect
+  async connect() {
+    throw new Error(`${this.name} driver does not implement connect()`);
+  }
+
+  // Publish a velocity command; returns whether it was sent
+  publishTwist() {
+    throw new Error(`${this.name} driver does not implement publishTwist()`);
+  }
+
+  publishStop() {
+    return this.publishTwist({
+      linear: { x: 0, y: 0, z: 0 },
+      angular: { x: 0, y: 0, z: 0 },
+    });
+  }
+
+  async disconnect() {
+    this.connected = false;
+    this.removeAllListeners();
+  }
+
+  markConnected() {
+    this.connected = true;
+    this.connectedAt = Date.now();
+    this.lastError = null;
+  }
+
+  // Connection was lost after a successful connect()
+  markDisconnected(reason) {
+    this.connected = false;
+    this.lastError = reason;
+    this.emit("disconnected", reason);
+  }
+
+  // Topic/type (or simulated source) feeding each sensor
+  getSensorSources() {
+    return {
+      battery: { topic: null, type: null, status: "unavailable" },
+      odom: { topic: null, type: null, status: "unavailable" },
+      laser: { topic: null, type: null, status: "unavailable" },
+      bumper: { topic: null, type: null, status: "unavailable" },
+      cliff: { topic: null, type: null, status: "unavailable" },
+      wheel_drop: { topic: null, type: null, status: "unavailable" },
+    };
+  }
+
+  // Topics, nodes and services of the robot's ROS graph
+  async getRosGraph() {
+    throw new Error(`The ${this.name} driver has no ROS graph`);
+  }
+
+  // Topic proxy: extra topics beyond cmd_vel and the sensors.
+  // subscribeTopic returns a handle with shutdown()
+  advertiseTopic() {
+    throw new Error(`${this.name} driver does not implement advertiseTopic()`);
+  }
+
+  publishMessage() {
+    throw new Error(`${this.name} driver does not implement publishMessage()`);
+  }
+
+  subscribeTopic() {
+    throw new Error(`${this.name} driver does not implement subscribeTopic()`);
+  }
+
+  // ROS services and parameter server
+  async callService() {
+    throw new Error(`The ${this.name} driver cannot call services`);
+  }
+
+  async hasParam() {
+    throw new Error(`The ${this.name} driver has no parameter server`);
+  }
+
+  async getParam() {
+    throw new Error(`The ${this.name} driver has no parameter server`);
+  }
+
+  async setParam() {
+    throw new Error(`The ${this.name} driver has no parameter server`);
+  }
+
+  async getParamNames() {
+    throw new Error(`The ${this.name} driver has no parameter server`);
+  }
+
+  // Injected faults (simulation only)
+  getActiveFaults() {
+    return [];
+  }
+
+  getHealth() {
+    return {
+      driver: this.name,
+      connected: this.connected,
+      connected_at: this.connectedAt,
+      last_error: this.lastError,
+    };
+  }
+}
+
+module.exports = RobotDriver;
@@ -0,0 +1,251 @@
+// ROS1 Driver - rosnodejs node on the ROS host
+const RosDriver = require("./rosDriver");
+
+class Ros1Driver extends RosDriver {
+  constructor() {
+    super("ros1");
+    this.rosNode = null;
+  }
+
+  async connect() {
+    try {
+      // Force set environment variables for rosnodejs
+      process.env.ROS_MASTER_URI =
+        process.env.ROS_MASTER_URI || "http://localhost:11311";
+      process.env.ROS_HOSTNAME = process.env.ROS_HOSTNAME || "localhost";
+
+      // Enhanced ROS environment debugging
+      console.log("=== ROS Environment Debug ===");
+      console.log("- ROS_MASTER_URI:", process.env.ROS_MASTER_URI || "not set");
+      console.log("- ROS_HOSTNAME:", process.env.ROS_HOSTNAME || "not set");
+      console.log("- ROS_IP:", process.env.ROS_IP || "not set");
+      console.log(
+        "- CMAKE_PREFIX_PATH:",
+        process.env.CMAKE_PREFIX_PATH ? "set" : "not set"
+      );
+      console.log(
+        "- ROS_PACKAGE_PATH:",
+        process.env.ROS_PACKAGE_PATH ? "set" : "not set"
+      );
+
+      // Get system network info
+      const os = require("os");
+      const networkInterfaces = os.networkInterfaces();
+      console.log("- Available network interfaces:");
+      Object.keys(networkInterfaces).forEach((name) => {
+        networkInterfaces[name].forEach((net) => {
+          if (!net.internal && net.family === "IPv4") {
+            console.log(`  ${name}: ${net.address}`);
+          }
+        });
+      });
+
+      // Pre-test ROS master connectivity using shell command
+      console.log("🔍 Testing ROS master connectivity via shell command...");
+      const { exec } = require("child_process");
+      const testCommand = new Promise((resolve, reject) => {
+        const env = {
+          ...process.env,
+          ROS_MASTER_URI: process.env.ROS_MASTER_URI,
+          ROS_HOSTNAME: process.env.ROS_HOSTNAME,
+          ROS_IP: process.env.ROS_IP,
+        };
+
+        exec("timeout 10s rosnode list", { env }, (error, stdout, stderr) => {
+          if (error) {
+            reject(
+              new Error(
+                `ROS master connectivity test failed: ${error.message}\nStderr: ${stderr}`
+              )
+            );
+          } else {
+            console.log("✅ ROS master connectivity test passed");
+            console.log("Available ROS nodes:", stdout.trim().split("\n"));
+            resolve(stdout);
+          }
+        });
+      });
+
+      try {
+        await testCommand;
+      } catch (testError) {
+        console.error(
+          "❌ ROS master connectivity test failed:",
+          testError.message
+        );
+        throw new Error(
+          "ROS master is not accessible from Node.js environment"
+        );
+      }
+
+      // Test rostopic list as well
+      console.log("🔍 Testing rostopic connectivity...");
+      const testTopics = new Promise((resolve, reject) => {
+        const env = {
+          ...process.env,
+          ROS_MASTER_URI: process.env.ROS_MASTER_URI,
+          ROS_HOSTNAME: process.env.ROS_HOSTNAME,
+          ROS_IP: process.env.ROS_IP,
+        };
+
+        exec("timeout 10s rostopic list", { env }, (error, stdout, stderr) => {
+          if (error) {
+            reject(
+              new Error(
+                `rostopic test failed: ${error.message}\nStderr: ${stderr}`
+              )
+            );
+          } else {
+            console.log("✅ rostopic connectivity test passed");
+            console.log(
+              "Available topics:",
+              stdout.trim().split("\n").slice(0, 5).join(", "),
+              "..."
+            );
+            resolve(stdout);
+          }
+        });
+      });
+
+      try {
+        await testTopics;
+      } catch (topicError) {
+        console.error(
+          "❌ rostopic connectivity test failed:",
+          topicError.message
+        );
+        throw new Error("rostopic is not accessible from Node.js environment");
+      }
+
+      // Load rosnodejs
+      let rosnodejs;
+      try {
+        rosnodejs = require("rosnodejs");
+        console.log("✅ rosnodejs loaded via require");
+      } catch (requireError) {
+        console.warn(
+          "rosnodejs not found via require, trying dynamic import..."
+        );
+        try {
+          rosnodejs = await import("rosnodejs");
+          if (rosnodejs.default) {
+            rosnodejs = rosnodejs.default;
+          }
+          console.log("✅ rosnodejs loaded via dynamic import");
+        } catch (importError) {
+          console.error("❌ Failed to load rosnodejs:", importError.message);
+          throw new Error("rosnodejs module not available");
+        }
+      }
+
+      // Check if ROS environment is available
+      if (
+        !process.env.ROS_MASTER_URI &&
+        !process.env.CMAKE_PREFIX_PATH &&
+        !process.env.ROS_PACKAGE_PATH
+      ) {
+        throw new Error("ROS environment not detected");
+      }
+
+      console.log("ROS environment detected and verified:");
+      console.log("- ROS_MASTER_URI:", process.env.ROS_MASTER_URI || "not set");
+
+      // Validate rosnodejs functionality
+      if (typeof rosnodejs.initNode !== "function") {
+        throw new Error(
+          "rosnodejs.initNode is not a function. Check rosnodejs installation."
+        );
+      }
+
+      // Try alternative initialization methods
+      console.log("Initializing ROS node with verified connectivity...");
+
+      // Method 1: Try with explicit rosMasterUri parameter
+      try {
+        console.log(
+          "Attempting rosnodejs initialization method 1: explicit rosMasterUri..."
+        );
+        this.rosNode = await rosnodejs.initNode("/turtlebot_web_controller", {
+          rosMasterUri: process.env.ROS_MASTER_URI,
+          onTheFly: true,
+          anonymous: false,
+          timeout: 15000,
+        });
+        console.log("✅ Method 1 successful!");
+      } catch (method1Error) {
+        console.warn("❌ Method 1 failed:", method1Error.message);
+
+        // Method 2: Try with no options
+        try {
+          console.log(
+            "Attempting rosnodejs initialization method 2: minimal options..."
+          );
+          this.rosNode = await rosnodejs.initNode("/turtlebot_web_controller");
+          console.log("✅ Method 2 successful!");
+        } catch (method2Error) {
+          console.warn("❌ Method 2 failed:", method2Error.message);
+
+          // Method 3: Try with different timeout and anonymous
+          try {
+            console.log(
+              "Attempting rosnodejs initialization method 3: anonymous node..."
+            );
+            this.rosNode = await rosnodejs.initNode(
+              "/turtlebot_web_controller",
+              {
+                anonymous: true,
+                timeout: 20000,
+              }
+            );
+            console.log("✅ Method 3 successful!");
+          } catch (method3Error) {
+            console.error("❌ All initialization methods failed");
+            throw method3Error;
+          }
+        }
+      }
+
+      console.log("✅ ROS node initialized successfully");
+
+      // Wait for node registration (shorter wait since connectivity is verified)
+      console.log("Waiting for node registration...");
+      await new Promise((resolve) => setTimeout(resolve, 3000));
+
+      // Get node handle
+      const nh = rosnodejs.nh;
+      console.log("✅ Node handle obtained");
+
+      await this.setupInterfaces(nh);
+    } catch (error) {
+      console.error("❌ ROS initialization failed:", error);
+      console.log("Error details:", {
+        message: error.message,
+        code: error.code,
+        errno: error.errno,
+        stack: error.stack?.split("\n").slice(0, 5).join("\n"),
+        rosnodejsAvailable:
+          typeof require !== "undefined"
+            ? (() => {
+                try {
+                  require("rosnodejs");
+                  return true;
+                } catch (e) {
+                  return false;
+                }
+              })()
+            : false,
+      });
+
+      throw error;
+    }
+  }
+
+  getHealth() {
+    return {
+      ...super.getHealth(),
+      ros_master_uri: process.env.ROS_MASTER_URI || null,
+    };
+  }
+}
+
+module.exports = Ros1Driver;
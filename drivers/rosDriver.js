@@ -0,0 +1,483 @@
+// ROS Driver - shared base for transports exposing a rosnodejs-style node
+// handle (advertise/subscribe/getPublishedTopics): rosnodejs and rosbridge
+const RobotDriver = require("./robotDriver");
+const {
+  SENSOR_PROBE_INTERVAL_MS,
+  SENSOR_TOPICS,
+  resolveSensorTopic,
+} = require("../services/sensorTopics");
+const { buildRosGraph } = require("../services/rosGraph");
+const {
+  HAZARD_SENSORS,
+  hazardEvent,
+} = require("../services/hazardSafetyService");
+
+// Topic/type feeding each sensor, filled in as sensors are subscribed
+function emptySensorSources() {
+  const sources = {};
+  Object.keys(SENSOR_TOPICS).forEach((sensor) => {
+    sources[sensor] = null;
+  });
+  return sources;
+}
+
+class RosDriver extends RobotDriver {
+  constructor(name) {
+    super(name);
+    this.isRos = true;
+    this.cmdVelPublisher = null;
+    this.cmdVelTopic = null;
+    this.sensorSubscribers = {}; // sensor -> subscriber
+    this.sensorSources = emptySensorSources();
+    this.sensorProbeTimer = null;
+    this.nh = null;
+    // Topic proxy handles
+    this.proxyPublishers = new Map(); // topic -> { type, publisher }
+    this.proxySubscribers = new Set();
+    this.serviceClients = new Map(); // service -> { type, client }
+  }
+
+  // Advertise cmd_vel and subscribe sensors on a connected node handle
+  async setupInterfaces(nh) {
+    // Try different cmd_vel topics for TurtleBot1
+    const cmdVelTopics = [
+      "/cmd_vel_mux/input/navi",
+      "/cmd_vel_mux/input/teleop",
+      "/mobile_base/commands/velocity",
+      "/cmd_vel",
+    ];
+
+    let publisherCreated = false;
+    for (const topic of cmdVelTopics) {
+      try {
+        this.cmdVelPublisher = nh.advertise(topic, "geometry_msgs/Twist", {
+          queueSize: 1,
+          latching: false,
+        });
+        this.cmdVelTopic = topic;
+        console.log(`✅ Command velocity publisher created on topic: ${topic}`);
+        publisherCreated = true;
+        break;
+      } catch (error) {
+        console.warn(
+          `❌ Failed to create publisher on ${topic}:`,
+          error.message
+        );
+      }
+    }
+
+    if (!publisherCreated) {
+      throw new Error(
+        "Failed to create command velocity publisher on any topic"
+      );
+    }
+
+    // Sensor streams are optional: a missing topic leaves that sensor empty
+    await this.subscribeSensors(nh);
+
+    this.nh = nh;
+    this.markConnected();
+  }
+
+  // Subscribe each sensor to its configured topic or the first candidate
+  // topic that is published; missing sensors are probed again periodically
+  async subscribeSensors(nh) {
+    let publishedTopics = [];
+    try {
+      ({ topics: publishedTopics } = await nh.getPublishedTopics());
+    } catch (error) {
+      console.warn("Failed to list published topics:", error.message);
+    }
+
+    const callbacks = {
+      battery: (type) => (msg) => this.batteryCallback(msg, type),
+      odom: () => (msg) => this.odomCallback(msg),
+      laser: () => (msg) => this.laserCallback(msg),
+      bumper: () => (msg) => this.hazardCallback("bumper", msg.bumper, msg),
+      cliff: () => (msg) => this.hazardCallback("cliff", msg.sensor, msg),
+      wheel_drop: () => (msg) =>
+        this.hazardCallback("wheel_drop", msg.wheel, msg),
+    };
+
+    Object.keys(SENSOR_TOPICS).forEach((sensor) => {
+      if (this.sensorSources[sensor]?.status === "subscribed") {
+        return;
+      }
+
+      const selected = resolveSensorTopic(sensor, publishedTopics);
+      if (!selected) {
+        this.sensorSources[sensor] = {
+          topic: null,
+          type: null,
+          status: "not_found",
+          candidates: SENSOR_TOPICS[sensor].candidates,
+        };
+        console.warn(
+          `❌ No ${sensor} topic found (tried ${SENSOR_TOPICS[
+            sensor
+          ].candidates.join(", ")})`
+        );
+        return;
+      }
+      if (selected.error) {
+        this.sensorSources[sensor] = { ...selected, status: "error" };
+        console.error(`❌ ${selected.error}`);
+        return;
+      }
+
+      try {
+        this.sensorSubscribers[sensor] = nh.subscribe(
+          selected.topic,
+          selected.type,
+          callbacks[sensor](selected.type),
+          { queueSize: 1 }
+        );
+        this.sensorSources[sensor] = { ...selected, status: "subscribed" };
+        console.log(
+          `✅ Subscribed ${sensor} to ${selected.topic} (${selected.type})`
+        );
+      } catch (error) {
+        this.sensorSources[sensor] = {
+          ...selected,
+          status: "error",
+          error: error.message,
+        };
+        console.error(
+          `❌ Failed to subscribe ${sensor} to ${selected.topic}:`,
+          error.message
+        );
+      }
+    });
+
+    const missing = Object.values(this.sensorSources).some(
+      (source) => source.status === "not_found"
+    );
+    if (missing && !this.sensorProbeTimer) {
+      this.sensorProbeTimer = setInterval(
+        () => this.subscribeSensors(nh),
+        SENSOR_PROBE_INTERVAL_MS
+      );
+    } else if (!missing && this.sensorProbeTimer) {
+      clearInterval(this.sensorProbeTimer);
+      this.sensorProbeTimer = null;
+    }
+  }
+
+  publishTwist(twist) {
+    if (!this.cmdVelPublisher) {
+      return false;
+    }
+    this.cmdVelPublisher.publish(twist);
+    return true;
+  }
+
+  // Send stop command multiple times to ensure it's received
+  publishStop() {
+    const stopTwist = {
+      linear: { x: 0, y: 0, z: 0 },
+      angular: { x: 0, y: 0, z: 0 },
+    };
+
+    for (let i = 0; i < 5; i++) {
+      setTimeout(() => {
+        try {
+          this.publishTwist(stopTwist);
+          console.log("Stop command published");
+        } catch (error) {
+          console.error("Failed to publish stop command:", error);
+        }
+      }, i * 10); // 10ms intervals
+    }
+  }
+
+  batteryCallback(msg, msgType) {
+    let batteryData = {};
+
+    switch (msgType) {
+      case "smart_battery_msgs/SmartBatteryStatus":
+        batteryData = {
+          percentage: msg.percentage,
+          voltage: msg.voltage,
+          current: msg.current,
+          charge: msg.charge,
+          capacity: msg.capacity,
+          design_capacity: msg.design_capacity,
+          present: msg.present,
+          timestamp: Date.now(),
+        };
+        break;
+
+      case "sensor_msgs/BatteryState":
+        batteryData = {
+          percentage: msg.percentage,
+          voltage: msg.voltage,
+          current: msg.current,
+          charge: msg.charge,
+          capacity: msg.capacity,
+          design_capacity: msg.design_capacity,
+          present: msg.present,
+          timestamp: Date.now(),
+        };
+        break;
+
+      case "diagnostic_msgs/DiagnosticArray":
+        // Extract battery info from diagnostics
+        const batteryStatus = msg.status.find(
+          (s) => s.name.includes("battery") || s.name.includes("power")
+        );
+        if (batteryStatus) {
+          const voltage = batteryStatus.values.find((v) => v.key === "Voltage");
+          const percentage = batteryStatus.values.find(
+            (v) => v.key === "Charge"
+          );
+
+          batteryData = {
+            percentage: percentage ? parseFloat(percentage.value) / 100 : null,
+            voltage: voltage ? parseFloat(voltage.value) : null,
+            current: null,
+            charge: null,
+            capacity: null,
+            design_capacity: null,
+            present: batteryStatus.level !== 3, // ERROR level
+            timestamp: Date.now(),
+          };
+        }
+        break;
+
+      default:
+        console.warn("Unknown battery message type:", msgType);
+        return;
+    }
+
+    this.emit("battery", batteryData);
+  }
+
+  odomCallback(msg) {
+    this.emit("odom", {
+      position: {
+        x: msg.pose.pose.position.x,
+        y: msg.pose.pose.position.y,
+        z: msg.pose.pose.position.z,
+      },
+      orientation: {
+        x: msg.pose.pose.orientation.x,
+        y: msg.pose.pose.orientation.y,
+        z: msg.pose.pose.orientation.z,
+        w: msg.pose.pose.orientation.w,
+      },
+      linear_velocity: {
+        x: msg.twist.twist.linear.x,
+        y: msg.twist.twist.linear.y,
+        z: msg.twist.twist.linear.z,
+      },
+      angular_velocity: {
+        x: msg.twist.twist.angular.x,
+        y: msg.twist.twist.angular.y,
+        z: msg.twist.twist.angular.z,
+      },
+      timestamp: Date.now(),
+    });
+  }
+
+  laserCallback(msg) {
+    const laserData = {
+      ranges: msg.ranges,
+      angle_min: msg.angle_min,
+      angle_max: msg.angle_max,
+      angle_increment: msg.angle_increment,
+      time_increment: msg.time_increment,
+      scan_time: msg.scan_time,
+      range_min: msg.range_min,
+      range_max: msg.range_max,
+      timestamp: Date.now(),
+    };
+
+    // Only about half of the scans are broadcast to clients
+    this.emit("laser", laserData, { broadcast: Date.now() % 100 < 50 });
+  }
+
+  // kobuki_msgs events: the index picks the side, state 1 is active
+  hazardCallback(sensor, index, msg) {
+    const side = HAZARD_SENSORS[sensor][index];
+    if (!side) {
+      console.warn(`Unknown ${sensor} index:`, index);
+      return;
+    }
+    const extra = sensor === "cliff" ? { bottom: msg.bottom } : {};
+    this.emit(sensor, hazardEvent(sensor, side, msg.state === 1, extra));
+  }
+
+  // Heartbeat: a master round trip through the node handle
+  async ping() {
+    if (!this.nh) {
+      throw new Error("No ROS node handle");
+    }
+    await this.nh.getPublishedTopics();
+  }
+
+  async getRosGraph() {
+    if (!this.nh) {
+      throw new Error(`${this.name} driver not connected`);
+    }
+    const [{ topics }, systemState] = await Promise.all([
+      this.nh.getPublishedTopics(),
+      this.nh.getSystemState(),
+    ]);
+    return buildRosGraph(topics, systemState);
+  }
+
+  // Publisher for a proxied topic, advertised once per topic and type
+  advertiseTopic(topic, type) {
+    if (!this.nh) {
+      throw new Error(`${this.name} driver not connected`);
+    }
+    const existing = this.proxyPublishers.get(topic);
+    if (existing && existing.type === type) {
+      return existing.publisher;
+    }
+    if (existing) {
+      this.shutdownHandle(existing.publisher);
+    }
+    const publisher = this.nh.advertise(topic, type, {
+      queueSize: 1,
+      latching: false,
+    });
+    this.proxyPublishers.set(topic, { type, publisher });
+    return publisher;
+  }
+
+  publishMessage(topic, type, msg) {
+    this.advertiseTopic(topic, type).publish(msg);
+  }
+
+  subscribeTopic(topic, type, callback) {
+    if (!this.nh) {
+      throw new Error(`${this.name} driver not connected`);
+    }
+    const subscriber = this.nh.subscribe(topic, type, callback, {
+      queueSize: 1,
+    });
+    this.proxySubscribers.add(subscriber);
+    return {
+      shutdown: () => {
+        if (this.proxySubscribers.delete(subscriber)) {
+          this.shutdownHandle(subscriber);
+        }
+      },
+    };
+  }
+
+  // Service clients are kept per service, like proxied publishers
+  async callService(service, type, request) {
+    const nh = this.connectedNodeHandle();
+    let entry = this.serviceClients.get(service);
+    if (!entry || entry.type !== type) {
+      if (entry) {
+        this.shutdownHandle(entry.client);
+      }
+      entry = { type, client: nh.serviceClient(service, type) };
+      this.serviceClients.set(service, entry);
+    }
+    return entry.client.call(request);
+  }
+
+  async hasParam(name) {
+    return this.connectedNodeHandle().hasParam(name);
+  }
+
+  async getParam(name) {
+    return this.connectedNodeHandle().getParam(name);
+  }
+
+  async setParam(name, value) {
+    return this.connectedNodeHandle().setParam(name, value);
+  }
+
+  // rosapi lists names directly; the master returns the tree under "/"
+  async getParamNames() {
+    const nh = this.connectedNodeHandle();
+    if (nh.getParamNames) {
+      return nh.getParamNames();
+    }
+    const names = [];
+    const walk = (prefix, value) => {
+      if (value && typeof value === "object" && !Array.isArray(value)) {
+        Object.keys(value).forEach((key) =>
+          walk(`${prefix}/${key}`, value[key])
+        );
+      } else {
+        names.push(prefix);
+      }
+    };
+    walk("", await nh.getParam("/"));
+    return names;
+  }
+
+  connectedNodeHandle() {
+    if (!this.nh) {
+      throw new Error(`${this.name} driver not connected`);
+    }
+    return this.nh;
+  }
+
+  // Connect again on the same driver, re-advertising cmd_vel and
+  // re-subscribing the sensors; event listeners are kept
+  async reconnect() {
+    this.shutdownInterfaces();
+    await this.connect();
+  }
+
+  // Release publishers, subscribers and the sensor probe
+  shutdownInterfaces() {
+    if (this.sensorProbeTimer) {
+      clearInterval(this.sensorProbeTimer);
+      this.sensorProbeTimer = null;
+    }
+
+    [
+      this.cmdVelPublisher,
+      ...Object.values(this.sensorSubscribers),
+      ...[...this.proxyPublishers.values()].map((entry) => entry.publisher),
+      ...this.proxySubscribers,
+      ...[...this.serviceClients.values()].map((entry) => entry.client),
+    ].forEach((handle) => this.shutdownHandle(handle));
+    this.proxyPublishers.clear();
+    this.proxySubscribers.clear();
+    this.serviceClients.clear();
+
+    this.cmdVelPublisher = null;
+    this.cmdVelTopic = null;
+    this.sensorSubscribers = {};
+    this.sensorSources = emptySensorSources();
+    this.nh = null;
+  }
+
+  shutdownHandle(handle) {
+    try {
+      if (handle && handle.shutdown) {
+        // rosnodejs handles unregister asynchronously and reject when
+        // the master is gone
+        Promise.resolve(handle.shutdown()).catch((error) =>
+          console.warn("Failed to shut down ROS handle:", error.message)
+        );
+      }
+    } catch (error) {
+      console.warn("Failed to shut down ROS handle:", error.message);
+    }
+  }
+
+  async disconnect() {
+    this.shutdownInterfaces();
+    await super.disconnect();
+  }
+
+  getSensorSources() {
+    const sources = {};
+    Object.keys(this.sensorSources).forEach((sensor) => {
+      sources[sensor] = this.sensorSources[sensor] || { status: "pending" };
+    });
+    return sources;
+  }
+}
+
+module.exports = RosDriver;
@@ -0,0 +1,42 @@
+// Rosbridge Driver - ROS over WebSocket, so the backend can run off the ROS host
+const RosDriver = require("./rosDriver");
+const RosbridgeClient = require("../services/rosbridgeClient");
+
+class RosbridgeDriver extends RosDriver {
+  constructor(url) {
+    super("rosbridge");
+    this.client = new RosbridgeClient(url);
+    this.client.on("close", () =>
+      this.markDisconnected("rosbridge connection closed")
+    );
+  }
+
+  async connect() {
+    console.log(`🔍 Connecting to rosbridge at ${this.client.url}...`);
+    try {
+      await this.client.connect();
+      await this.setupInterfaces(this.client);
+    } catch (error) {
+      this.client.close();
+      throw error;
+    }
+  }
+
+  // Open a fresh WebSocket even if the old one is still up but unresponsive
+  async reconnect() {
+    this.shutdownInterfaces();
+    this.client.close();
+    await this.connect();
+  }
+
+  async disconnect() {
+    await super.disconnect();
+    this.client.close();
+  }
+
+  getHealth() {
+    return { ...super.getHealth(), rosbridge_url: this.client.url };
+  }
+}
+
+module.exports = RosbridgeDriver;
@@ -0,0 +1,420 @@
+// Simulation Driver - kinematic robot for running without ROS
+const RobotDriver = require("./robotDriver");
+const DifferentialDriveSimulator = require("../services/differentialDriveSimulator");
+const SimulatedBattery = require("../services/simulatedBattery");
+const { SimulationFaults } = require("../services/simulationFaults");
+const { loadWorld, isDocked, isCliff } = require("../services/simWorld");
+const { buildRosGraph } = require("../services/rosGraph");
+const {
+  HAZARD_SENSORS,
+  hazardEvent,
+} = require("../services/hazardSafetyService");
+
+// A collision holds the bumper on that side pressed this long
+const BUMPER_CONTACT_MS = 300;
+// Bumper sides and cliff sensors face these directions from the heading (rad)
+const SIDE_ANGLES = { left: 0.7, center: 0, right: -0.7 };
+
+// ROS graph of a simulated TurtleBot, so diagnostics work without ROS
+const SIM_NODE = "/turtlebot_simulator";
+const CONTROLLER_NODE = "/turtlebot_web_controller";
+const SIM_TOPICS = [
+  { name: "/odom", type: "nav_msgs/Odometry", publisher: SIM_NODE },
+  { name: "/scan", type: "sensor_msgs/LaserScan", publisher: SIM_NODE },
+  {
+    name: "/battery_state",
+    type: "sensor_msgs/BatteryState",
+    publisher: SIM_NODE,
+  },
+  { name: "/cmd_vel", type: "geometry_msgs/Twist", publisher: CONTROLLER_NODE },
+  {
+    name: "/mobile_base/events/bumper",
+    type: "kobuki_msgs/BumperEvent",
+    publisher: SIM_NODE,
+  },
+  {
+    name: "/mobile_base/events/cliff",
+    type: "kobuki_msgs/CliffEvent",
+    publisher: SIM_NODE,
+  },
+  {
+    name: "/mobile_base/events/wheel_drop",
+    type: "kobuki_msgs/WheelDropEvent",
+    publisher: SIM_NODE,
+  },
+];
+
+// Parameter server of the simulated robot
+const SIM_PARAMS = {
+  "/velocity_smoother/speed_lim_v": 0.8,
+  "/velocity_smoother/speed_lim_w": 5.4,
+  "/velocity_smoother/accel_lim_v": 0.3,
+  "/velocity_smoother/accel_lim_w": 3.5,
+  "/velocity_smoother/frequency": 20.0,
+  "/velocity_smoother/decel_factor": 1.0,
+  "/mobile_base/use_imu_heading": true,
+  "/mobile_base/cmd_vel_timeout": 0.6,
+  "/rosdistro": "noetic",
+};
+
+// SIM_WORLD is a bundled world name or a world file path; "none" disables it
+function loadConfiguredWorld(name = process.env.SIM_WORLD || "empty_room") {
+  if (name === "none") {
+    return null;
+  }
+  try {
+    return loadWorld(name);
+  } catch (error) {
+    console.warn(`Failed to load simulation world "${name}":`, error.message);
+    return null;
+  }
+}
+
+class SimulationDriver extends RobotDriver {
+  constructor() {
+    super("simulation");
+    this.world = loadConfiguredWorld();
+    this.simulator = new DifferentialDriveSimulator({ world: this.world });
+    this.battery = new SimulatedBattery();
+    this.faults = new SimulationFaults();
+    this.faults.on("injected", (fault) => this.emit("fault_injected", fault));
+    this.faults.on("cleared", (fault) => this.emit("fault_cleared", fault));
+    this.timers = [];
+    this.commandTimers = new Set(); // Delayed commands (cmd_vel_latency)
+    this.lastScan = null;
+    this.hazards = {}; // sensor -> side -> active, as last emitted
+    this.bumperContacts = {}; // side -> time of the last collision
+    this.resetHazards();
+    this.topicSubscribers = new Map(); // topic -> Set of callbacks
+    this.leds = { led1: 0, led2: 0 }; // kobuki_msgs/Led colours
+    this.params = { ...SIM_PARAMS };
+    // Services the simulated robot answers
+    this.services = {
+      "/mobile_base/reset_odometry": () => {
+        this.simulator.resetOdometry();
+        this.emit("odom", this.simulator.getOdometry());
+        return {};
+      },
+      "/move_base/clear_costmaps": () => ({}),
+      // slam_toolbox result codes: 0 saved, 1 no map received
+      "/slam_toolbox/save_map": ({ name }) => {
+        if (!this.world) {
+          return { result: 1 };
+        }
+        console.log(`🗺️ Simulated map "${name.data}" saved`);
+        return { result: 0 };
+      },
+    };
+  }
+
+  async connect() {
+    this.simulator.reset(this.world ? this.world.start : undefined);
+    this.battery.reset();
+    this.resetHazards();
+
+    this.markConnected();
+    this.emit("battery", this.battery.getState(), { broadcast: false });
+    this.emit("odom", this.simulator.getOdometry(), { broadcast: false });
+    this.startSimulation();
+    console.log("TurtleBot controller initialized in simulation mode");
+  }
+
+  startSimulation() {
+    // Report the battery once a second; it is integrated with the drive model
+    this.timers.push(
+      setInterval(() => this.emit("battery", this.battery.getState()), 1000)
+    );
+
+    // Integrate the drive model and publish odometry at a fixed rate
+    let lastStep = Date.now();
+    this.timers.push(
+      setInterval(() => {
+        const now = Date.now();
+        // Cap dt so a stalled event loop does not teleport the robot
+        const dt = Math.min(0.5, (now - lastStep) / 1000);
+        lastStep = now;
+        const { pose, collided } = this.simulator.step(dt);
+        if (collided) {
+          this.bumperContacts[this.contactSide(pose)] = now;
+          this.emit("collision", {
+            pose: { ...pose },
+            world: this.world.name,
+            timestamp: now,
+          });
+        }
+        if (!this.faults.isActive("odom_dropout")) {
+          this.emit("odom", this.simulator.getOdometry());
+        }
+        this.updateHazards(pose, now);
+
+        // Motor load drains the battery; the dock charges it
+        const wheels = this.simulator.wheelSpeeds();
+        const wasDocked = this.battery.docked;
+        this.battery.step(dt, {
+          wheelSpeed: Math.abs(wheels.left) + Math.abs(wheels.right),
+          docked: isDocked(this.world, pose.x, pose.y),
+        });
+        if (this.battery.docked !== wasDocked) {
+          console.log(
+            `🔌 Simulated robot ${this.battery.docked ? "docked" : "undocked"}`
+          );
+          this.emit("battery", this.battery.getState());
+        }
+      }, 1000 / this.simulator.config.odom_rate)
+    );
+
+    // Raycast the laser from the simulated pose into the world
+    this.timers.push(
+      setInterval(() => this.emit("laser", this.nextScan()), 200)
+    );
+  }
+
+  resetHazards() {
+    Object.keys(HAZARD_SENSORS).forEach((sensor) => {
+      this.hazards[sensor] = {};
+      HAZARD_SENSORS[sensor].forEach((side) => {
+        this.hazards[sensor][side] = false;
+      });
+    });
+    this.bumperContacts = {};
+  }
+
+  // Bumper side facing the nearest wall
+  contactSide(pose) {
+    let nearest = { side: "center", range: Infinity };
+    Object.keys(SIDE_ANGLES).forEach((side) => {
+      const range = this.world.raycast(
+        pose.x,
+        pose.y,
+        pose.yaw + SIDE_ANGLES[side],
+        1.0
+      );
+      if (range < nearest.range) {
+        nearest = { side, range };
+      }
+    });
+    return nearest.side;
+  }
+
+  // Emit bumper, cliff and wheel-drop events when a sensor changes: bumpers
+  // from collisions, cliff sensors from the world's cliff areas, and all
+  // three from injected faults
+  updateHazards(pose, now) {
+    const held = (type, key, side) =>
+      this.faults.getAll(type).some((fault) => fault.params[key] === side);
+    const radius = this.simulator.config.robot_radius;
+    const active = {
+      bumper: (side) =>
+        now - (this.bumperContacts[side] || 0) < BUMPER_CONTACT_MS ||
+        held("bumper_press", "bumper", side),
+      cliff: (side) => {
+        const angle = pose.yaw + SIDE_ANGLES[side];
+        return (
+          isCliff(
+            this.world,
+            pose.x + radius * Math.cos(angle),
+            pose.y + radius * Math.sin(angle)
+          ) || held("cliff", "sensor", side)
+        );
+      },
+      wheel_drop: (side) => held("wheel_drop", "wheel", side),
+    };
+
+    Object.keys(HAZARD_SENSORS).forEach((sensor) => {
+      HAZARD_SENSORS[sensor].forEach((side) => {
+        const value = active[sensor](side);
+        if (value === this.hazards[sensor][side]) {
+          return;
+        }
+        this.hazards[sensor][side] = value;
+        this.emit(sensor, hazardEvent(sensor, side, value));
+      });
+    });
+
+    // A lifted wheel cuts the motors, as on the Kobuki
+    if (this.wheelDropped()) {
+      this.simulator.setCommand({ linear: { x: 0 }, angular: { z: 0 } });
+    }
+  }
+
+  wheelDropped() {
+    return Object.values(this.hazards.wheel_drop).some(Boolean);
+  }
+
+  // Simulated scan with any laser faults applied
+  nextScan() {
+    if (this.faults.isActive("laser_freeze") && this.lastScan) {
+      return { ...this.lastScan, timestamp: Date.now() };
+    }
+
+    const scan = this.simulator.scan();
+    const corrupt = this.faults.get("laser_corrupt");
+    if (corrupt) {
+      const garbage = [NaN, 0, -1, Infinity, scan.range_max * 10];
+      scan.ranges = scan.ranges.map((range) =>
+        Math.random() < corrupt.params.ratio
+          ? garbage[Math.floor(Math.random() * garbage.length)]
+          : range
+      );
+    }
+    this.lastScan = scan;
+    return scan;
+  }
+
+  injectFault(type, options, injectedBy) {
+    const result = this.faults.inject(type, options, injectedBy);
+    if (result.fault && type === "battery_drain") {
+      this.battery.drain(result.fault.params.amount);
+      this.emit("battery", this.battery.getState());
+    }
+    return result;
+  }
+
+  clearFault(id) {
+    return this.faults.clear(id);
+  }
+
+  clearFaults() {
+    return this.faults.clearAll();
+  }
+
+  getActiveFaults() {
+    return this.faults.getActive();
+  }
+
+  // Proxied topics loop back to local subscribers; Kobuki commands act on
+  // the simulated base
+  advertiseTopic() {}
+
+  publishMessage(topic, type, msg) {
+    if (topic === "/mobile_base/commands/reset_odometry") {
+      this.simulator.resetOdometry();
+      this.emit("odom", this.simulator.getOdometry());
+    } else if (topic === "/mobile_base/commands/sound") {
+      console.log(`🔊 Simulated sound ${msg.value}`);
+    } else if (/^\/mobile_base\/commands\/led[12]$/.test(topic)) {
+      this.leds[topic.slice(topic.lastIndexOf("/") + 1)] = msg.value;
+    }
+    this.emitTopic(topic, msg);
+  }
+
+  subscribeTopic(topic, type, callback) {
+    if (!this.topicSubscribers.has(topic)) {
+      this.topicSubscribers.set(topic, new Set());
+    }
+    this.topicSubscribers.get(topic).add(callback);
+    return {
+      shutdown: () => this.topicSubscribers.get(topic)?.delete(callback),
+    };
+  }
+
+  // Deliver a message to the local subscribers of a topic
+  emitTopic(topic, msg) {
+    (this.topicSubscribers.get(topic) || []).forEach((callback) => {
+      try {
+        callback(msg);
+      } catch (error) {
+        console.error(`Error handling ${topic} message:`, error.message);
+      }
+    });
+  }
+
+  async callService(service, type, request) {
+    const handler = this.services[service];
+    if (!handler) {
+      throw new Error(`Service ${service} does not exist`);
+    }
+    return handler(request);
+  }
+
+  async hasParam(name) {
+    return name in this.params;
+  }
+
+  async getParam(name) {
+    return this.params[name];
+  }
+
+  async setParam(name, value) {
+    this.params[name] = value;
+  }
+
+  async getParamNames() {
+    return Object.keys(this.params);
+  }
+
+  // The drive model follows the last published velocity; a flat battery
+  // or a dropped wheel leaves the motors unpowered
+  publishTwist(twist) {
+    if (this.faults.isActive("publish_error")) {
+      throw new Error("Simulated cmd_vel publish failure");
+    }
+
+    const unpowered =
+      (this.battery.isEmpty() && !this.battery.docked) || this.wheelDropped();
+    const command = unpowered ? { linear: { x: 0 }, angular: { z: 0 } } : twist;
+    const latency = this.faults.get("cmd_vel_latency");
+    if (latency) {
+      const snapshot = {
+        linear: { x: command.linear.x },
+        angular: { z: command.angular.z },
+      };
+      const timer = setTimeout(() => {
+        this.commandTimers.delete(timer);
+        this.simulator.setCommand(snapshot);
+      }, latency.params.delay_ms);
+      this.commandTimers.add(timer);
+    } else {
+      this.simulator.setCommand(command);
+    }
+    return true;
+  }
+
+  async disconnect() {
+    this.timers.forEach((timer) => clearInterval(timer));
+    this.timers = [];
+    this.commandTimers.forEach((timer) => clearTimeout(timer));
+    this.commandTimers.clear();
+    this.faults.clearAll("driver_disconnected");
+    this.topicSubscribers.clear();
+    await super.disconnect();
+  }
+
+  getHealth() {
+    return {
+      ...super.getHealth(),
+      simulator: this.simulator.config,
+      battery: this.battery.config,
+      world: this.world ? this.world.describe() : null,
+      leds: { ...this.leds },
+    };
+  }
+
+  async getRosGraph() {
+    const publishers = {};
+    const subscribers = {};
+    SIM_TOPICS.forEach(({ name, publisher }) => {
+      publishers[name] = [publisher];
+      subscribers[name] = [publisher === SIM_NODE ? CONTROLLER_NODE : SIM_NODE];
+    });
+    const services = {};
+    Object.keys(this.services).forEach((service) => {
+      services[service] = [SIM_NODE];
+    });
+    return buildRosGraph(SIM_TOPICS, { publishers, subscribers, services });
+  }
+
+  getSensorSources() {
+    const simulated = { topic: null, type: null, status: "simulated" };
+    return {
+      battery: simulated,
+      odom: simulated,
+      laser: simulated,
+      bumper: simulated,
+      cliff: simulated,
+      wheel_drop: simulated,
+    };
+  }
+}
+
+module.exports = SimulationDriver;
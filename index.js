@@ -10,15 +10,51 @@ const otpRoutes = require("./routes/otpRoutes");
 const googleAuthRoutes = require("./routes/googleAuthRoutes");
 const webcamRoutes = require("./routes/webcamRoutes");
 const basicWebcamRoutes = require("./routes/basicWebcamRoutes");
+const createNavigationRoutes = require("./routes/navigationRoutes");
+const createMissionRoutes = require("./routes/missionRoutes");
+const createDriverRoutes = require("./routes/driverRoutes");
+const createSimRoutes = require("./routes/simRoutes");
+const createRosRoutes = require("./routes/rosRoutes");
+const createTopicProxyRoutes = require("./routes/topicProxyRoutes");
+const createControlRoutes = require("./routes/controlRoutes");
+const createReservationRoutes = require("./routes/reservationRoutes");
+const createQueueRoutes = require("./routes/queueRoutes");
 const { verifyToken } = require("./admin");
 const {
   authenticateAndVerifyEmail,
   authenticateAndVerifyAll,
+  requireCapability,
 } = require("./middleware/auth");
+const {
+  setupSocketAuth,
+  authorizeCapability,
+} = require("./middleware/socketAuth");
 const OTPService = require("./services/otpService");
 const GoogleAuthenticatorService = require("./services/googleAuthService");
 const SocketWebcamService = require("./services/socketWebcamService");
 const BrowserWebcamService = require("./services/browserWebcamService");
+const CommandWatchdogService = require("./services/commandWatchdogService");
+const MotionLimiterService = require("./services/motionLimiterService");
+const PatternEngineService = require("./services/patternEngineService");
+const NavigationService = require("./services/navigationService");
+const ObstacleSafetyService = require("./services/obstacleSafetyService");
+const HazardSafetyService = require("./services/hazardSafetyService");
+const RosConnectionSupervisor = require("./services/rosConnectionSupervisor");
+const TopicRateMonitor = require("./services/topicRateMonitor");
+const TopicProxyService = require("./services/topicProxyService");
+const RosServiceProxy = require("./services/rosServiceProxy");
+const ControlLeaseService = require("./services/controlLeaseService");
+const { DRIVERS, defaultDriverName, createDriver } = require("./drivers");
+const MissionService = require("./services/missionService");
+const ReservationService = require("./services/reservationService");
+const QueueService = require("./services/queueService");
+
+const { move, pause } = PatternEngineService;
+const {
+  isOdometryAvailable,
+  createDriveStep,
+  createTurnStep,
+} = require("./services/closedLoopMotion");
 
 const app = express();
 const otpService = new OTPService();
@@ -64,6 +100,10 @@ const io = socketIo(server, {
   },
 });
 
+// Authenticate sockets and authorize their events before any service
+// handles them
+setupSocketAuth(io);
+
 // Initialize Socket.IO Webcam Service
 const socketWebcamService = new SocketWebcamService(io);
 console.log("🎥 Socket.IO Webcam Service initialized");
@@ -80,12 +120,23 @@ app.use(
   })
 );
 
+// Credentials in URLs (any token, auth, key, secret or password query
+// parameter, calendar feed tokens) stay out of logs
+const CREDENTIAL_PARAM =
+  /([?&][^=&#]*(?:token|auth|key|secret|password)[^=&#]*=)[^&#]*/gi;
+
+function redactUrl(url) {
+  return url
+    .replace(CREDENTIAL_PARAM, "$1[redacted]")
+    .replace(/(\/feed\/)[^/?]+\.ics/, "$1[redacted].ics");
+}
+
 // Add request logging middleware
 app.use((req, res, next) => {
   console.log(
-    `${new Date().toISOString()} - ${req.method} ${req.url} - Origin: ${
-      req.headers.origin || "none"
-    }`
+    `${new Date().toISOString()} - ${req.method} ${redactUrl(
+      req.url
+    )} - Origin: ${req.headers.origin || "none"}`
   );
   next();
 });
@@ -118,479 +169,391 @@ const users = {
 // TurtleBot Controller Class (Modified for Windows compatibility)
 class TurtleBotController {
   constructor() {
-    this.rosNode = null;
-    this.cmdVelPublisher = null;
-    this.batterySubscriber = null;
-    this.odomSubscriber = null;
-    this.laserSubscriber = null;
-    this.isConnected = false;
+    // Transport to the robot (ROS1, rosbridge or simulation), see drivers/
+    this.driver = null;
+    this.switchingDriver = false;
+    // Heartbeat and reconnection for the ROS drivers
+    this.rosSupervisor = new RosConnectionSupervisor((name) =>
+      this.reconnectRosDriver(name)
+    );
+    this.rosSupervisor.on("state", (status) =>
+      io.emit("ros_connection_state", status)
+    );
     this.currentTwist = {
       linear: { x: 0, y: 0, z: 0 },
       angular: { x: 0, y: 0, z: 0 },
     };
+    // Requested velocity; currentTwist ramps toward it on every publish tick
+    this.targetTwist = {
+      linear: { x: 0, y: 0, z: 0 },
+      angular: { x: 0, y: 0, z: 0 },
+    };
+    // Last command before the obstacle safety limit, re-checked on each tick
+    this.requestedTwist = this.targetTwist;
     this.batteryData = null;
     this.odomData = null;
     this.laserData = null;
     this.isMoving = false;
-    this.rosMode = false; // Flag to indicate if ROS is available
+    // Measured rates of the sensor streams and cmd_vel
+    this.topicRates = new TopicRateMonitor();
 
     // Add continuous publishing support
     this.publishInterval = null;
     this.publishRate = 10; // 10Hz like the Python script
 
-    this.initializeROS();
-  }
+    // Velocity/acceleration limits for the configured robot profile
+    this.motionLimiter = new MotionLimiterService();
 
-  async initializeROS() {
-    try {
-      // Force set environment variables for rosnodejs
-      process.env.ROS_MASTER_URI =
-        process.env.ROS_MASTER_URI || "http://localhost:11311";
-      process.env.ROS_HOSTNAME = process.env.ROS_HOSTNAME || "localhost";
-
-      // Enhanced ROS environment debugging
-      console.log("=== ROS Environment Debug ===");
-      console.log("- ROS_MASTER_URI:", process.env.ROS_MASTER_URI || "not set");
-      console.log("- ROS_HOSTNAME:", process.env.ROS_HOSTNAME || "not set");
-      console.log("- ROS_IP:", process.env.ROS_IP || "not set");
-      console.log(
-        "- CMAKE_PREFIX_PATH:",
-        process.env.CMAKE_PREFIX_PATH ? "set" : "not set"
-      );
-      console.log(
-        "- ROS_PACKAGE_PATH:",
-        process.env.ROS_PACKAGE_PATH ? "set" : "not set"
-      );
+    // Laser safety layer: block or slow forward motion near obstacles
+    this.safety = new ObstacleSafetyService();
 
-      // Get system network info
-      const os = require("os");
-      const networkInterfaces = os.networkInterfaces();
-      console.log("- Available network interfaces:");
-      Object.keys(networkInterfaces).forEach((name) => {
-        networkInterfaces[name].forEach((net) => {
-          if (!net.internal && net.family === "IPv4") {
-            console.log(`  ${name}: ${net.address}`);
-          }
-        });
-      });
+    // Bumper/wheel-drop motion lock and cliff forward block
+    this.hazards = new HazardSafetyService();
 
-      // Pre-test ROS master connectivity using shell command
-      console.log("🔍 Testing ROS master connectivity via shell command...");
-      const { exec } = require("child_process");
-      const testCommand = new Promise((resolve, reject) => {
-        const env = {
-          ...process.env,
-          ROS_MASTER_URI: process.env.ROS_MASTER_URI,
-          ROS_HOSTNAME: process.env.ROS_HOSTNAME,
-          ROS_IP: process.env.ROS_IP,
-        };
+    // Deadman watchdog: stop the robot when velocity commands go stale
+    this.watchdog = new CommandWatchdogService();
+    this.watchdogRamp = null;
 
-        exec("timeout 10s rosnode list", { env }, (error, stdout, stderr) => {
-          if (error) {
-            reject(
-              new Error(
-                `ROS master connectivity test failed: ${error.message}\nStderr: ${stderr}`
-              )
-            );
-          } else {
-            console.log("✅ ROS master connectivity test passed");
-            console.log("Available ROS nodes:", stdout.trim().split("\n"));
-            resolve(stdout);
-          }
-        });
-      });
+    // Pattern runner: owns all pattern timers, one pattern at a time
+    this.patternEngine = new PatternEngineService(this, io);
+    this.lastMotionResult = null;
+    // Motion driven outside the pattern engine (mission runs) registers
+    // { cancel, isActive } here, so every stop path ends it too
+    this.cancelHooks = [];
 
-      try {
-        await testCommand;
-      } catch (testError) {
-        console.error(
-          "❌ ROS master connectivity test failed:",
-          testError.message
-        );
-        throw new Error(
-          "ROS master is not accessible from Node.js environment"
-        );
-      }
+    // Go-to-pose navigation on top of the pattern engine
+    this.navigation = new NavigationService(this, io);
 
-      // Test rostopic list as well
-      console.log("🔍 Testing rostopic connectivity...");
-      const testTopics = new Promise((resolve, reject) => {
-        const env = {
-          ...process.env,
-          ROS_MASTER_URI: process.env.ROS_MASTER_URI,
-          ROS_HOSTNAME: process.env.ROS_HOSTNAME,
-          ROS_IP: process.env.ROS_IP,
-        };
+    // Whitelisted publish/echo of extra topics (sound, LEDs, buttons)
+    this.topicProxy = new TopicProxyService(this, io);
 
-        exec("timeout 10s rostopic list", { env }, (error, stdout, stderr) => {
-          if (error) {
-            reject(
-              new Error(
-                `rostopic test failed: ${error.message}\nStderr: ${stderr}`
-              )
-            );
-          } else {
-            console.log("✅ rostopic connectivity test passed");
-            console.log(
-              "Available topics:",
-              stdout.trim().split("\n").slice(0, 5).join(", "),
-              "..."
-            );
-            resolve(stdout);
-          }
-        });
-      });
+    // Whitelisted ROS service calls and parameter server access
+    this.rosServices = new RosServiceProxy(this);
 
-      try {
-        await testTopics;
-      } catch (topicError) {
-        console.error(
-          "❌ rostopic connectivity test failed:",
-          topicError.message
-        );
-        throw new Error("rostopic is not accessible from Node.js environment");
-      }
+    // Exclusive driving lease: one user's motion commands at a time
+    this.controlLease = new ControlLeaseService(this, io);
 
-      // Load rosnodejs
-      let rosnodejs;
-      try {
-        rosnodejs = require("rosnodejs");
-        console.log("✅ rosnodejs loaded via require");
-      } catch (requireError) {
-        console.warn(
-          "rosnodejs not found via require, trying dynamic import..."
-        );
-        try {
-          rosnodejs = await import("rosnodejs");
-          if (rosnodejs.default) {
-            rosnodejs = rosnodejs.default;
-          }
-          console.log("✅ rosnodejs loaded via dynamic import");
-        } catch (importError) {
-          console.error("❌ Failed to load rosnodejs:", importError.message);
-          throw new Error("rosnodejs module not available");
-        }
-      }
+    this.initializeDriver();
+  }
 
-      // Check if ROS environment is available
-      if (
-        !process.env.ROS_MASTER_URI &&
-        !process.env.CMAKE_PREFIX_PATH &&
-        !process.env.ROS_PACKAGE_PATH
-      ) {
-        console.warn(
-          "ROS environment not detected. Running in simulation mode."
-        );
-        this.initializeSimulationMode();
-        return;
-      }
+  get isConnected() {
+    return Boolean(this.driver && this.driver.connected);
+  }
 
-      console.log("ROS environment detected and verified:");
-      console.log("- ROS_MASTER_URI:", process.env.ROS_MASTER_URI || "not set");
+  // Flag to indicate if a ROS driver is in use
+  get rosMode() {
+    return Boolean(this.driver && this.driver.isRos);
+  }
 
-      // Validate rosnodejs functionality
-      if (typeof rosnodejs.initNode !== "function") {
-        throw new Error(
-          "rosnodejs.initNode is not a function. Check rosnodejs installation."
-        );
+  // Connect the configured driver, falling back to simulation. A ROS
+  // driver that fails is retried in the background until it connects.
+  async initializeDriver(name = defaultDriverName()) {
+    let driver;
+    try {
+      driver = createDriver(name);
+      if (driver.isRos) {
+        this.rosSupervisor.begin(name);
+      }
+      await this.attachDriver(driver);
+      if (driver.isRos) {
+        this.rosSupervisor.watch(driver);
       }
+    } catch (error) {
+      console.error(`❌ ${name} driver initialization failed:`, error.message);
+      console.log("🔄 Falling back to simulation mode...");
+      await this.attachDriver(createDriver("simulation"));
+      if (driver && driver.isRos) {
+        this.rosSupervisor.handleLoss(error.message);
+      }
+    }
+  }
 
-      // Try alternative initialization methods
-      console.log("Initializing ROS node with verified connectivity...");
+  // Supervisor retry: reconnect the active ROS driver in place, or replace
+  // the simulation fallback once the ROS driver can connect
+  async reconnectRosDriver(name) {
+    // An admin switched drivers (or the supervisor stopped) meanwhile
+    const superseded = () =>
+      this.switchingDriver || this.rosSupervisor.state !== "connecting";
+    if (superseded()) {
+      throw new Error("Reconnect superseded by a driver switch");
+    }
 
-      // Method 1: Try with explicit rosMasterUri parameter
-      try {
-        console.log(
-          "Attempting rosnodejs initialization method 1: explicit rosMasterUri..."
-        );
-        this.rosNode = await rosnodejs.initNode("/turtlebot_web_controller", {
-          rosMasterUri: process.env.ROS_MASTER_URI,
-          onTheFly: true,
-          anonymous: false,
-          timeout: 15000,
-        });
-        console.log("✅ Method 1 successful!");
-      } catch (method1Error) {
-        console.warn("❌ Method 1 failed:", method1Error.message);
-
-        // Method 2: Try with no options
-        try {
-          console.log(
-            "Attempting rosnodejs initialization method 2: minimal options..."
-          );
-          this.rosNode = await rosnodejs.initNode("/turtlebot_web_controller");
-          console.log("✅ Method 2 successful!");
-        } catch (method2Error) {
-          console.warn("❌ Method 2 failed:", method2Error.message);
-
-          // Method 3: Try with different timeout and anonymous
-          try {
-            console.log(
-              "Attempting rosnodejs initialization method 3: anonymous node..."
-            );
-            this.rosNode = await rosnodejs.initNode(
-              "/turtlebot_web_controller",
-              {
-                anonymous: true,
-                timeout: 20000,
-              }
-            );
-            console.log("✅ Method 3 successful!");
-          } catch (method3Error) {
-            console.error("❌ All initialization methods failed");
-            throw method3Error;
-          }
-        }
+    if (this.driver && this.driver.name === name) {
+      await this.driver.reconnect();
+      if (superseded()) {
+        throw new Error("Reconnect superseded by a driver switch");
       }
+      this.topicProxy.syncDriver();
+      io.emit("driver_status", this.driver.getHealth());
+      return this.driver;
+    }
 
-      console.log("✅ ROS node initialized successfully");
+    // Failed attempts leave the fallback's motion alone; only a connected
+    // driver that is about to take over stops the robot
+    const fallback = this.driver;
+    const driver = createDriver(name);
+    await this.attachDriver(driver, superseded, () => {
+      // Never hand a moving robot to a different transport
+      this.cancelMotion("driver_switch");
+      this.stop();
+    });
+    if (fallback) {
+      await fallback.disconnect();
+    }
+    io.emit("driver_changed", driver.getHealth());
+    return driver;
+  }
 
-      // Wait for node registration (shorter wait since connectivity is verified)
-      console.log("Waiting for node registration...");
-      await new Promise((resolve) => setTimeout(resolve, 3000));
+  // Connect a driver and make it the active one; throws if it cannot connect,
+  // or if superseded() says it is no longer wanted once connected.
+  // beforeActivate() runs after a successful connect, just before the swap.
+  async attachDriver(driver, superseded = () => false, beforeActivate = null) {
+    driver.on("battery", (data, meta) =>
+      this.handleSensorData("battery", data, meta)
+    );
+    driver.on("odom", (data, meta) =>
+      this.handleSensorData("odom", data, meta)
+    );
+    driver.on("laser", (data, meta) =>
+      this.handleSensorData("laser", data, meta)
+    );
+    driver.on("disconnected", (reason) =>
+      this.handleDriverDisconnected(driver, reason)
+    );
+    Object.keys(HazardSafetyService.HAZARD_SENSORS).forEach((sensor) =>
+      driver.on(sensor, (event) => this.handleHazard(driver, event))
+    );
+    driver.on("collision", (data) => this.handleCollision(driver, data));
+    driver.on("fault_injected", (fault) => {
+      console.warn(`🧪 Simulated fault injected: ${fault.type}`);
+      io.emit("sim_fault_injected", fault);
+    });
+    driver.on("fault_cleared", (fault) => {
+      console.log(
+        `🧪 Simulated fault cleared: ${fault.type} (${fault.reason})`
+      );
+      io.emit("sim_fault_cleared", fault);
+    });
 
-      // Get node handle
-      const nh = rosnodejs.nh;
-      console.log("✅ Node handle obtained");
+    try {
+      await driver.connect();
+    } catch (error) {
+      await driver.disconnect();
+      throw error;
+    }
+    if (superseded()) {
+      await driver.disconnect();
+      throw new Error(`${driver.name} driver superseded while connecting`);
+    }
+    if (beforeActivate) {
+      beforeActivate();
+    }
 
-      // ...rest of your existing initialization code...
-      // Try different cmd_vel topics for TurtleBot1
-      const cmdVelTopics = [
-        "/cmd_vel_mux/input/navi",
-        "/cmd_vel_mux/input/teleop",
-        "/mobile_base/commands/velocity",
-        "/cmd_vel",
-      ];
+    this.driver = driver;
+    this.topicRates.reset();
+    this.hazards.reset();
+    this.topicProxy.syncDriver();
+    console.log(
+      `🎉 TurtleBot controller initialized with the ${driver.name} driver`
+    );
 
-      let publisherCreated = false;
-      for (const topic of cmdVelTopics) {
-        try {
-          this.cmdVelPublisher = nh.advertise(topic, "geometry_msgs/Twist", {
-            queueSize: 1,
-            latching: false,
-          });
-          console.log(
-            `✅ Command velocity publisher created on topic: ${topic}`
-          );
-          publisherCreated = true;
-          break;
-        } catch (error) {
-          console.warn(
-            `❌ Failed to create publisher on ${topic}:`,
-            error.message
-          );
-        }
+    // Test the connection by publishing a zero twist
+    setTimeout(() => {
+      if (this.driver !== driver) {
+        return;
       }
-
-      if (!publisherCreated) {
-        throw new Error(
-          "Failed to create command velocity publisher on any topic"
-        );
+      try {
+        this.publishTwist(0, 0, 0, 0, 0, 0);
+        console.log("✅ Test message published");
+      } catch (testError) {
+        console.error("❌ Failed to publish test message:", testError.message);
       }
+    }, 2000);
+  }
 
-      // Set connection status
-      this.isConnected = true;
-      this.rosMode = true;
-      console.log(
-        "🎉 TurtleBot controller initialized successfully in ROS mode"
-      );
+  // Replace the active driver at runtime; restores the previous one on failure
+  async switchDriver(name) {
+    if (this.switchingDriver) {
+      return {
+        success: false,
+        error: "A driver switch is already in progress",
+      };
+    }
 
-      // Test the connection by publishing a zero twist
-      setTimeout(() => {
-        try {
-          this.publishTwist(0, 0, 0, 0, 0, 0);
-          console.log("✅ Test message published to cmd_vel topic");
-        } catch (testError) {
-          console.error(
-            "❌ Failed to publish test message:",
-            testError.message
-          );
-        }
-      }, 2000);
+    let driver;
+    try {
+      driver = createDriver(name);
     } catch (error) {
-      console.error("❌ ROS initialization failed:", error);
-      console.log("Error details:", {
-        message: error.message,
-        code: error.code,
-        errno: error.errno,
-        stack: error.stack?.split("\n").slice(0, 5).join("\n"),
-        rosnodejsAvailable:
-          typeof require !== "undefined"
-            ? (() => {
-                try {
-                  require("rosnodejs");
-                  return true;
-                } catch (e) {
-                  return false;
-                }
-              })()
-            : false,
-      });
+      return { success: false, error: error.message };
+    }
 
-      console.log("🔄 Falling back to simulation mode...");
-      this.initializeSimulationMode();
+    this.switchingDriver = true;
+    const previous = this.driver;
+    console.log(
+      `Switching robot driver: ${previous ? previous.name : "none"} -> ${name}`
+    );
+
+    // Never hand a moving robot to a different transport
+    this.cancelMotion("driver_switch");
+    this.stop();
+    this.rosSupervisor.stop();
+    if (previous) {
+      await previous.disconnect();
     }
-  }
 
-  startSimulation() {
-    // Update battery data every 30 seconds
-    setInterval(() => {
-      if (this.batteryData && !this.rosMode) {
-        this.batteryData.percentage = Math.max(
-          0.1,
-          this.batteryData.percentage - 0.001
-        );
-        this.batteryData.timestamp = Date.now();
-        io.emit("battery_update", this.batteryData);
-      }
-    }, 30000);
-
-    // Update odometry data when moving
-    setInterval(() => {
-      if (this.isMoving && !this.rosMode) {
-        this.odomData.position.x += this.currentTwist.linear.x * 0.1;
-        this.odomData.position.y += this.currentTwist.linear.y * 0.1;
-        this.odomData.linear_velocity = this.currentTwist.linear;
-        this.odomData.angular_velocity = this.currentTwist.angular;
-        this.odomData.timestamp = Date.now();
-        io.emit("odom_update", this.odomData);
+    try {
+      await this.attachDriver(driver);
+      if (driver.isRos) {
+        this.rosSupervisor.watch(driver);
       }
-    }, 100);
-
-    // Simulate laser data
-    setInterval(() => {
-      if (!this.rosMode) {
-        const ranges = [];
-        for (let i = 0; i < 360; i++) {
-          ranges.push(Math.random() * 5 + 0.5); // Random distances between 0.5-5.5m
-        }
+      io.emit("driver_changed", this.driver.getHealth());
+      return { success: true, driver: this.driver.getHealth() };
+    } catch (error) {
+      console.error(
+        `❌ Failed to switch to the ${name} driver:`,
+        error.message
+      );
+      await this.initializeDriver(previous ? previous.name : "simulation");
+      io.emit("driver_changed", this.driver.getHealth());
+      return {
+        success: false,
+        error: `Failed to connect ${name} driver: ${error.message}`,
+        driver: this.driver.getHealth(),
+      };
+    } finally {
+      this.switchingDriver = false;
+    }
+  }
 
-        this.laserData = {
-          ranges: ranges,
-          angle_min: -Math.PI,
-          angle_max: Math.PI,
-          angle_increment: Math.PI / 180,
-          time_increment: 0,
-          scan_time: 0.1,
-          range_min: 0.1,
-          range_max: 6.0,
-          timestamp: Date.now(),
-        };
+  // Sensor data from the active driver
+  handleSensorData(sensor, data, meta = {}) {
+    const targets = {
+      battery: ["batteryData", "battery_update"],
+      odom: ["odomData", "odom_update"],
+      laser: ["laserData", "laser_update"],
+    };
+    const [field, event] = targets[sensor];
 
-        io.emit("laser_update", this.laserData);
-      }
-    }, 200);
-  }
-
-  batteryCallback(msg, msgType) {
-    let batteryData = {};
-
-    switch (msgType) {
-      case "smart_battery_msgs/SmartBatteryStatus":
-        batteryData = {
-          percentage: msg.percentage,
-          voltage: msg.voltage,
-          current: msg.current,
-          charge: msg.charge,
-          capacity: msg.capacity,
-          design_capacity: msg.design_capacity,
-          present: msg.present,
-          timestamp: Date.now(),
-        };
-        break;
+    this[field] = data;
+    this.topicRates.record(sensor);
+    if (sensor === "laser") {
+      this.safety.updateScan(data);
+    }
+    if (meta.broadcast !== false) {
+      io.emit(event, data);
+    }
+  }
 
-      case "sensor_msgs/BatteryState":
-        batteryData = {
-          percentage: msg.percentage,
-          voltage: msg.voltage,
-          current: msg.current,
-          charge: msg.charge,
-          capacity: msg.capacity,
-          design_capacity: msg.design_capacity,
-          present: msg.present,
-          timestamp: Date.now(),
-        };
-        break;
+  handleDriverDisconnected(driver, reason) {
+    if (driver !== this.driver) {
+      return;
+    }
+    console.warn(`⚠️ ${driver.name} driver disconnected: ${reason}`);
+    this.cancelMotion("driver_disconnected");
+    this.stop();
+    io.emit("driver_status", driver.getHealth());
+    if (driver.isRos) {
+      this.rosSupervisor.handleLoss(reason);
+    }
+  }
 
-      case "diagnostic_msgs/DiagnosticArray":
-        // Extract battery info from diagnostics
-        const batteryStatus = msg.status.find(
-          (s) => s.name.includes("battery") || s.name.includes("power")
-        );
-        if (batteryStatus) {
-          const voltage = batteryStatus.values.find((v) => v.key === "Voltage");
-          const percentage = batteryStatus.values.find(
-            (v) => v.key === "Charge"
-          );
+  // The simulated robot hit a wall: it has already halted, so drop the
+  // pending command and any running pattern
+  handleCollision(driver, data) {
+    if (driver !== this.driver) {
+      return;
+    }
+    console.warn(
+      `💥 Collision at (${data.pose.x.toFixed(2)}, ${data.pose.y.toFixed(2)})`
+    );
+    this.cancelMotion("collision");
+    this.stop();
+    io.emit("collision", data);
+  }
 
-          batteryData = {
-            percentage: percentage ? parseFloat(percentage.value) / 100 : null,
-            voltage: voltage ? parseFloat(voltage.value) : null,
-            current: null,
-            charge: null,
-            capacity: null,
-            design_capacity: null,
-            present: batteryStatus.level !== 3, // ERROR level
-            timestamp: Date.now(),
-          };
-        }
-        break;
+  // Bumper, cliff or wheel-drop event: a bump or wheel drop stops
+  // everything until acknowledged, a cliff blocks forward motion
+  handleHazard(driver, event) {
+    if (driver !== this.driver) {
+      return;
+    }
+    this.topicRates.record(event.sensor);
+    const latched = this.hazards.update(event);
+    io.emit("hazard_event", event);
 
-      default:
-        console.warn("Unknown battery message type:", msgType);
-        return;
+    if (latched) {
+      console.warn(
+        `🛑 ${event.sensor} ${event.side} ${event.state}: motion locked until acknowledged`
+      );
+      this.cancelMotion(event.sensor);
+      this.stop();
+      io.emit("hazard_latched", this.hazards.getStatus());
+    } else if (event.sensor === "cliff" && event.active) {
+      console.warn(`⚠️ Cliff (${event.side}): forward motion blocked`);
+      if (this.cancelMotion("cliff")) {
+        this.stop();
+      } else {
+        this.enforceSafety();
+      }
     }
+  }
 
-    this.batteryData = batteryData;
-    io.emit("battery_update", this.batteryData);
+  // Clear a hazard latch; returns an error message or null
+  acknowledgeHazard(user) {
+    const latch = this.hazards.latch;
+    const error = this.hazards.acknowledge(user);
+    if (error) {
+      return error;
+    }
+    console.log(
+      `✅ ${latch.sensor} ${latch.side} hazard acknowledged by ${user}`
+    );
+    io.emit("hazard_acknowledged", this.hazards.getStatus());
+    return null;
   }
 
-  odomCallback(msg) {
-    this.odomData = {
-      position: {
-        x: msg.pose.pose.position.x,
-        y: msg.pose.pose.position.y,
-        z: msg.pose.pose.position.z,
-      },
-      orientation: {
-        x: msg.pose.pose.orientation.x,
-        y: msg.pose.pose.orientation.y,
-        z: msg.pose.pose.orientation.z,
-        w: msg.pose.pose.orientation.w,
-      },
-      linear_velocity: {
-        x: msg.twist.twist.linear.x,
-        y: msg.twist.twist.linear.y,
-        z: msg.twist.twist.linear.z,
-      },
-      angular_velocity: {
-        x: msg.twist.twist.angular.x,
-        y: msg.twist.twist.angular.y,
-        z: msg.twist.twist.angular.z,
-      },
-      timestamp: Date.now(),
+  // Which topic feeds each sensor, and when it last delivered data
+  getSensorSources() {
+    const data = {
+      battery: this.batteryData,
+      odom: this.odomData,
+      laser: this.laserData,
+      ...this.hazards.lastEvents,
     };
+    const sources = this.driver
+      ? this.driver.getSensorSources()
+      : {
+          battery: null,
+          odom: null,
+          laser: null,
+          bumper: null,
+          cliff: null,
+          wheel_drop: null,
+        };
 
-    io.emit("odom_update", this.odomData);
+    Object.keys(sources).forEach((sensor) => {
+      sources[sensor] = {
+        ...(sources[sensor] || { status: "pending" }),
+        last_message_at: data[sensor] ? data[sensor].timestamp : null,
+      };
+    });
+    return sources;
   }
 
-  laserCallback(msg) {
-    this.laserData = {
-      ranges: msg.ranges,
-      angle_min: msg.angle_min,
-      angle_max: msg.angle_max,
-      angle_increment: msg.angle_increment,
-      time_increment: msg.time_increment,
-      scan_time: msg.scan_time,
-      range_min: msg.range_min,
-      range_max: msg.range_max,
-      timestamp: Date.now(),
-    };
-
-    if (Date.now() % 100 < 50) {
-      io.emit("laser_update", this.laserData);
-    }
+  // Measured rate of each stream with the topic it runs on
+  getTopicRates() {
+    const sources = this.getSensorSources();
+    const rates = this.topicRates.getRates();
+    Object.keys(rates).forEach((stream) => {
+      const topic =
+        stream === "cmd_vel"
+          ? this.driver && this.driver.cmdVelTopic
+          : sources[stream] && sources[stream].topic;
+      rates[stream] = { ...rates[stream], topic: topic || null };
+    });
+    return rates;
   }
+
   publishTwist(
     linear_x = 0,
     linear_y = 0,
@@ -604,7 +567,7 @@ class TurtleBotController {
       return false;
     }
 
-    const twist = {
+    const requested = {
       linear: {
         x: parseFloat(linear_x) || 0,
         y: parseFloat(linear_y) || 0,
@@ -617,41 +580,135 @@ class TurtleBotController {
       },
     };
 
-    // Update current twist
-    this.currentTwist = twist;
+    if (this.hazards.isLatched() && !this.isZeroTwist(requested)) {
+      const { sensor, side } = this.hazards.latch;
+      console.warn(`Motion locked by ${sensor} ${side}; command rejected`);
+      return false;
+    }
+
+    // Clamp to the profile's velocity limits
+    const { twist, clamped, fields } = this.motionLimiter.clampTwist(requested);
+    if (clamped) {
+      console.warn(
+        "Velocity command clamped:",
+        fields
+          .map((f) => `${f.field} ${f.requested} -> ${f.applied}`)
+          .join(", ")
+      );
+    }
+
+    // A fresh command overrides any watchdog ramp-down in progress
+    this.watchdogRamp = null;
+
+    // Update target twist; the publish loop ramps currentTwist toward it
+    this.requestedTwist = twist;
+    this.targetTwist = this.applySafety(twist);
     this.isMoving =
-      twist.linear.x !== 0 ||
-      twist.linear.y !== 0 ||
-      twist.linear.z !== 0 ||
-      twist.angular.x !== 0 ||
-      twist.angular.y !== 0 ||
-      twist.angular.z !== 0;
+      !this.isZeroTwist(this.targetTwist) ||
+      !this.isZeroTwist(this.currentTwist);
 
     // Start continuous publishing
     this.startContinuousPublishing();
 
     io.emit("movement_update", {
       twist: this.currentTwist,
+      target_twist: this.targetTwist,
       is_moving: this.isMoving,
+      clamped,
+      safety: this.safety.getState(),
     });
 
     return true;
   }
 
+  // Limit forward velocity for the nearest obstacle ahead, a cliff or a
+  // pressed bumper
+  applySafety(twist) {
+    const { twist: safeTwist, limited, event } = this.safety.filterTwist(twist);
+    if (limited && event.action === "stop" && this.safety.shouldNotify()) {
+      console.warn(
+        event.scan_stale
+          ? "⚠️ Safety stop: no usable laser scan, forward motion blocked"
+          : `⚠️ Safety stop: obstacle at ${event.range.toFixed(
+              2
+            )}m ahead, forward motion blocked`
+      );
+      io.emit("safety_stop", event);
+    }
+    return this.hazards.filterTwist(safeTwist).twist;
+  }
+
+  // Called on every publish tick with the latest scan
+  enforceSafety() {
+    if (!this.watchdogRamp && this.requestedTwist.linear.x > 0) {
+      this.targetTwist = this.applySafety(this.requestedTwist);
+    }
+
+    // Blocked: drop forward speed at once instead of decelerating into it
+    if (
+      this.currentTwist.linear.x > 0 &&
+      (this.safety.getState() === "stop" || this.hazards.forwardBlocked())
+    ) {
+      this.currentTwist = {
+        linear: { ...this.currentTwist.linear, x: 0 },
+        angular: { ...this.currentTwist.angular },
+      };
+    }
+  }
+
+  isZeroTwist(twist) {
+    return (
+      twist.linear.x === 0 &&
+      twist.linear.y === 0 &&
+      twist.linear.z === 0 &&
+      twist.angular.x === 0 &&
+      twist.angular.y === 0 &&
+      twist.angular.z === 0
+    );
+  }
+
+  // Step currentTwist toward targetTwist within the acceleration limits
+  applyMotionLimits() {
+    this.currentTwist = this.motionLimiter.step(
+      this.currentTwist,
+      this.targetTwist,
+      1 / this.publishRate
+    );
+    this.isMoving =
+      !this.isZeroTwist(this.targetTwist) ||
+      !this.isZeroTwist(this.currentTwist);
+  }
+
+  // Clamping result of the most recent velocity command
+  getLastClamp() {
+    return this.motionLimiter.lastClamp;
+  }
+
   startContinuousPublishing() {
-    // Clear existing interval
+    // Keep the running loop: restarting it on every command would starve
+    // the ramp when commands arrive faster than the publish rate
     if (this.publishInterval) {
-      clearInterval(this.publishInterval);
+      return;
     }
 
     // Start publishing at the specified rate (like Python script)
     this.publishInterval = setInterval(() => {
-      if (this.rosMode && this.cmdVelPublisher) {
+      this.updateWatchdog();
+      this.enforceSafety();
+      if (!this.watchdogRamp) {
+        this.applyMotionLimits();
+      }
+
+      if (this.isConnected) {
         try {
           // Publish current twist continuously
-          this.cmdVelPublisher.publish(this.currentTwist);
+          this.driver.publishTwist(this.currentTwist);
+          this.rosSupervisor.reportPublishSuccess();
+          this.topicRates.record("cmd_vel");
           console.log(
-            `ROS command published: linear=[${this.currentTwist.linear.x.toFixed(
+            `${this.rosMode ? "ROS" : "Simulation"} command (${
+              this.driver.name
+            }): linear=[${this.currentTwist.linear.x.toFixed(
               2
             )}, ${this.currentTwist.linear.y.toFixed(
               2
@@ -664,23 +721,9 @@ class TurtleBotController {
             )}, ${this.currentTwist.angular.z.toFixed(2)}]`
           );
         } catch (publishError) {
-          console.error("Failed to publish ROS message:", publishError);
+          console.error("Failed to publish velocity command:", publishError);
+          this.rosSupervisor.reportPublishError(publishError);
         }
-      } else if (!this.rosMode) {
-        // Simulation mode - just log the command
-        console.log(
-          `Simulation command: linear=[${this.currentTwist.linear.x.toFixed(
-            2
-          )}, ${this.currentTwist.linear.y.toFixed(
-            2
-          )}, ${this.currentTwist.linear.z.toFixed(
-            2
-          )}], angular=[${this.currentTwist.angular.x.toFixed(
-            2
-          )}, ${this.currentTwist.angular.y.toFixed(
-            2
-          )}, ${this.currentTwist.angular.z.toFixed(2)}]`
-        );
       }
 
       // Stop publishing if not moving
@@ -690,6 +733,63 @@ class TurtleBotController {
       }
     }, 1000 / this.publishRate); // Convert rate to milliseconds
   }
+
+  // Refresh the command lease on behalf of a movement source
+  refreshCommandLease(source) {
+    this.watchdog.refresh(source);
+  }
+
+  // Called on every publish tick: detect stale commands and ramp to zero
+  updateWatchdog() {
+    if (this.watchdogRamp) {
+      const elapsed = Date.now() - this.watchdogRamp.startedAt;
+      const remaining = Math.max(
+        0,
+        1 - elapsed / Math.max(1, this.watchdog.rampDurationMs)
+      );
+
+      if (remaining === 0) {
+        this.watchdogRamp = null;
+        this.stop();
+        return;
+      }
+
+      const from = this.watchdogRamp.fromTwist;
+      this.currentTwist = {
+        linear: {
+          x: from.linear.x * remaining,
+          y: from.linear.y * remaining,
+          z: from.linear.z * remaining,
+        },
+        angular: {
+          x: from.angular.x * remaining,
+          y: from.angular.y * remaining,
+          z: from.angular.z * remaining,
+        },
+      };
+      return;
+    }
+
+    if (this.isMoving && this.watchdog.isStale()) {
+      this.triggerWatchdog("command_timeout");
+    }
+  }
+
+  triggerWatchdog(reason) {
+    const trigger = this.watchdog.recordTrigger(reason, this.currentTwist);
+    console.warn(
+      `⚠️ Watchdog triggered (${reason}): no command from ${
+        trigger.lastSource || "any source"
+      } for ${trigger.staleForMs}ms, ramping to stop`
+    );
+
+    this.watchdogRamp = {
+      startedAt: Date.now(),
+      fromTwist: JSON.parse(JSON.stringify(this.currentTwist)),
+    };
+
+    io.emit("watchdog_triggered", trigger);
+  }
   moveForward(speed = 0.2) {
     console.log(`Moving forward at speed: ${speed}`);
     return this.publishTwist(speed, 0, 0, 0, 0, 0);
@@ -712,6 +812,7 @@ class TurtleBotController {
 
   stop() {
     console.log("Stopping robot");
+    this.watchdogRamp = null;
 
     // Stop continuous publishing
     if (this.publishInterval) {
@@ -719,26 +820,21 @@ class TurtleBotController {
       this.publishInterval = null;
     }
 
-    // Publish stop command multiple times to ensure it's received
     const stopTwist = {
       linear: { x: 0, y: 0, z: 0 },
       angular: { x: 0, y: 0, z: 0 },
     };
 
     this.currentTwist = stopTwist;
+    this.targetTwist = stopTwist;
+    this.requestedTwist = stopTwist;
     this.isMoving = false;
 
-    if (this.rosMode && this.cmdVelPublisher) {
-      // Send stop command multiple times to ensure it's received
-      for (let i = 0; i < 5; i++) {
-        setTimeout(() => {
-          try {
-            this.cmdVelPublisher.publish(stopTwist);
-            console.log("Stop command published");
-          } catch (error) {
-            console.error("Failed to publish stop command:", error);
-          }
-        }, i * 10); // 10ms intervals
+    if (this.isConnected) {
+      try {
+        this.driver.publishStop();
+      } catch (error) {
+        console.error("Failed to publish stop command:", error);
       }
     }
 
@@ -771,45 +867,103 @@ class TurtleBotController {
   }
 
   // Enhanced square movement similar to Python script
-  async moveSquare(sideLength = 2.0, linearSpeed = 0.2, angularSpeed = 0.5) {
-    if (!this.isConnected) {
-      console.warn("Controller not connected");
-      return false;
-    }
-
+  moveSquare(
+    sideLength = 2.0,
+    linearSpeed = 0.2,
+    angularSpeed = 0.5,
+    options = {}
+  ) {
     console.log(
       `Starting square movement: side=${sideLength}m, linear=${linearSpeed}m/s, angular=${angularSpeed}rad/s`
     );
 
-    const moveTime = sideLength / linearSpeed; // Time to move forward
+    const mode = this.resolvePatternMode(options.mode);
     const turnTime = Math.PI / 2 / angularSpeed; // Time to turn 90 degrees
+    const steps = [];
+
+    for (let side = 1; side <= 4; side++) {
+      steps.push(
+        this.patternDriveStep(
+          `side ${side}/4: forward`,
+          mode,
+          sideLength,
+          linearSpeed,
+          options
+        ),
+        pause(`side ${side}/4: stop`, 1000),
+        this.patternTurnStep(
+          `side ${side}/4: turn right`,
+          mode,
+          -Math.PI / 2,
+          angularSpeed,
+          turnTime * 1000,
+          options
+        ),
+        pause(`side ${side}/4: stop turning`, 1000)
+      );
+    }
 
-    for (let side = 0; side < 4; side++) {
-      console.log(`Square side ${side + 1}/4`);
-
-      // Move forward
-      console.log("Moving forward...");
-      this.publishTwist(linearSpeed, 0, 0, 0, 0, 0);
-      await new Promise((resolve) => setTimeout(resolve, moveTime * 1000));
+    return this.startGeometricPattern(
+      "square",
+      { sideLength, linearSpeed, angularSpeed },
+      steps,
+      mode,
+      options
+    );
+  }
 
-      // Stop
-      console.log("Stopping...");
-      this.stop();
-      await new Promise((resolve) => setTimeout(resolve, 1000));
+  // Pick closed-loop or timed execution; closed loop needs live odometry
+  resolvePatternMode(requestedMode = "timed") {
+    if (requestedMode !== "closed_loop") {
+      return "timed";
+    }
+    if (isOdometryAvailable(this.odomData)) {
+      return "closed_loop";
+    }
+    console.warn("Odometry unavailable, falling back to timed pattern mode");
+    return "timed";
+  }
 
-      // Turn right (90 degrees)
-      console.log("Turning right...");
-      this.publishTwist(0, 0, 0, 0, 0, -angularSpeed);
-      await new Promise((resolve) => setTimeout(resolve, turnTime * 1000));
+  // Straight leg of a geometric pattern: odometry distance or fixed time
+  patternDriveStep(label, mode, distance, speed, options = {}) {
+    if (mode === "closed_loop") {
+      return createDriveStep(
+        this,
+        label,
+        distance,
+        speed,
+        options.distanceTolerance
+      );
+    }
+    return move(label, speed, 0, (distance / speed) * 1000);
+  }
 
-      // Stop turning
-      console.log("Stop turning...");
-      this.stop();
-      await new Promise((resolve) => setTimeout(resolve, 1000));
+  // Turn of a geometric pattern: odometry angle (rad) or fixed time
+  patternTurnStep(label, mode, angle, angularSpeed, duration, options = {}) {
+    if (mode === "closed_loop") {
+      return createTurnStep(
+        this,
+        label,
+        angle,
+        angularSpeed,
+        options.angleTolerance
+      );
     }
+    return move(label, 0, Math.sign(angle) * angularSpeed, duration);
+  }
 
-    console.log("Square movement completed");
-    return true;
+  startGeometricPattern(pattern, parameters, steps, mode, options) {
+    const result = this.patternEngine.start(
+      pattern,
+      { ...parameters, mode },
+      steps,
+      options
+    );
+    return {
+      ...result,
+      mode,
+      requested_mode: options.mode || "timed",
+    };
   }
 
   // Cleanup method
@@ -819,6 +973,10 @@ class TurtleBotController {
       this.publishInterval = null;
     }
     this.stop();
+    this.rosSupervisor.stop();
+    if (this.driver) {
+      this.driver.disconnect();
+    }
   }
 
   getStatus() {
@@ -826,54 +984,56 @@ class TurtleBotController {
       is_connected: this.isConnected,
       is_moving: this.isMoving,
       ros_mode: this.rosMode,
+      driver: this.driver ? this.driver.getHealth() : null,
+      ros_connection: this.rosSupervisor.getStatus(),
+      sim_faults: this.driver ? this.driver.getActiveFaults() : [],
       current_twist: this.currentTwist,
+      target_twist: this.targetTwist,
+      motion_limits: this.motionLimiter.getLimits(),
+      safety: this.safety.getStatus(),
+      hazards: this.hazards.getStatus(),
       battery_available: this.batteryData !== null,
       odometry_available: this.odomData !== null,
       laser_available: this.laserData !== null,
+      sensor_sources: this.getSensorSources(),
+      watchdog: this.watchdog.getStatus(),
+      pattern: this.patternEngine.getStatus(),
+      last_motion_result: this.lastMotionResult,
+      navigation: this.navigation.getStatus(),
+      control: this.controlLease.getStatus(),
       timestamp: Date.now(),
     };
   }
 
-  emergencyStop() {
-    console.log("EMERGENCY STOP ACTIVATED");
-    this.stop();
-    return true;
+  addCancelHook(hook) {
+    this.cancelHooks.push(hook);
   }
 
-  initializeSimulationMode() {
-    this.isConnected = true;
-    this.rosMode = false;
-
-    // Initialize simulation data
-    this.batteryData = {
-      percentage: 0.85,
-      voltage: 12.3,
-      current: -2.1,
-      charge: 8500,
-      capacity: 10000,
-      design_capacity: 10000,
-      present: true,
-      timestamp: Date.now(),
-    };
+  // Cancel the running pattern and any hooked motion; returns true if a
+  // pattern was running
+  cancelMotion(reason) {
+    this.cancelHooks.forEach((hook) => hook.cancel(reason));
+    return this.patternEngine.cancel(reason);
+  }
 
-    this.odomData = {
-      position: { x: 0, y: 0, z: 0 },
-      orientation: { x: 0, y: 0, z: 0, w: 1 },
-      linear_velocity: { x: 0, y: 0, z: 0 },
-      angular_velocity: { x: 0, y: 0, z: 0 },
-      timestamp: Date.now(),
-    };
+  // A pattern, navigation goal or hooked motion is in progress
+  isMotionActive() {
+    return (
+      this.patternEngine.isActive() ||
+      this.cancelHooks.some((hook) => hook.isActive())
+    );
+  }
 
-    console.log("TurtleBot controller initialized in simulation mode");
-    this.startSimulation();
+  emergencyStop() {
+    console.log("EMERGENCY STOP ACTIVATED");
+    this.cancelMotion("emergency_stop");
+    this.watchdog.releaseAllHolds();
+    this.stop();
+    return true;
   }
-  // Enhanced geometric movement methods with continuous publishing
-  async moveInCircle(radius = 1.0, duration = 10000, clockwise = true) {
-    if (!this.isConnected) {
-      console.warn("Controller not connected");
-      return false;
-    }
 
+  // Enhanced geometric movement methods, executed by the pattern engine
+  moveInCircle(radius = 1.0, duration = 10000, clockwise = true, options = {}) {
     const circumference = 2 * Math.PI * radius;
     const linearSpeed = circumference / (duration / 1000); // m/s
     const angularSpeed = (2 * Math.PI) / (duration / 1000); // rad/s
@@ -887,127 +1047,77 @@ class TurtleBotController {
       )}m/s, angular=${angularSpeed.toFixed(2)}rad/s`
     );
 
-    // Emit movement start event
-    io.emit("pattern_movement_start", {
-      pattern: "circle",
-      radius,
-      duration,
-      clockwise,
-    });
-
-    // Start circular movement
-    this.publishTwist(
-      linearSpeed,
-      0,
-      0,
-      0,
-      0,
-      clockwise ? -angularSpeed : angularSpeed
+    const steps = [
+      move(
+        "circle",
+        linearSpeed,
+        clockwise ? -angularSpeed : angularSpeed,
+        duration
+      ),
+    ];
+
+    return this.patternEngine.start(
+      "circle",
+      { radius, duration, clockwise },
+      steps,
+      options
     );
-
-    // Stop after duration
-    setTimeout(() => {
-      this.stop();
-      io.emit("pattern_movement_complete", { pattern: "circle" });
-    }, duration);
-
-    return true;
   }
 
-  async moveInTriangle(sideLength = 1.0, pauseDuration = 500) {
-    if (!this.isConnected) {
-      console.warn("Controller not connected");
-      return false;
-    }
-
+  moveInTriangle(sideLength = 1.0, pauseDuration = 500, options = {}) {
     console.log(
       `Starting triangle movement: side=${sideLength}m, pause=${pauseDuration}ms`
     );
 
-    io.emit("pattern_movement_start", {
-      pattern: "triangle",
-      sideLength,
-      pauseDuration,
-    });
-
     const speed = 0.2; // m/s
-    const moveDuration = (sideLength / speed) * 1000; // ms
     const turnAngle = 120; // degrees
     const angularSpeed = (turnAngle * Math.PI) / 180; // rad/s for 1 second turn
+    const mode = this.resolvePatternMode(options.mode);
+    const steps = [];
+
+    for (let side = 1; side <= 3; side++) {
+      steps.push(
+        this.patternDriveStep(
+          `side ${side}/3: forward`,
+          mode,
+          sideLength,
+          speed,
+          options
+        ),
+        pause(`side ${side}/3: stop`, pauseDuration),
+        this.patternTurnStep(
+          `side ${side}/3: turn`,
+          mode,
+          (turnAngle * Math.PI) / 180,
+          angularSpeed,
+          1000,
+          options
+        )
+      );
+    }
 
-    // Move forward for one side
-    this.publishTwist(speed, 0, 0, 0, 0, 0);
-
-    setTimeout(() => {
-      // Stop and turn
-      this.stop();
-      setTimeout(() => {
-        this.publishTwist(0, 0, 0, 0, 0, angularSpeed);
-        setTimeout(() => {
-          // Move forward for second side
-          this.publishTwist(speed, 0, 0, 0, 0, 0);
-          setTimeout(() => {
-            // Stop and turn
-            this.stop();
-            setTimeout(() => {
-              this.publishTwist(0, 0, 0, 0, 0, angularSpeed);
-              setTimeout(() => {
-                // Move forward for third side
-                this.publishTwist(speed, 0, 0, 0, 0, 0);
-                setTimeout(() => {
-                  // Stop and final turn
-                  this.stop();
-                  setTimeout(() => {
-                    this.publishTwist(0, 0, 0, 0, 0, angularSpeed);
-                    setTimeout(() => {
-                      this.stop();
-                      io.emit("pattern_movement_complete", {
-                        pattern: "triangle",
-                      });
-                    }, 1000);
-                  }, pauseDuration);
-                }, moveDuration);
-              }, 1000);
-            }, pauseDuration);
-          }, moveDuration);
-        }, 1000);
-      }, pauseDuration);
-    }, moveDuration);
-
-    return true;
+    return this.startGeometricPattern(
+      "triangle",
+      { sideLength, pauseDuration },
+      steps,
+      mode,
+      options
+    );
   }
 
-  async moveInLove(size = 1.0, duration = 20000) {
-    if (!this.isConnected) {
-      console.warn("Controller not connected");
-      return false;
-    }
-
+  moveInLove(size = 1.0, duration = 20000, options = {}) {
     console.log(
       `Starting love (heart) movement: size=${size}, duration=${duration}ms`
     );
 
-    io.emit("pattern_movement_start", {
-      pattern: "love",
-      size,
-      duration,
-    });
-
     // Heart shape using parametric equations with smooth curves
-    const steps = 100;
-    const stepDuration = duration / steps;
-    let step = 0;
-
-    const heartInterval = setInterval(() => {
-      if (step >= steps) {
-        this.stop();
-        io.emit("pattern_movement_complete", { pattern: "love" });
-        clearInterval(heartInterval);
-        return;
-      }
+    const totalSteps = 100;
+    const stepDuration = duration / totalSteps;
+    const steps = [];
 
+    for (let step = 0; step < totalSteps; step++) {
       // Parametric heart equations
-      const t = (step / steps) * 2 * Math.PI;
+      const t = (step / totalSteps) * 2 * Math.PI;
       const scale = size * 0.1;
 
       // Heart curve with varying speeds for dramatic effect
@@ -1016,79 +1126,185 @@ class TurtleBotController {
       const angularSpeed =
         scale * speedMultiplier * (Math.sin(t) + Math.sin(3 * t) * 0.3);
 
-      this.publishTwist(linearSpeed, 0, 0, 0, 0, angularSpeed);
-      step++;
-    }, stepDuration);
+      steps.push(
+        move(
+          `curve ${step + 1}/${totalSteps}`,
+          linearSpeed,
+          angularSpeed,
+          stepDuration
+        )
+      );
+    }
 
-    return true;
+    return this.patternEngine.start("love", { size, duration }, steps, options);
   }
 
-  async moveInDiamond(sideLength = 1.0, pauseDuration = 300) {
-    if (!this.isConnected) {
-      console.warn("Controller not connected");
-      return false;
-    }
-
+  moveInDiamond(sideLength = 1.0, pauseDuration = 300, options = {}) {
     console.log(
       `Starting diamond movement: side=${sideLength}m, pause=${pauseDuration}ms`
     );
 
-    io.emit("pattern_movement_start", {
-      pattern: "diamond",
-      sideLength,
-      pauseDuration,
-    });
-
     const speed = 0.25; // m/s
     const moveDuration = (sideLength / speed) * 1000; // ms
     const turnAngle = 90; // degrees for diamond (square rotated 45°)
     const angularSpeed = (turnAngle * Math.PI) / 180; // rad/s for 1 second turn
-
-    let currentSide = 0;
     const totalSides = 4;
+    const mode = this.resolvePatternMode(options.mode);
+    const steps = [];
 
-    const executeSide = () => {
-      if (currentSide >= totalSides) {
-        this.stop();
-        io.emit("pattern_movement_complete", { pattern: "diamond" });
-        return;
-      }
-
+    for (let side = 0; side < totalSides; side++) {
       // Add slight speed variation for more interesting movement
-      const speedVariation = 1 + Math.sin(currentSide) * 0.2;
-      const currentSpeed = speed * speedVariation;
+      const speedVariation = 1 + Math.sin(side) * 0.2;
+      const turnDirection = side % 2 === 0 ? 1 : -1; // Alternate turn directions
+      const label = `side ${side + 1}/${totalSides}`;
+
+      // Timed mode keeps the fixed leg duration, so faster legs run longer
+      const forward =
+        mode === "closed_loop"
+          ? createDriveStep(
+              this,
+              `${label}: forward`,
+              sideLength,
+              speed * speedVariation,
+              options.distanceTolerance
+            )
+          : move(`${label}: forward`, speed * speedVariation, 0, moveDuration);
+
+      steps.push(
+        forward,
+        pause(`${label}: stop`, pauseDuration),
+        this.patternTurnStep(
+          `${label}: turn`,
+          mode,
+          turnDirection * (Math.PI / 2),
+          angularSpeed,
+          800,
+          options
+        ),
+        pause(`${label}: settle`, pauseDuration / 2)
+      );
+    }
 
-      // Move forward
-      this.publishTwist(currentSpeed, 0, 0, 0, 0, 0);
+    return this.startGeometricPattern(
+      "diamond",
+      { sideLength, pauseDuration },
+      steps,
+      mode,
+      options
+    );
+  }
 
-      setTimeout(() => {
-        // Stop
-        this.stop();
+  // Drive a signed distance (m), stopping automatically on target
+  moveDistance(distance, speed = 0.2, options = {}) {
+    if (!Number.isFinite(distance) || distance === 0 || !speed) {
+      return { success: false, error: "Invalid distance or speed" };
+    }
+    if (!isOdometryAvailable(this.odomData)) {
+      return {
+        success: false,
+        error: "Odometry not available",
+        requiresOdometry: true,
+      };
+    }
 
-        setTimeout(() => {
-          // Turn
-          const turnDirection = currentSide % 2 === 0 ? 1 : -1; // Alternate turn directions
-          this.publishTwist(0, 0, 0, 0, 0, angularSpeed * turnDirection);
-
-          setTimeout(() => {
-            this.stop();
-            currentSide++;
-
-            setTimeout(() => {
-              executeSide();
-            }, pauseDuration / 2);
-          }, 800);
-        }, pauseDuration);
-      }, moveDuration);
-    };
+    console.log(`Starting distance move: ${distance}m at ${speed}m/s`);
+    const step = createDriveStep(
+      this,
+      `drive ${distance}m`,
+      distance,
+      Math.abs(speed),
+      options.tolerance
+    );
+    return this.startMotionPrimitive(
+      "distance",
+      { distance, speed },
+      step,
+      "m",
+      options
+    );
+  }
 
-    executeSide();
-    return true;
+  // Rotate by a signed angle (degrees, positive = counter-clockwise)
+  rotateBy(angle, angularSpeed = 0.5, options = {}) {
+    if (!Number.isFinite(angle) || angle === 0 || !angularSpeed) {
+      return { success: false, error: "Invalid angle or angular speed" };
+    }
+    if (!isOdometryAvailable(this.odomData)) {
+      return {
+        success: false,
+        error: "Odometry not available",
+        requiresOdometry: true,
+      };
+    }
+
+    console.log(`Starting rotation: ${angle}° at ${angularSpeed}rad/s`);
+    const step = createTurnStep(
+      this,
+      `rotate ${angle}°`,
+      (angle * Math.PI) / 180,
+      Math.abs(angularSpeed),
+      options.tolerance !== undefined
+        ? (options.tolerance * Math.PI) / 180
+        : undefined
+    );
+    return this.startMotionPrimitive(
+      "rotate",
+      { angle, angular_speed: angularSpeed },
+      step,
+      "deg",
+      options
+    );
+  }
+
+  // Run one closed-loop step through the pattern engine, reporting
+  // motion_progress while it runs and motion_result when it ends
+  startMotionPrimitive(motion, parameters, step, unit, options) {
+    const toUnit = (value) =>
+      unit === "deg" ? (value * 180) / Math.PI : value;
+    const report = (run) => ({
+      motion,
+      run_id: run.id,
+      requested: toUnit(step.progress.target),
+      achieved: toUnit(step.progress.achieved),
+      unit,
+    });
+
+    return this.patternEngine.start(motion, parameters, [step], {
+      preempt: options.preempt,
+      onProgress: (currentStep, run) => {
+        io.emit("motion_progress", { ...report(run), timestamp: Date.now() });
+      },
+      onFinish: (reason, run) => {
+        const result = report(run);
+        this.lastMotionResult = {
+          ...result,
+          error: result.requested - result.achieved,
+          status: reason,
+          duration: Date.now() - run.startedAt,
+          timestamp: Date.now(),
+        };
+        io.emit("motion_result", this.lastMotionResult);
+        if (options.onFinish) {
+          options.onFinish(this.lastMotionResult);
+        }
+      },
+    });
+  }
+
+  pausePattern() {
+    return this.patternEngine.pause();
   }
-  // Enhanced stop   that also stops pattern movements
+
+  resumePattern() {
+    return this.patternEngine.resume();
+  }
+
+  // Enhanced stop that also cancels pattern movements
   stopPattern() {
-    this.stop();
-    io.emit("pattern_movement_stopped", { timestamp: Date.now() });
+    if (!this.cancelMotion("stopped")) {
+      this.stop();
+      io.emit("pattern_movement_stopped", { timestamp: Date.now() });
+    }
     return true;
   }
 }
@@ -1096,6 +1312,34 @@ class TurtleBotController {
 // Initialize TurtleBot controller
 const turtlebot = new TurtleBotController();
 
+// Waypoint missions (stored in Firestore, executed by the controller)
+const missionService = new MissionService(turtlebot, socketWebcamService, io);
+
+// Booked time slots (stored in Firestore); the control lease honours them
+const reservationService = new ReservationService(turtlebot, io);
+turtlebot.controlLease.setReservations(reservationService);
+
+// Open-lab waiting queue with fixed driving turns
+const queueService = new QueueService(turtlebot, io);
+turtlebot.controlLease.setQueue(queueService);
+
+// Controller-backed routes
+app.use(
+  "/api/navigate",
+  createNavigationRoutes(turtlebot.navigation, requireControl)
+);
+app.use("/api/missions", createMissionRoutes(missionService, requireControl));
+app.use("/api/driver", createDriverRoutes(turtlebot, Object.keys(DRIVERS)));
+app.use("/api/sim", createSimRoutes(turtlebot));
+app.use("/api/ros", createRosRoutes(turtlebot));
+app.use(
+  "/api/topics",
+  createTopicProxyRoutes(turtlebot.topicProxy, requireControl)
+);
+app.use("/api/control", createControlRoutes(turtlebot.controlLease));
+app.use("/api/reservations", createReservationRoutes(reservationService));
+app.use("/api/queue", createQueueRoutes(queueService));
+
 // Firebase Authentication middleware
 async function authenticateFirebaseUser(req, res, next) {
   try {
@@ -1113,6 +1357,51 @@ async function authenticateFirebaseUser(req, res, next) {
   }
 }
 
+// Motion commands are only accepted from the control lease holder
+function requireControl(req, res, next) {
+  const { status, ...result } = turtlebot.controlLease.authorize(req.user);
+  if (!result.success) {
+    return res.status(status).json({ ...result, user: req.user.email });
+  }
+  next();
+}
+
+// Refresh the watchdog command lease for REST movement commands
+function refreshCommandLease(req, res, next) {
+  turtlebot.refreshCommandLease(`rest:${req.path}`);
+  next();
+}
+
+// Movement routes: Firebase auth + Email verification + drive capability +
+// control lease + watchdog refresh
+const authenticateMovement = [
+  ...authenticateAndVerifyEmail,
+  requireCapability("drive"),
+  requireControl,
+  refreshCommandLease,
+];
+
+// Pattern routes: as movement, with the run_pattern capability
+const authenticatePatternMovement = [
+  ...authenticateAndVerifyEmail,
+  requireCapability("run_pattern"),
+  requireControl,
+  refreshCommandLease,
+];
+
+// Robot configuration routes: Firebase auth + Email verification +
+// configure_robot capability
+const authenticateAdmin = [
+  ...authenticateAndVerifyEmail,
+  requireCapability("configure_robot"),
+];
+
+// Sensor routes: Firebase auth + Email verification + view_sensors capability
+const authenticateSensors = [
+  ...authenticateAndVerifyEmail,
+  requireCapability("view_sensors"),
+];
+
 // Legacy authentication middleware (for backward compatibility)
 function requireAuth(req, res, next) {
   if (!req.session.user) {
@@ -1200,6 +1489,7 @@ app.get("/", (req, res) => {
                     <li>GET /api/sensors/battery - Battery data</li>
                     <li>GET /api/sensors/odometry - Position data</li>
                     <li>GET /api/sensors/laser - Laser scan data</li>
+                    <li>GET /api/sensors/hazards - Bumper, cliff and wheel-drop state</li>
                 </ul>
 
                 <div class="pattern-section">
@@ -1296,7 +1586,8 @@ app.post("/api/logout", async (req, res) => {
       }
     }
 
-    // Stop the robot on logout
+    // Stop the robot on logout, along with anything that would drive it again
+    turtlebot.cancelMotion("logout");
     turtlebot.stop();
 
     res.json({
@@ -1312,46 +1603,74 @@ app.get("/api/status", requireAuth, (req, res) => {
 });
 
 // Movement API endpoints (require email verification via OTP)
-app.post("/api/move/forward", authenticateAndVerifyEmail, (req, res) => {
+app.post("/api/move/forward", authenticateMovement, (req, res) => {
   const speed = parseFloat(req.body.speed) || 0.2;
   const success = turtlebot.moveForward(speed);
-  res.json({ success, action: "move_forward", speed, user: req.user.email });
+  res.json({
+    success,
+    action: "move_forward",
+    speed,
+    clamping: turtlebot.getLastClamp(),
+    safety: turtlebot.safety.getState(),
+    user: req.user.email,
+  });
 });
 
-app.post("/api/move/backward", authenticateAndVerifyEmail, (req, res) => {
+app.post("/api/move/backward", authenticateMovement, (req, res) => {
   const speed = parseFloat(req.body.speed) || 0.2;
   const success = turtlebot.moveBackward(speed);
-  res.json({ success, action: "move_backward", speed, user: req.user.email });
+  res.json({
+    success,
+    action: "move_backward",
+    speed,
+    clamping: turtlebot.getLastClamp(),
+    user: req.user.email,
+  });
 });
 
-app.post("/api/move/left", authenticateAndVerifyEmail, (req, res) => {
+app.post("/api/move/left", authenticateMovement, (req, res) => {
   const angular_speed = parseFloat(req.body.angular_speed) || 0.5;
   const success = turtlebot.turnLeft(angular_speed);
   res.json({
     success,
     action: "turn_left",
     angular_speed,
+    clamping: turtlebot.getLastClamp(),
     user: req.user.email,
   });
 });
 
-app.post("/api/move/right", authenticateAndVerifyEmail, (req, res) => {
+app.post("/api/move/right", authenticateMovement, (req, res) => {
   const angular_speed = parseFloat(req.body.angular_speed) || 0.5;
   const success = turtlebot.turnRight(angular_speed);
   res.json({
     success,
     action: "turn_right",
     angular_speed,
+    clamping: turtlebot.getLastClamp(),
     user: req.user.email,
   });
 });
 
-app.post("/api/move/stop", authenticateAndVerifyEmail, (req, res) => {
+// A plain stop also ends patterns, missions and navigation goals, or their
+// next tick would drive the robot again
+app.post("/api/move/stop", authenticateMovement, (req, res) => {
+  turtlebot.cancelMotion("stopped");
   const success = turtlebot.stop();
   res.json({ success, action: "stop", user: req.user.email });
 });
 
-app.post("/api/move/custom", authenticateAndVerifyEmail, (req, res) => {
+// Keep the current command alive without changing velocity
+app.post("/api/move/keepalive", authenticateMovement, (req, res) => {
+  res.json({
+    success: true,
+    action: "keepalive",
+    watchdog: turtlebot.watchdog.getStatus(),
+    user: req.user.email,
+  });
+});
+
+app.post("/api/move/custom", authenticateMovement, (req, res) => {
   const { linear_x, linear_y, linear_z, angular_x, angular_y, angular_z } =
     req.body;
   const success = turtlebot.customMove(
@@ -1373,6 +1692,41 @@ app.post("/api/move/custom", authenticateAndVerifyEmail, (req, res) => {
       angular_y,
       angular_z,
     },
+    clamping: turtlebot.getLastClamp(),
+    safety: turtlebot.safety.getState(),
+    user: req.user.email,
+  });
+});
+
+// Velocity and acceleration limits of the active robot profile
+app.get("/api/move/limits", authenticateAndVerifyEmail, (req, res) => {
+  res.json({ ...turtlebot.motionLimiter.getLimits(), user: req.user.email });
+});
+
+// Obstacle safety configuration and current state
+app.get("/api/safety", authenticateAndVerifyEmail, (req, res) => {
+  res.json({ ...turtlebot.safety.getStatus(), user: req.user.email });
+});
+
+app.put("/api/safety", authenticateAdmin, (req, res) => {
+  const { enabled, require_scan, stop_distance, slow_distance, sector_angle } =
+    req.body;
+  const error = turtlebot.safety.updateConfig({
+    enabled,
+    require_scan,
+    stop_distance,
+    slow_distance,
+    sector_angle,
+  });
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  console.log(`Safety configuration updated by ${req.user.email}`);
+  io.emit("safety_config_updated", turtlebot.safety.getStatus());
+  res.json({
+    success: true,
+    ...turtlebot.safety.getStatus(),
     user: req.user.email,
   });
 });
@@ -1382,54 +1736,96 @@ app.post("/api/emergency_stop", (req, res) => {
   res.json({ success, action: "emergency_stop" });
 });
 
+// Closed-loop/timed options shared by the square, triangle and diamond routes
+const PATTERN_MODES = ["timed", "closed_loop"];
+
+function geometricPatternOptions(body) {
+  const distanceTolerance = parseFloat(body.distanceTolerance);
+  const angleTolerance = parseFloat(body.angleTolerance); // degrees
+  return {
+    preempt: body.preempt === true,
+    mode: body.mode || "timed",
+    distanceTolerance: distanceTolerance > 0 ? distanceTolerance : undefined,
+    angleTolerance:
+      angleTolerance > 0 ? (angleTolerance * Math.PI) / 180 : undefined,
+  };
+}
+
+function validatePatternMode(req, res, next) {
+  if (req.body.mode && !PATTERN_MODES.includes(req.body.mode)) {
+    return res.status(400).json({
+      error: "Invalid pattern mode",
+      validModes: PATTERN_MODES,
+    });
+  }
+  next();
+}
+
+const authenticatePattern = [
+  ...authenticatePatternMovement,
+  validatePatternMode,
+];
+
 // Geometric movement patterns (require OTP email verification)
-app.post("/api/move/circle", authenticateAndVerifyEmail, (req, res) => {
+app.post("/api/move/circle", authenticatePatternMovement, (req, res) => {
   const radius = parseFloat(req.body.radius) || 1.0;
   const duration = parseInt(req.body.duration) || 10000;
   const clockwise = req.body.clockwise !== false; // default true
 
-  const success = turtlebot.moveInCircle(radius, duration, clockwise);
-  res.json({
-    success,
+  const result = turtlebot.moveInCircle(radius, duration, clockwise, {
+    preempt: req.body.preempt === true,
+  });
+  res.status(result.success ? 200 : 409).json({
+    ...result,
     action: "move_circle",
     parameters: { radius, duration, clockwise },
     user: req.user.email,
   });
 });
 
-app.post("/api/move/triangle", authenticateAndVerifyEmail, (req, res) => {
+app.post("/api/move/triangle", authenticatePattern, (req, res) => {
   const sideLength = parseFloat(req.body.sideLength) || 1.0;
   const pauseDuration = parseInt(req.body.pauseDuration) || 500;
 
-  const success = turtlebot.moveInTriangle(sideLength, pauseDuration);
-  res.json({
-    success,
+  const result = turtlebot.moveInTriangle(
+    sideLength,
+    pauseDuration,
+    geometricPatternOptions(req.body)
+  );
+  res.status(result.success ? 200 : 409).json({
+    ...result,
     action: "move_triangle",
     parameters: { sideLength, pauseDuration },
     user: req.user.email,
   });
 });
 
-app.post("/api/move/love", authenticateAndVerifyEmail, (req, res) => {
+app.post("/api/move/love", authenticatePatternMovement, (req, res) => {
   const size = parseFloat(req.body.size) || 1.0;
   const duration = parseInt(req.body.duration) || 20000;
 
-  const success = turtlebot.moveInLove(size, duration);
-  res.json({
-    success,
+  const result = turtlebot.moveInLove(size, duration, {
+    preempt: req.body.preempt === true,
+  });
+  res.status(result.success ? 200 : 409).json({
+    ...result,
     action: "move_love",
     parameters: { size, duration },
     user: req.user.email,
   });
 });
 
-app.post("/api/move/diamond", authenticateAndVerifyEmail, (req, res) => {
+app.post("/api/move/diamond", authenticatePattern, (req, res) => {
   const sideLength = parseFloat(req.body.sideLength) || 1.0;
   const pauseDuration = parseInt(req.body.pauseDuration) || 300;
 
-  const success = turtlebot.moveInDiamond(sideLength, pauseDuration);
-  res.json({
-    success,
+  const result = turtlebot.moveInDiamond(
+    sideLength,
+    pauseDuration,
+    geometricPatternOptions(req.body)
+  );
+  res.status(result.success ? 200 : 409).json({
+    ...result,
     action: "move_diamond",
     parameters: { sideLength, pauseDuration },
     user: req.user.email,
@@ -1437,20 +1833,102 @@ app.post("/api/move/diamond", authenticateAndVerifyEmail, (req, res) => {
 });
 
 // Add square movement endpoint (require email verification via OTP)
-app.post("/api/move/square", authenticateAndVerifyEmail, (req, res) => {
+app.post("/api/move/square", authenticatePattern, (req, res) => {
   const sideLength = parseFloat(req.body.sideLength) || 2.0;
   const linearSpeed = parseFloat(req.body.linearSpeed) || 0.2;
   const angularSpeed = parseFloat(req.body.angularSpeed) || 0.5;
 
-  const success = turtlebot.moveSquare(sideLength, linearSpeed, angularSpeed);
-  res.json({
-    success,
+  const result = turtlebot.moveSquare(
+    sideLength,
+    linearSpeed,
+    angularSpeed,
+    geometricPatternOptions(req.body)
+  );
+  res.status(result.success ? 200 : 409).json({
+    ...result,
     action: "move_square",
     parameters: { sideLength, linearSpeed, angularSpeed },
     user: req.user.email,
   });
 });
 
+// Odometry-based motion primitives (stop automatically on target)
+app.post("/api/move/distance", authenticateMovement, (req, res) => {
+  const distance = parseFloat(req.body.distance);
+  const speed = parseFloat(req.body.speed) || 0.2;
+
+  if (!Number.isFinite(distance) || distance === 0) {
+    return res
+      .status(400)
+      .json({ error: "A non-zero distance in metres is required" });
+  }
+
+  const result = turtlebot.moveDistance(distance, speed, {
+    tolerance: parseFloat(req.body.tolerance) || undefined,
+    preempt: req.body.preempt === true,
+  });
+  res.status(result.success ? 200 : result.requiresOdometry ? 503 : 409).json({
+    ...result,
+    action: "move_distance",
+    parameters: { distance, speed },
+    user: req.user.email,
+  });
+});
+
+app.post("/api/move/rotate", authenticateMovement, (req, res) => {
+  const angle = parseFloat(req.body.angle);
+  const angular_speed = parseFloat(req.body.angular_speed) || 0.5;
+
+  if (!Number.isFinite(angle) || angle === 0) {
+    return res
+      .status(400)
+      .json({ error: "A non-zero angle in degrees is required" });
+  }
+
+  const result = turtlebot.rotateBy(angle, angular_speed, {
+    tolerance: parseFloat(req.body.tolerance) || undefined,
+    preempt: req.body.preempt === true,
+  });
+  res.status(result.success ? 200 : result.requiresOdometry ? 503 : 409).json({
+    ...result,
+    action: "rotate",
+    parameters: { angle, angular_speed },
+    user: req.user.email,
+  });
+});
+
+// Pattern engine controls
+app.post("/api/move/stop_pattern", authenticatePatternMovement, (req, res) => {
+  const success = turtlebot.stopPattern();
+  res.json({ success, action: "stop_pattern", user: req.user.email });
+});
+
+app.post("/api/move/pattern/pause", authenticatePatternMovement, (req, res) => {
+  const result = turtlebot.pausePattern();
+  res.status(result.success ? 200 : 409).json({
+    ...result,
+    action: "pause_pattern",
+    user: req.user.email,
+  });
+});
+
+app.post(
+  "/api/move/pattern/resume",
+  authenticatePatternMovement,
+  (req, res) => {
+    const result = turtlebot.resumePattern();
+    res.status(result.success ? 200 : 409).json({
+      ...result,
+      action: "resume_pattern",
+      user: req.user.email,
+    });
+  }
+);
+
+app.get("/api/move/pattern", authenticateAndVerifyEmail, (req, res) => {
+  res.json({ ...turtlebot.patternEngine.getStatus(), user: req.user.email });
+});
+
 app.post("/api/verify-firebase-token", async (req, res) => {
   try {
     const { idToken, isNewUser } = req.body;
@@ -1485,7 +1963,7 @@ app.get("/health", (req, res) => {
 });
 
 // Sensor data endpoints (require OTP email verification)
-app.get("/api/sensors/battery", authenticateAndVerifyEmail, (req, res) => {
+app.get("/api/sensors/battery", authenticateSensors, (req, res) => {
   if (turtlebot.batteryData) {
     res.json({ ...turtlebot.batteryData, user: req.user.email });
   } else {
@@ -1495,7 +1973,7 @@ app.get("/api/sensors/battery", authenticateAndVerifyEmail, (req, res) => {
   }
 });
 
-app.get("/api/sensors/odometry", authenticateAndVerifyEmail, (req, res) => {
+app.get("/api/sensors/odometry", authenticateSensors, (req, res) => {
   if (turtlebot.odomData) {
     res.json({ ...turtlebot.odomData, user: req.user.email });
   } else {
@@ -1505,7 +1983,7 @@ app.get("/api/sensors/odometry", authenticateAndVerifyEmail, (req, res) => {
   }
 });
 
-app.get("/api/sensors/laser", authenticateAndVerifyEmail, (req, res) => {
+app.get("/api/sensors/laser", authenticateSensors, (req, res) => {
   if (turtlebot.laserData) {
     res.json({ ...turtlebot.laserData, user: req.user.email });
   } else {
@@ -1515,15 +1993,123 @@ app.get("/api/sensors/laser", authenticateAndVerifyEmail, (req, res) => {
   }
 });
 
+// Bumper, cliff and wheel-drop state per side, e.g. { left, center, right }
+["bumper", "cliff", "wheel_drop"].forEach((sensor) => {
+  app.get(`/api/sensors/${sensor}`, authenticateSensors, (req, res) => {
+    const source = turtlebot.getSensorSources()[sensor];
+    if (!["subscribed", "simulated"].includes(source.status)) {
+      return res.status(503).json({
+        error: `${sensor} sensor not available`,
+        source,
+        user: req.user.email,
+      });
+    }
+    const status = turtlebot.hazards.getStatus();
+    res.json({
+      sensor,
+      state: status[sensor],
+      last_event: turtlebot.hazards.lastEvents[sensor] || null,
+      latched: status.latched,
+      source,
+      user: req.user.email,
+    });
+  });
+});
+
+app.get("/api/sensors/hazards", authenticateSensors, (req, res) => {
+  res.json({ ...turtlebot.hazards.getStatus(), user: req.user.email });
+});
+
+// Release the motion lock after a bump or wheel drop
+app.post(
+  "/api/sensors/hazards/acknowledge",
+  authenticateAndVerifyEmail,
+  requireCapability("drive"),
+  requireControl, // Clearing the latch re-enables motion
+  (req, res) => {
+    const error = turtlebot.acknowledgeHazard(req.user.email);
+    if (error) {
+      return res.status(409).json({
+        error,
+        hazards: turtlebot.hazards.getStatus(),
+        user: req.user.email,
+      });
+    }
+    res.json({
+      success: true,
+      hazards: turtlebot.hazards.getStatus(),
+      user: req.user.email,
+    });
+  }
+);
+
+// Topic rates are streamed once a second to sockets in this room
+const ROS_RATES_ROOM = "ros_rates";
+setInterval(() => {
+  const room = io.sockets.adapter.rooms.get(ROS_RATES_ROOM);
+  if (room && room.size > 0) {
+    io.to(ROS_RATES_ROOM).emit("ros_topic_rates", turtlebot.getTopicRates());
+  }
+}, 1000);
+
+// move_command actions that need the run_pattern capability
+const PATTERN_ACTIONS = [
+  "circle",
+  "triangle",
+  "love",
+  "diamond",
+  "square",
+  "stop_pattern",
+  "pause_pattern",
+  "resume_pattern",
+];
+
 // Socket.IO connection handling
 io.on("connection", (socket) => {
-  console.log("Client connected:", socket.id);
+  console.log(`Client connected: ${socket.id} (${socket.data.user.email})`);
   socket.on("move_command", (data) => {
-    const { action, parameters = {} } = data;
+    // A missing payload gets an error reply instead of throwing
+    if (!data || typeof data !== "object") {
+      socket.emit("error", { message: "move_command needs an action" });
+      return;
+    }
+    const { action } = data;
+    const parameters = data.parameters || {};
+    const patternOptions = { preempt: parameters.preempt === true };
     let success = false;
+    let result = null;
     console.log(`ACTION: ${action}`);
+    if (
+      PATTERN_ACTIONS.includes(action) &&
+      !authorizeCapability(socket, "move_command", "run_pattern")
+    ) {
+      return;
+    }
+    const control = turtlebot.controlLease.authorize(
+      socket.data.user,
+      socket.id
+    );
+    if (!control.success) {
+      socket.emit("move_response", {
+        success: false,
+        action,
+        parameters,
+        error: control.error,
+        control: control.control,
+      });
+      return;
+    }
+    turtlebot.refreshCommandLease(`socket:${socket.id}`);
+
+    if (parameters.mode && !PATTERN_MODES.includes(parameters.mode)) {
+      socket.emit("error", { message: "Invalid pattern mode" });
+      return;
+    }
 
     switch (action) {
+      case "keepalive":
+        success = true;
+        break;
       case "forward":
         success = turtlebot.moveForward(parameters.speed || 0.2);
         break;
@@ -1537,6 +2123,7 @@ io.on("connection", (socket) => {
         success = turtlebot.turnRight(parameters.angular_speed || 0.5);
         break;
       case "stop":
+        turtlebot.cancelMotion("stopped");
         success = turtlebot.stop();
         break;
       case "custom":
@@ -1551,49 +2138,192 @@ io.on("connection", (socket) => {
         break;
       // New pattern movements
       case "circle":
-        success = turtlebot.moveInCircle(
+        result = turtlebot.moveInCircle(
           parameters.radius || 1.0,
           parameters.duration || 10000,
-          parameters.clockwise !== false
+          parameters.clockwise !== false,
+          patternOptions
         );
         break;
       case "triangle":
-        success = turtlebot.moveInTriangle(
+        result = turtlebot.moveInTriangle(
           parameters.sideLength || 1.0,
-          parameters.pauseDuration || 500
+          parameters.pauseDuration || 500,
+          geometricPatternOptions(parameters)
         );
         break;
       case "love":
-        success = turtlebot.moveInLove(
+        result = turtlebot.moveInLove(
           parameters.size || 1.0,
-          parameters.duration || 20000
+          parameters.duration || 20000,
+          patternOptions
         );
         break;
       case "diamond":
-        success = turtlebot.moveInDiamond(
+        result = turtlebot.moveInDiamond(
           parameters.sideLength || 1.0,
-          parameters.pauseDuration || 300
+          parameters.pauseDuration || 300,
+          geometricPatternOptions(parameters)
         );
         break;
       case "square":
-        success = turtlebot.moveSquare(
+        result = turtlebot.moveSquare(
           parameters.sideLength || 2.0,
           parameters.linearSpeed || 0.2,
-          parameters.angularSpeed || 0.5
+          parameters.angularSpeed || 0.5,
+          geometricPatternOptions(parameters)
+        );
+        break;
+      case "distance":
+        result = turtlebot.moveDistance(
+          parseFloat(parameters.distance) || 0,
+          parameters.speed || 0.2,
+          { ...patternOptions, tolerance: parameters.tolerance }
+        );
+        break;
+      case "rotate":
+        result = turtlebot.rotateBy(
+          parseFloat(parameters.angle) || 0,
+          parameters.angular_speed || 0.5,
+          { ...patternOptions, tolerance: parameters.tolerance }
         );
         break;
       case "stop_pattern":
         success = turtlebot.stopPattern();
         break;
+      case "pause_pattern":
+        result = turtlebot.pausePattern();
+        break;
+      case "resume_pattern":
+        result = turtlebot.resumePattern();
+        break;
       default:
         socket.emit("error", { message: "Unknown action" });
         return;
     }
 
-    socket.emit("move_response", { success, action, parameters });
+    if (result) {
+      success = result.success;
+    }
+
+    socket.emit("move_response", {
+      success,
+      action,
+      parameters,
+      result,
+      clamping: turtlebot.getLastClamp(),
+      safety: turtlebot.safety.getState(),
+    });
+  });
+
+  // Diagnostics page: stream measured topic rates while subscribed
+  socket.on("subscribe_ros_rates", () => {
+    socket.join(ROS_RATES_ROOM);
+    socket.emit("ros_topic_rates", turtlebot.getTopicRates());
+  });
+
+  socket.on("unsubscribe_ros_rates", () => {
+    socket.leave(ROS_RATES_ROOM);
+  });
+
+  // Topic proxy: echo whitelisted topics to this socket and publish to them
+  socket.on("topic_subscribe", (data = {}) => {
+    const error = turtlebot.topicProxy.checkSubscribe(data.topic);
+    if (error) {
+      socket.emit("topic_error", { topic: data.topic, error });
+      return;
+    }
+    socket.join(TopicProxyService.topicRoom(data.topic));
+  });
+
+  socket.on("topic_unsubscribe", (data = {}) => {
+    socket.leave(TopicProxyService.topicRoom(data.topic));
+  });
+
+  socket.on("topic_publish", (data = {}) => {
+    // Like motion commands, publishing needs the control lease
+    const control = turtlebot.controlLease.authorize(
+      socket.data.user,
+      socket.id
+    );
+    if (!control.success) {
+      socket.emit("topic_publish_response", {
+        success: false,
+        error: control.error,
+        control: control.control,
+        topic: data.topic,
+      });
+      return;
+    }
+    const { status, ...result } = turtlebot.topicProxy.publish(
+      data.topic,
+      data.msg
+    );
+    socket.emit("topic_publish_response", { ...result, topic: data.topic });
+  });
+
+  // Control lease: answered with control_response, changes are broadcast
+  // to everyone as control_changed
+  socket.on("control_acquire", (data = {}) => {
+    const { status, ...result } = turtlebot.controlLease.acquire(
+      socket.data.user,
+      { socketId: socket.id, force: data.force === true }
+    );
+    socket.emit("control_response", { ...result, action: "acquire" });
+  });
+
+  socket.on("control_release", (data = {}) => {
+    const { status, ...result } = turtlebot.controlLease.release(
+      socket.data.user,
+      { force: data.force === true }
+    );
+    socket.emit("control_response", { ...result, action: "release" });
+  });
+
+  socket.on("control_status", () => {
+    socket.emit("control_changed", turtlebot.controlLease.getStatus());
+  });
+
+  // Waiting queue: answered with queue_response, changes are broadcast to
+  // everyone as queue_updated
+  socket.on("queue_join", () => {
+    const { status, ...result } = queueService.join(
+      socket.data.user,
+      socket.id
+    );
+    socket.emit("queue_response", { ...result, action: "join" });
+  });
+
+  socket.on("queue_leave", () => {
+    const { status, ...result } = queueService.leave(socket.data.user);
+    socket.emit("queue_response", { ...result, action: "leave" });
+  });
+
+  socket.on("queue_status", () => {
+    socket.emit("queue_updated", queueService.getStatus());
+  });
+
+  socket.on("hazard_acknowledge", () => {
+    // Clearing the latch re-enables motion, so it needs control too
+    const control = turtlebot.controlLease.authorize(
+      socket.data.user,
+      socket.id
+    );
+    if (!control.success) {
+      socket.emit("error", {
+        message: control.error,
+        control: control.control,
+      });
+      return;
+    }
+    const error = turtlebot.acknowledgeHazard(socket.data.user.email);
+    if (error) {
+      socket.emit("error", { message: error });
+    }
   });
 
   socket.on("emergency_stop", () => {
+    console.log(`Emergency stop from ${socket.data.user.email}`);
     const success = turtlebot.emergencyStop();
     io.emit("emergency_stop_activated", { success });
   });
@@ -1602,6 +2332,8 @@ io.on("connection", (socket) => {
 
   socket.on("disconnect", () => {
     console.log("Client disconnected:", socket.id);
+    turtlebot.controlLease.handleDisconnect(socket.id);
+    queueService.handleDisconnect(socket.id);
   });
 });
 
@@ -2,6 +2,7 @@
 const admin = require("firebase-admin");
 const OTPService = require("../services/otpService");
 const GoogleAuthenticatorService = require("../services/googleAuthService");
+const { normalizeRole, hasCapability } = require("./permissions");
 
 const otpService = new OTPService();
 const googleAuthService = new GoogleAuthenticatorService();
@@ -27,7 +28,7 @@ const authenticateFirebaseToken = async (req, res, next) => {
       uid: decodedToken.uid,
       email: decodedToken.email,
       emailVerified: decodedToken.email_verified,
-      role: decodedToken.role || "user",
+      role: normalizeRole(decodedToken.role),
     };
 
     next();
@@ -128,6 +129,21 @@ const requireRole = (allowedRoles) => {
   };
 };
 
+// Capability-based authorization middleware (see middleware/permissions.js)
+const requireCapability = (capability) => {
+  return (req, res, next) => {
+    if (!hasCapability(req.user, capability)) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        requiredCapability: capability,
+        userRole: req.user.role,
+      });
+    }
+
+    next();
+  };
+};
+
 // Combined middleware: Firebase auth + Email verification
 const authenticateAndVerifyEmail = [
   authenticateFirebaseToken,
@@ -146,6 +162,7 @@ module.exports = {
   requireEmailVerification,
   requireTwoFactorAuth,
   requireRole,
+  requireCapability,
   authenticateAndVerifyEmail,
   authenticateAndVerifyAll,
   otpService,
@@ -0,0 +1,57 @@
+// Permissions - the one place roles are mapped to capabilities. Routes and
+// socket events check capabilities, never role names.
+
+const ROLES = ["viewer", "operator", "admin"];
+
+// Roles assigned before the viewer/operator/admin split; "user" accounts
+// could drive, so they keep doing so as operators
+const LEGACY_ROLES = {
+  user: "operator",
+  moderator: "operator",
+};
+
+const CAPABILITIES = {
+  view_sensors: "Read sensors, odometry, hazards and topic echoes",
+  view_camera: "Watch the webcam stream and capture images",
+  drive: "Send velocity commands, motion primitives and navigation goals",
+  run_pattern: "Run, pause and stop pattern movements and missions",
+  manage_webcam: "Test, reinitialize and broadcast the webcam",
+  sim_admin: "Inject and clear simulation faults",
+  configure_robot: "Switch drivers, change safety limits and use ROS tools",
+  take_control: "Take or release the control lease held by another user",
+  manage_reservations:
+    "Approve reservations, set auto-approval rules and drive during others' slots",
+  manage_queue:
+    "Reorder, pause and clear the waiting queue and drive out of turn",
+};
+
+const ROLE_CAPABILITIES = {
+  viewer: ["view_sensors", "view_camera"],
+  operator: ["view_sensors", "view_camera", "drive", "run_pattern"],
+  admin: Object.keys(CAPABILITIES),
+};
+
+// Canonical role of a token claim; unknown or missing roles are viewers
+function normalizeRole(role) {
+  if (ROLES.includes(role)) {
+    return role;
+  }
+  return LEGACY_ROLES[role] || "viewer";
+}
+
+function roleCapabilities(role) {
+  return ROLE_CAPABILITIES[normalizeRole(role)];
+}
+
+function hasCapability(user, capability) {
+  return Boolean(user) && roleCapabilities(user.role).includes(capability);
+}
+
+module.exports = {
+  ROLES,
+  CAPABILITIES,
+  ROLE_CAPABILITIES,
+  normalizeRole,
+  roleCapabilities,
+  hasCapability,
+};
@@ -0,0 +1,249 @@
+// Socket.IO Authentication - the handshake runs the same checks as the REST
+// middleware (Firebase token, OTP email verification, 2FA when enabled) and
+// every event is authorized by capability
+const admin = require("firebase-admin");
+const { otpService, googleAuthService } = require("./auth");
+const {
+  normalizeRole,
+  roleCapabilities,
+  hasCapability,
+} = require("./permissions");
+
+// Capability needed to emit each event; events not listed (emergency_stop,
+// unsubscribing) are open to any authenticated user
+const SOCKET_EVENT_CAPABILITIES = {
+  move_command: "drive", // Pattern actions also need run_pattern
+  hazard_acknowledge: "drive",
+  topic_publish: "drive",
+  control_acquire: "drive",
+  queue_join: "drive",
+  topic_subscribe: "view_sensors",
+  subscribe_ros_rates: "configure_robot",
+  // Socket.IO webcam service
+  start_webcam_stream: "view_camera",
+  capture_webcam_image: "view_camera",
+  test_webcam: "manage_webcam",
+  change_frame_rate: "manage_webcam",
+  // Browser webcam service: broadcasting replaces what every viewer sees
+  register_viewer: "view_camera",
+  stream: "manage_webcam",
+  register_broadcaster: "manage_webcam",
+};
+
+// Warn this long before the ID token expires, so the client can refresh
+const TOKEN_EXPIRY_WARNING_MS =
+  parseInt(process.env.SOCKET_TOKEN_EXPIRY_WARNING_MS) || 60000;
+
+// Error with the reason in err.data, as the client's connect_error receives it
+function authError(code, message, extra = {}) {
+  const error = new Error(message);
+  error.data = { code, error: message, ...extra };
+  return error;
+}
+
+// ID token from the handshake: io({ auth: { token } }) or a Bearer header
+function handshakeToken(handshake) {
+  if (handshake.auth && typeof handshake.auth.token === "string") {
+    return handshake.auth.token;
+  }
+  const authHeader = handshake.headers.authorization;
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    return authHeader.split("Bearer ")[1];
+  }
+  return null;
+}
+
+// Verify a token and the user's email/2FA state; resolves to the socket
+// user or throws an authError
+async function verifySocketUser(token) {
+  if (!token) {
+    throw authError("missing_token", "No valid authorization token provided");
+  }
+
+  let decodedToken;
+  try {
+    decodedToken = await admin.auth().verifyIdToken(token);
+  } catch (error) {
+    throw authError("invalid_token", "Invalid or expired token", {
+      details: error.message,
+    });
+  }
+
+  const user = {
+    uid: decodedToken.uid,
+    email: decodedToken.email,
+    emailVerified: decodedToken.email_verified,
+    role: normalizeRole(decodedToken.role),
+    tokenExpiresAt: decodedToken.exp * 1000,
+  };
+  if (!user.email) {
+    throw authError("missing_email", "No email found in token");
+  }
+
+  if (!(await otpService.isEmailVerified(user.email))) {
+    throw authError("email_not_verified", "Email verification required", {
+      requiresOTP: true,
+    });
+  }
+
+  user.twoFactorEnabled = await googleAuthService.isTwoFactorEnabled(
+    user.email
+  );
+  if (
+    user.twoFactorEnabled &&
+    !(await googleAuthService.isTwoFactorVerified(user.email))
+  ) {
+    throw authError(
+      "two_factor_required",
+      "Two-factor authentication required",
+      { requires2FA: true, email: user.email }
+    );
+  }
+  return user;
+}
+
+// Handshake middleware: refuse the connection unless the user is verified
+async function authenticateSocket(socket, next) {
+  try {
+    socket.data.user = await verifySocketUser(handshakeToken(socket.handshake));
+    next();
+  } catch (error) {
+    if (!error.data) {
+      console.error("Socket authentication failed:", error);
+      return next(
+        authError("auth_failed", "Failed to verify authentication status", {
+          details: error.message,
+        })
+      );
+    }
+    console.warn(
+      `Socket ${socket.id} refused: ${error.data.code} (${socket.handshake.address})`
+    );
+    next(error);
+  }
+}
+
+function emitUnauthorized(socket, event, code, message, extra = {}) {
+  socket.emit("unauthorized", {
+    event,
+    code,
+    error: message,
+    ...extra,
+    timestamp: new Date().toISOString(),
+  });
+}
+
+// Emit unauthorized unless the socket's user has the capability
+function authorizeCapability(socket, event, capability) {
+  const user = socket.data.user;
+  if (hasCapability(user, capability)) {
+    return true;
+  }
+  console.warn(`Socket ${socket.id} (${user.email}) may not emit ${event}`);
+  emitUnauthorized(
+    socket,
+    event,
+    "insufficient_permissions",
+    "Insufficient permissions",
+    { requiredCapability: capability, userRole: user.role }
+  );
+  return false;
+}
+
+// Packet middleware: drop events the user may not emit, or any event once
+// the token has expired
+function authorizeEvent(socket) {
+  return ([event], next) => {
+    const user = socket.data.user;
+    if (event === "auth_refresh") {
+      return next();
+    }
+    if (Date.now() >= user.tokenExpiresAt) {
+      return emitUnauthorized(
+        socket,
+        event,
+        "token_expired",
+        "Token expired; send auth_refresh with a new ID token"
+      );
+    }
+    const capability = SOCKET_EVENT_CAPABILITIES[event];
+    if (capability && !authorizeCapability(socket, event, capability)) {
+      return;
+    }
+    next();
+  };
+}
+
+// Warn before the token expires and disconnect once it has
+function scheduleTokenExpiry(socket) {
+  clearTimeout(socket.data.expiryWarningTimer);
+  clearTimeout(socket.data.expiryTimer);
+
+  const remaining = socket.data.user.tokenExpiresAt - Date.now();
+  socket.data.expiryWarningTimer = setTimeout(() => {
+    socket.emit("token_expiring", {
+      expires_at: new Date(socket.data.user.tokenExpiresAt).toISOString(),
+    });
+  }, Math.max(remaining - TOKEN_EXPIRY_WARNING_MS, 0));
+  socket.data.expiryTimer = setTimeout(() => {
+    emitUnauthorized(socket, null, "token_expired", "Token expired");
+    socket.disconnect(true);
+  }, Math.max(remaining, 0));
+}
+
+// Long-lived sockets send a fresh ID token before the current one expires
+function handleTokenRefresh(socket) {
+  socket.on("auth_refresh", async (data = {}) => {
+    try {
+      const user = await verifySocketUser(data.token);
+      if (user.uid !== socket.data.user.uid) {
+        throw authError(
+          "user_mismatch",
+          "Token belongs to a different user than this connection"
+        );
+      }
+      socket.data.user = user;
+      scheduleTokenExpiry(socket);
+      socket.emit("auth_refreshed", {
+        role: user.role,
+        capabilities: roleCapabilities(user.role),
+        expires_at: new Date(user.tokenExpiresAt).toISOString(),
+      });
+    } catch (error) {
+      const {
+        code,
+        error: message,
+        ...extra
+      } = error.data || {
+        code: "auth_failed",
+        error: "Failed to verify authentication status",
+      };
+      emitUnauthorized(socket, "auth_refresh", code, message, extra);
+    }
+  });
+}
+
+// Install on the server before any service registers connection handlers
+function setupSocketAuth(io) {
+  io.use(authenticateSocket);
+  io.on("connection", (socket) => {
+    console.log(
+      `Socket ${socket.id} authenticated as ${socket.data.user.email} (${socket.data.user.role})`
+    );
+    socket.use(authorizeEvent(socket));
+    handleTokenRefresh(socket);
+    scheduleTokenExpiry(socket);
+    socket.on("disconnect", () => {
+      clearTimeout(socket.data.expiryWarningTimer);
+      clearTimeout(socket.data.expiryTimer);
+    });
+  });
+}
+
+module.exports = {
+  SOCKET_EVENT_CAPABILITIES,
+  setupSocketAuth,
+  authorizeCapability,
+  authenticateSocket,
+  verifySocketUser,
+};
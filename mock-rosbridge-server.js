@@ -0,0 +1,256 @@
+// Mock rosbridge server for developing without a robot
+// Speaks enough of the rosbridge v2 protocol for ROBOT_DRIVER=rosbridge:
+// advertise/publish (cmd_vel drives a simple kinematic model), subscribe
+// (odom, scan and battery are streamed back) and call_service (rosapi topic,
+// node, service and parameter queries, plus a few robot services).
+//
+// Usage: node mock-rosbridge-server.js [port]   (default 9090)
+const { WebSocketServer } = require("ws");
+
+const TOPICS = {
+  "/odom": "nav_msgs/Odometry",
+  "/scan": "sensor_msgs/LaserScan",
+  "/battery_state": "sensor_msgs/BatteryState",
+  "/cmd_vel": "geometry_msgs/Twist",
+  "/mobile_base/events/bumper": "kobuki_msgs/BumperEvent",
+  "/mobile_base/events/cliff": "kobuki_msgs/CliffEvent",
+  "/mobile_base/events/wheel_drop": "kobuki_msgs/WheelDropEvent",
+};
+
+// Nodes publishing and subscribing each topic, for the rosapi graph queries
+const MOCK_NODE = "/mock_robot";
+const BRIDGE_NODE = "/rosbridge_websocket";
+const GRAPH = {
+  "/odom": { publishers: [MOCK_NODE], subscribers: [BRIDGE_NODE] },
+  "/scan": { publishers: [MOCK_NODE], subscribers: [BRIDGE_NODE] },
+  "/battery_state": { publishers: [MOCK_NODE], subscribers: [BRIDGE_NODE] },
+  "/cmd_vel": { publishers: [BRIDGE_NODE], subscribers: [MOCK_NODE] },
+  "/mobile_base/events/bumper": {
+    publishers: [MOCK_NODE],
+    subscribers: [BRIDGE_NODE],
+  },
+  "/mobile_base/events/cliff": {
+    publishers: [MOCK_NODE],
+    subscribers: [BRIDGE_NODE],
+  },
+  "/mobile_base/events/wheel_drop": {
+    publishers: [MOCK_NODE],
+    subscribers: [BRIDGE_NODE],
+  },
+};
+
+// Parameter server contents, by full name
+const PARAMS = {
+  "/velocity_smoother/speed_lim_v": 0.8,
+  "/velocity_smoother/speed_lim_w": 5.4,
+  "/velocity_smoother/accel_lim_v": 0.3,
+  "/velocity_smoother/accel_lim_w": 3.5,
+  "/velocity_smoother/frequency": 20.0,
+  "/mobile_base/use_imu_heading": true,
+  "/rosdistro": "noetic",
+};
+
+// rosapi and robot services answered by the mock
+const SERVICES = {
+  "/rosapi/topics": () => ({
+    topics: Object.keys(TOPICS),
+    types: Object.values(TOPICS),
+  }),
+  "/rosapi/nodes": () => ({ nodes: [MOCK_NODE, BRIDGE_NODE, "/rosapi"] }),
+  "/rosapi/publishers": ({ topic }) => ({
+    publishers: GRAPH[topic] ? GRAPH[topic].publishers : [],
+  }),
+  "/rosapi/subscribers": ({ topic }) => ({
+    subscribers: GRAPH[topic] ? GRAPH[topic].subscribers : [],
+  }),
+  "/rosapi/services": () => ({ services: Object.keys(SERVICES) }),
+  "/rosapi/service_node": () => ({ node: "/rosapi" }),
+  // rosapi sends parameter values as JSON strings
+  "/rosapi/get_param_names": () => ({ names: Object.keys(PARAMS) }),
+  "/rosapi/has_param": ({ name }) => ({ exists: name in PARAMS }),
+  "/rosapi/get_param": ({ name }) => ({
+    value: JSON.stringify(name in PARAMS ? PARAMS[name] : null),
+  }),
+  "/rosapi/set_param": ({ name, value }) => {
+    PARAMS[name] = JSON.parse(value);
+    return {};
+  },
+  "/move_base/clear_costmaps": () => ({}),
+  "/slam_toolbox/save_map": () => ({ result: 0 }),
+};
+
+// Publish periods (ms) of the streamed topics
+const STREAM_PERIODS = {
+  "/odom": 100,
+  "/scan": 200,
+  "/battery_state": 1000,
+};
+
+function createMockRosbridgeServer({ port = 9090 } = {}) {
+  const wss = new WebSocketServer({ port });
+  const robot = { x: 0, y: 0, yaw: 0, linear: 0, angular: 0, battery: 1.0 };
+
+  const messages = {
+    "/odom": () => ({
+      header: { frame_id: "odom" },
+      pose: {
+        pose: {
+          position: { x: robot.x, y: robot.y, z: 0 },
+          orientation: {
+            x: 0,
+            y: 0,
+            z: Math.sin(robot.yaw / 2),
+            w: Math.cos(robot.yaw / 2),
+          },
+        },
+      },
+      twist: {
+        twist: {
+          linear: { x: robot.linear, y: 0, z: 0 },
+          angular: { x: 0, y: 0, z: robot.angular },
+        },
+      },
+    }),
+    "/scan": () => ({
+      angle_min: -Math.PI,
+      angle_max: Math.PI,
+      angle_increment: Math.PI / 180,
+      time_increment: 0,
+      scan_time: 0.2,
+      range_min: 0.1,
+      range_max: 6.0,
+      ranges: Array.from({ length: 360 }, () => 3.0),
+    }),
+    "/battery_state": () => ({
+      percentage: robot.battery,
+      voltage: 16.8,
+      current: -1.2,
+      charge: robot.battery * 2.2,
+      capacity: 2.2,
+      design_capacity: 2.2,
+      present: true,
+    }),
+  };
+
+  // Integrate the last cmd_vel so odometry reflects commanded motion
+  const integrator = setInterval(() => {
+    const dt = 0.05;
+    robot.yaw += robot.angular * dt;
+    robot.x += robot.linear * Math.cos(robot.yaw) * dt;
+    robot.y += robot.linear * Math.sin(robot.yaw) * dt;
+    robot.battery = Math.max(0.1, robot.battery - 0.00001);
+  }, 50);
+
+  wss.on("connection", (socket) => {
+    console.log("Mock rosbridge: client connected");
+    const timers = new Map(); // subscription id -> interval
+    const loopback = new Map(); // subscription id -> topic without a stream
+
+    const send = (message) => socket.send(JSON.stringify(message));
+
+    socket.on("message", (data) => {
+      let message;
+      try {
+        message = JSON.parse(data);
+      } catch (error) {
+        send({ op: "status", level: "error", msg: "Invalid JSON" });
+        return;
+      }
+
+      switch (message.op) {
+        case "advertise":
+          console.log(`Mock rosbridge: advertise ${message.topic}`);
+          break;
+
+        case "publish":
+          // Any Twist drives the robot, whichever cmd_vel topic is used
+          if (message.msg && message.msg.linear && message.msg.angular) {
+            robot.linear = message.msg.linear.x;
+            robot.angular = message.msg.angular.z;
+          }
+          // Other clients' messages reach subscribers, as through a real graph
+          if ([...loopback.values()].includes(message.topic)) {
+            send({ op: "publish", topic: message.topic, msg: message.msg });
+          }
+          break;
+
+        case "subscribe": {
+          const period = STREAM_PERIODS[message.topic];
+          if (!period) {
+            // Event topics (bumper, cliff, wheel drop) only carry
+            // messages other clients publish
+            loopback.set(message.id, message.topic);
+            if (!TOPICS[message.topic]) {
+              send({
+                op: "status",
+                level: "warning",
+                msg: `No publisher for ${message.topic}`,
+              });
+            }
+            break;
+          }
+          console.log(`Mock rosbridge: subscribe ${message.topic}`);
+          timers.set(
+            message.id,
+            setInterval(
+              () =>
+                send({
+                  op: "publish",
+                  topic: message.topic,
+                  msg: messages[message.topic](),
+                }),
+              period
+            )
+          );
+          break;
+        }
+
+        case "unsubscribe":
+          clearInterval(timers.get(message.id));
+          timers.delete(message.id);
+          loopback.delete(message.id);
+          break;
+
+        case "call_service": {
+          const handler =
+            message.service === "/mobile_base/reset_odometry"
+              ? () => {
+                  robot.x = robot.y = robot.yaw = 0;
+                  return {};
+                }
+              : SERVICES[message.service];
+          send({
+            op: "service_response",
+            id: message.id,
+            service: message.service,
+            values: handler
+              ? handler(message.args || {})
+              : `Service ${message.service} does not exist`,
+            result: Boolean(handler),
+          });
+          break;
+        }
+
+        default:
+          break;
+      }
+    });
+
+    socket.on("close", () => {
+      timers.forEach((timer) => clearInterval(timer));
+      console.log("Mock rosbridge: client disconnected");
+    });
+  });
+
+  wss.on("close", () => clearInterval(integrator));
+
+  return { wss, robot };
+}
+
+if (require.main === module) {
+  const port = parseInt(process.argv[2]) || 9090;
+  createMockRosbridgeServer({ port });
+  console.log(`Mock rosbridge server listening on ws://localhost:${port}`);
+}
+
+module.exports = createMockRosbridgeServer;
@@ -5,6 +5,13 @@ const {
   verifyToken,
   admin,
 } = require("../admin");
+const { authenticateAndVerifyEmail } = require("../middleware/auth");
+const {
+  ROLES,
+  CAPABILITIES,
+  normalizeRole,
+  roleCapabilities,
+} = require("../middleware/permissions");
 const router = express.Router();
 
 // Middleware to verify Firebase token
@@ -45,9 +52,10 @@ router.post(
       // Find user by email
       const user = await admin.auth().getUserByEmail(email);
 
-      const validRoles = ["admin", "user", "moderator"];
-      if (!validRoles.includes(role)) {
-        return res.status(400).json({ error: "Invalid role" });
+      if (!ROLES.includes(role)) {
+        return res
+          .status(400)
+          .json({ error: "Invalid role", validRoles: ROLES });
       }
 
       const result = await setUserRole(user.uid, role);
@@ -65,15 +73,14 @@ router.post("/assign-role", async (req, res) => {
     console.log("ASSIGN ROLE");
     const { uid, role, override } = req.body;
 
-    const validRoles = ["admin", "user", "moderator"];
-    if (!validRoles.includes(role)) {
-      return res.status(400).json({ error: "Invalid role" });
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: "Invalid role", validRoles: ROLES });
     }
 
     // Allow override for first admin setup
     let assignedRole = role;
-    if (!override && (role === "admin" || role === "moderator")) {
-      assignedRole = "user"; // Default to user for security
+    if (!override && role !== "viewer") {
+      assignedRole = "viewer"; // Default to viewer for security
     }
 
     const result = await setUserRole(uid, assignedRole);
@@ -93,9 +100,10 @@ router.post(
     try {
       const { uid, role } = req.body;
 
-      const validRoles = ["admin", "user", "moderator"];
-      if (!validRoles.includes(role)) {
-        return res.status(400).json({ error: "Invalid role" });
+      if (!ROLES.includes(role)) {
+        return res
+          .status(400)
+          .json({ error: "Invalid role", validRoles: ROLES });
       }
 
       const result = await setUserRole(uid, role);
@@ -133,7 +141,7 @@ router.get("/users", authenticateUser, requireAdmin, async (req, res) => {
       uid: user.uid,
       email: user.email,
       displayName: user.displayName,
-      role: user.customClaims?.role || "user",
+      role: normalizeRole(user.customClaims?.role),
       disabled: user.disabled,
       emailVerified: user.emailVerified,
     }));
@@ -145,4 +153,18 @@ router.get("/users", authenticateUser, requireAdmin, async (req, res) => {
   }
 });
 
+// Effective role and capabilities of the current user, for the frontend
+router.get("/capabilities", authenticateAndVerifyEmail, (req, res) => {
+  const capabilities = roleCapabilities(req.user.role);
+  res.json({
+    uid: req.user.uid,
+    email: req.user.email,
+    role: req.user.role,
+    capabilities,
+    descriptions: Object.fromEntries(
+      capabilities.map((capability) => [capability, CAPABILITIES[capability]])
+    ),
+  });
+});
+
 module.exports = router;
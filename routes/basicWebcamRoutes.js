@@ -1,6 +1,21 @@
 const express = require("express");
 const router = express.Router();
 const NodeWebcam = require("node-webcam");
+const {
+  authenticateAndVerifyEmail,
+  requireCapability,
+} = require("../middleware/auth");
+
+// The same capabilities as /api/webcam: watching needs view_camera, testing
+// and cleaning up need manage_webcam
+const authenticateViewer = [
+  ...authenticateAndVerifyEmail,
+  requireCapability("view_camera"),
+];
+const authenticateManager = [
+  ...authenticateAndVerifyEmail,
+  requireCapability("manage_webcam"),
+];
 
 // Basic webcam configuration for debugging
 const basicWebcamOptions = {
@@ -35,8 +50,8 @@ function initBasicWebcam() {
 // Initialize webcam on module load
 const isInitialized = initBasicWebcam();
 
-// Basic status endpoint (no auth for debugging)
-router.get("/status", (req, res) => {
+// Basic status endpoint
+router.get("/status", authenticateViewer, (req, res) => {
   console.log("📊 Basic webcam status requested");
   res.json({
     initialized: isInitialized,
@@ -46,8 +61,8 @@ router.get("/status", (req, res) => {
   });
 });
 
-// Basic image capture endpoint (no auth for debugging)
-router.get("/capture", (req, res) => {
+// Basic image capture endpoint
+router.get("/capture", authenticateViewer, (req, res) => {
   console.log("📸 Basic webcam capture requested");
 
   if (!webcam) {
@@ -104,8 +119,8 @@ router.get("/capture", (req, res) => {
   });
 });
 
-// Basic MJPEG stream endpoint (no auth for debugging)
-router.get("/stream", (req, res) => {
+// Basic MJPEG stream endpoint
+router.get("/stream", authenticateViewer, (req, res) => {
   console.log("🎥 Basic webcam stream requested");
 
   if (!webcam) {
@@ -205,7 +220,7 @@ router.get("/stream", (req, res) => {
 });
 
 // Test endpoint to verify webcam is working
-router.get("/test", (req, res) => {
+router.get("/test", authenticateManager, (req, res) => {
   console.log("🧪 Basic webcam test requested");
 
   if (!webcam) {
@@ -264,7 +279,7 @@ router.get("/test", (req, res) => {
 });
 
 // Debug endpoint to clean up any leftover files
-router.post("/cleanup", (req, res) => {
+router.post("/cleanup", authenticateManager, (req, res) => {
   console.log("🧹 Cleanup requested");
 
   const fs = require("fs");
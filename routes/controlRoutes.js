@@ -0,0 +1,47 @@
+// Control Routes for the exclusive driving lease
+const express = require("express");
+const {
+  authenticateAndVerifyEmail,
+  requireCapability,
+} = require("../middleware/auth");
+
+function createControlRoutes(controlLease) {
+  const router = express.Router();
+
+  router.use(authenticateAndVerifyEmail);
+
+  // Who holds control and when the lease expires
+  router.get("/status", (req, res) => {
+    res.json({
+      ...controlLease.getStatus(),
+      is_holder: controlLease.isHolder(req.user),
+      user: req.user.email,
+    });
+  });
+
+  // Take control: { force } takes it from the current holder (take_control)
+  router.post("/acquire", requireCapability("drive"), (req, res) => {
+    const { status, ...result } = controlLease.acquire(req.user, {
+      force: req.body.force === true,
+    });
+    res.status(result.success ? 200 : status).json({
+      ...result,
+      user: req.user.email,
+    });
+  });
+
+  // Give control up: { force } releases another user's lease (take_control)
+  router.post("/release", (req, res) => {
+    const { status, ...result } = controlLease.release(req.user, {
+      force: req.body.force === true,
+    });
+    res.status(result.success ? 200 : status).json({
+      ...result,
+      user: req.user.email,
+    });
+  });
+
+  return router;
+}
+
+module.exports = createControlRoutes;
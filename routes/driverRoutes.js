@@ -0,0 +1,46 @@
+// Driver Routes for inspecting and switching the robot driver at runtime
+const express = require("express");
+const {
+  authenticateAndVerifyEmail,
+  requireCapability,
+} = require("../middleware/auth");
+
+function createDriverRoutes(controller, availableDrivers) {
+  const router = express.Router();
+
+  // Active driver health and sensor sources
+  router.get("/", authenticateAndVerifyEmail, (req, res) => {
+    res.json({
+      driver: controller.driver ? controller.driver.getHealth() : null,
+      available_drivers: availableDrivers,
+      switching: controller.switchingDriver,
+      sensor_sources: controller.getSensorSources(),
+      user: req.user.email,
+    });
+  });
+
+  // Switch driver (configure_robot); stops the robot and any running pattern
+  router.post(
+    "/",
+    authenticateAndVerifyEmail,
+    requireCapability("configure_robot"),
+    async (req, res) => {
+      const { driver } = req.body;
+      if (!availableDrivers.includes(driver)) {
+        return res.status(400).json({
+          error: `driver must be one of ${availableDrivers.join(", ")}`,
+        });
+      }
+
+      console.log(`Driver switch to ${driver} requested by ${req.user.email}`);
+      const result = await controller.switchDriver(driver);
+      res
+        .status(result.success ? 200 : result.driver ? 502 : 409)
+        .json({ ...result, action: "switch_driver", user: req.user.email });
+    }
+  );
+
+  return router;
+}
+
+module.exports = createDriverRoutes;
@@ -0,0 +1,167 @@
+// Mission Routes for waypoint mission CRUD, execution and run history
+const express = require("express");
+const {
+  authenticateAndVerifyEmail,
+  requireCapability,
+} = require("../middleware/auth");
+
+// requireControl: middleware that admits only the control lease holder
+function createMissionRoutes(missionService, requireControl) {
+  const router = express.Router();
+  const authenticateRunPattern = [
+    ...authenticateAndVerifyEmail,
+    requireCapability("run_pattern"),
+  ];
+  // Running and cancelling drive the robot, so they need the control lease
+  const authenticateMissionRun = [...authenticateRunPattern, requireControl];
+
+  // Load the mission named by :id or respond 404
+  const loadMission = async (req, res, next) => {
+    try {
+      const mission = await missionService.getMission(req.params.id);
+      if (!mission) {
+        return res.status(404).json({ error: "Mission not found" });
+      }
+      req.mission = mission;
+      next();
+    } catch (error) {
+      console.error("Error loading mission:", error);
+      res.status(500).json({ error: "Failed to load mission" });
+    }
+  };
+
+  // List missions
+  router.get("/", authenticateAndVerifyEmail, async (req, res) => {
+    try {
+      const missions = await missionService.listMissions();
+      res.json({ missions, user: req.user.email });
+    } catch (error) {
+      console.error("Error listing missions:", error);
+      res.status(500).json({ error: "Failed to list missions" });
+    }
+  });
+
+  // Create a mission
+  router.post("/", authenticateRunPattern, async (req, res) => {
+    try {
+      const validationError = missionService.validateMission(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+      if (await missionService.findMissionByName(req.body.name)) {
+        return res
+          .status(409)
+          .json({ error: "A mission with this name already exists" });
+      }
+
+      const mission = await missionService.createMission(
+        req.body,
+        req.user.email
+      );
+      res.status(201).json({ success: true, mission });
+    } catch (error) {
+      console.error("Error creating mission:", error);
+      res.status(500).json({ error: "Failed to create mission" });
+    }
+  });
+
+  // Active mission run
+  router.get("/active", authenticateAndVerifyEmail, (req, res) => {
+    res.json({ ...missionService.getStatus(), user: req.user.email });
+  });
+
+  // Cancel the active mission run
+  router.post("/cancel", authenticateMissionRun, (req, res) => {
+    const success = missionService.cancelActiveRun();
+    res.status(success ? 200 : 409).json({
+      success,
+      ...(success ? {} : { error: "No mission is running" }),
+      user: req.user.email,
+    });
+  });
+
+  router.get("/:id", authenticateAndVerifyEmail, loadMission, (req, res) => {
+    res.json(req.mission);
+  });
+
+  // Replace a mission's name, description and steps
+  router.put("/:id", authenticateRunPattern, loadMission, async (req, res) => {
+    try {
+      const validationError = missionService.validateMission(req.body);
+      if (validationError) {
+        return res.status(400).json({ error: validationError });
+      }
+
+      const existing = await missionService.findMissionByName(req.body.name);
+      if (existing && existing.id !== req.mission.id) {
+        return res
+          .status(409)
+          .json({ error: "A mission with this name already exists" });
+      }
+
+      const mission = await missionService.updateMission(
+        req.mission.id,
+        req.body,
+        req.user.email
+      );
+      res.json({ success: true, mission });
+    } catch (error) {
+      console.error("Error updating mission:", error);
+      res.status(500).json({ error: "Failed to update mission" });
+    }
+  });
+
+  router.delete(
+    "/:id",
+    authenticateRunPattern,
+    loadMission,
+    async (req, res) => {
+      try {
+        await missionService.deleteMission(req.mission.id);
+        res.json({ success: true, id: req.mission.id });
+      } catch (error) {
+        console.error("Error deleting mission:", error);
+        res.status(500).json({ error: "Failed to delete mission" });
+      }
+    }
+  );
+
+  // Execute a mission through the TurtleBot controller
+  router.post(
+    "/:id/run",
+    authenticateMissionRun,
+    loadMission,
+    async (req, res) => {
+      try {
+        const result = await missionService.startMission(req.mission, req.user);
+        res.status(result.success ? 202 : 409).json(result);
+      } catch (error) {
+        console.error("Error starting mission:", error);
+        res.status(500).json({ error: "Failed to start mission" });
+      }
+    }
+  );
+
+  // Run history with per-waypoint results
+  router.get(
+    "/:id/runs",
+    authenticateAndVerifyEmail,
+    loadMission,
+    async (req, res) => {
+      try {
+        const runs = await missionService.listRuns(
+          req.mission.id,
+          parseInt(req.query.limit) || 20
+        );
+        res.json({ mission_id: req.mission.id, runs });
+      } catch (error) {
+        console.error("Error listing mission runs:", error);
+        res.status(500).json({ error: "Failed to list mission runs" });
+      }
+    }
+  );
+
+  return router;
+}
+
+module.exports = createMissionRoutes;
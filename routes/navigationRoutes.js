@@ -0,0 +1,71 @@
+// Navigation Routes for go-to-pose goals in the odometry frame
+const express = require("express");
+const {
+  authenticateAndVerifyEmail,
+  requireCapability,
+} = require("../middleware/auth");
+
+// requireControl: middleware that admits only the control lease holder
+function createNavigationRoutes(navigationService, requireControl) {
+  const router = express.Router();
+  const authenticateDrive = [
+    ...authenticateAndVerifyEmail,
+    requireCapability("drive"),
+    requireControl,
+  ];
+
+  // Send a navigation goal {x, y, theta}
+  router.post("/goal", authenticateDrive, (req, res) => {
+    const x = parseFloat(req.body.x);
+    const y = parseFloat(req.body.y);
+    const theta =
+      req.body.theta === undefined || req.body.theta === null
+        ? null
+        : parseFloat(req.body.theta);
+
+    if (!Number.isFinite(x) || !Number.isFinite(y)) {
+      return res
+        .status(400)
+        .json({ error: "Goal x and y (metres, odometry frame) are required" });
+    }
+    if (theta !== null && !Number.isFinite(theta)) {
+      return res.status(400).json({ error: "Goal theta must be in radians" });
+    }
+
+    const result = navigationService.navigateTo(
+      { x, y, theta },
+      {
+        linearSpeed: parseFloat(req.body.linearSpeed),
+        angularSpeed: parseFloat(req.body.angularSpeed),
+        positionTolerance: parseFloat(req.body.positionTolerance),
+        angleTolerance: parseFloat(req.body.angleTolerance),
+        timeout: parseInt(req.body.timeout),
+        preempt: req.body.preempt === true,
+      }
+    );
+
+    res
+      .status(result.success ? 200 : result.requiresOdometry ? 503 : 409)
+      .json({ ...result, action: "navigate_goal", user: req.user.email });
+  });
+
+  // Cancel the active goal
+  router.post("/cancel", authenticateDrive, (req, res) => {
+    const success = navigationService.cancel();
+    res.status(success ? 200 : 409).json({
+      success,
+      action: "navigate_cancel",
+      ...(success ? {} : { error: "No active navigation goal" }),
+      user: req.user.email,
+    });
+  });
+
+  // Current goal and last result
+  router.get("/status", authenticateAndVerifyEmail, (req, res) => {
+    res.json({ ...navigationService.getStatus(), user: req.user.email });
+  });
+
+  return router;
+}
+
+module.exports = createNavigationRoutes;
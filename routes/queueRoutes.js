@@ -0,0 +1,66 @@
+// Queue Routes for the open-lab waiting queue and its driving turns
+const express = require("express");
+const {
+  authenticateAndVerifyEmail,
+  requireCapability,
+} = require("../middleware/auth");
+
+function createQueueRoutes(queue) {
+  const router = express.Router();
+
+  router.use(authenticateAndVerifyEmail);
+
+  const manageQueue = requireCapability("manage_queue");
+
+  const sendResult = (req, res, result) => {
+    const { status, ...body } = result;
+    res
+      .status(result.success ? 200 : status)
+      .json({ ...body, user: req.user.email });
+  };
+
+  // Current turn, waiting users with ETAs, and the caller's place
+  router.get("/", (req, res) => {
+    const status = queue.getStatus();
+    const entry = status.waiting.find(({ uid }) => uid === req.user.uid);
+    res.json({
+      ...status,
+      is_turn: queue.isTurn(req.user),
+      position: entry ? entry.position : null,
+      eta_at: entry ? entry.eta_at : null,
+      user: req.user.email,
+    });
+  });
+
+  // Join at the end of the queue (the same capability as /api/move/*)
+  router.post("/join", requireCapability("drive"), (req, res) => {
+    sendResult(req, res, queue.join(req.user));
+  });
+
+  // Leave the queue, or end one's own turn early
+  router.post("/leave", (req, res) => {
+    sendResult(req, res, queue.leave(req.user));
+  });
+
+  // Move a waiting user: { uid, position } (1 = next)
+  router.post("/move", manageQueue, (req, res) => {
+    sendResult(req, res, queue.move(req.body.uid, req.body.position));
+  });
+
+  router.post("/pause", manageQueue, (req, res) => {
+    sendResult(req, res, queue.setPaused(true, req.user.email));
+  });
+
+  router.post("/resume", manageQueue, (req, res) => {
+    sendResult(req, res, queue.setPaused(false, req.user.email));
+  });
+
+  // Remove everyone and end the current turn
+  router.post("/clear", manageQueue, (req, res) => {
+    sendResult(req, res, queue.clear(req.user.email));
+  });
+
+  return router;
+}
+
+module.exports = createQueueRoutes;
@@ -0,0 +1,189 @@
+// Reservation Routes for booking robot time slots and the iCalendar feeds
+const express = require("express");
+const {
+  authenticateAndVerifyEmail,
+  requireCapability,
+} = require("../middleware/auth");
+
+// Listing window when no from/to is given
+const DEFAULT_WINDOW_DAYS = 14;
+
+function createReservationRoutes(reservationService) {
+  const router = express.Router();
+  const authenticateBooking = [
+    ...authenticateAndVerifyEmail,
+    requireCapability("drive"),
+  ];
+  const authenticateManager = [
+    ...authenticateAndVerifyEmail,
+    requireCapability("manage_reservations"),
+  ];
+
+  const sendResult = (req, res, result, successStatus = 200) => {
+    const { status, ...body } = result;
+    res
+      .status(result.success ? successStatus : status)
+      .json({ ...body, user: req.user.email });
+  };
+
+  // Reservations overlapping ?from&to (ISO 8601), the next two weeks by
+  // default; ?mine=true lists only the caller's
+  router.get("/", authenticateAndVerifyEmail, async (req, res) => {
+    const from = req.query.from ? new Date(req.query.from) : new Date();
+    const to = req.query.to
+      ? new Date(req.query.to)
+      : new Date(from.getTime() + DEFAULT_WINDOW_DAYS * 24 * 60 * 60 * 1000);
+    if (isNaN(from) || isNaN(to)) {
+      return res
+        .status(400)
+        .json({ error: "from and to must be ISO 8601 dates" });
+    }
+
+    try {
+      const reservations = await reservationService.listReservations({
+        from,
+        to,
+        uid: req.query.mine === "true" ? req.user.uid : null,
+      });
+      res.json({ reservations, from, to, user: req.user.email });
+    } catch (error) {
+      console.error("Error listing reservations:", error);
+      res.status(500).json({ error: "Failed to list reservations" });
+    }
+  });
+
+  // Request a slot: { start, end, title }
+  router.post("/", authenticateBooking, async (req, res) => {
+    try {
+      const result = await reservationService.createReservation(
+        req.user,
+        req.body
+      );
+      sendResult(req, res, result, 201);
+    } catch (error) {
+      console.error("Error creating reservation:", error);
+      res.status(500).json({ error: "Failed to create reservation" });
+    }
+  });
+
+  // Slot in progress and the next approved one
+  router.get("/active", authenticateAndVerifyEmail, (req, res) => {
+    res.json({
+      active: reservationService.getActive(),
+      next: reservationService.getNext(),
+      user: req.user.email,
+    });
+  });
+
+  // Auto-approval rules
+  router.get("/rules", authenticateAndVerifyEmail, (req, res) => {
+    res.json({ rules: reservationService.getRules(), user: req.user.email });
+  });
+
+  router.put("/rules", authenticateManager, async (req, res) => {
+    try {
+      const error = await reservationService.setRules(req.body, req.user.email);
+      if (error) {
+        return res.status(400).json({ error });
+      }
+      res.json({
+        success: true,
+        rules: reservationService.getRules(),
+        user: req.user.email,
+      });
+    } catch (error) {
+      console.error("Error updating reservation rules:", error);
+      res.status(500).json({ error: "Failed to update reservation rules" });
+    }
+  });
+
+  // The caller's calendar feed URL; anyone with the URL can read the feed
+  const sendFeedUrl = async (req, res, reset) => {
+    try {
+      const token = await reservationService.getFeedToken(req.user, reset);
+      res.json({
+        url: `${req.protocol}://${req.get("host")}${
+          req.baseUrl
+        }/feed/${token}.ics`,
+        user: req.user.email,
+      });
+    } catch (error) {
+      console.error("Error loading calendar feed:", error);
+      res.status(500).json({ error: "Failed to load calendar feed" });
+    }
+  };
+
+  router.get("/feed", authenticateAndVerifyEmail, (req, res) =>
+    sendFeedUrl(req, res, false)
+  );
+
+  // New feed URL; the old one stops working
+  router.post("/feed/reset", authenticateAndVerifyEmail, (req, res) =>
+    sendFeedUrl(req, res, true)
+  );
+
+  // iCalendar feed, authenticated by the token in its URL so calendar apps
+  // can subscribe
+  router.get("/feed/:token.ics", async (req, res) => {
+    try {
+      const calendar = await reservationService.buildFeed(req.params.token);
+      if (!calendar) {
+        return res.status(404).json({ error: "Calendar feed not found" });
+      }
+      res.type("text/calendar; charset=utf-8").send(calendar);
+    } catch (error) {
+      console.error("Error building calendar feed:", error);
+      res.status(500).json({ error: "Failed to build calendar feed" });
+    }
+  });
+
+  // Approve or reject a pending request: { reason }
+  router.post("/:id/approve", authenticateManager, async (req, res) => {
+    try {
+      const result = await reservationService.decideReservation(
+        req.params.id,
+        req.user,
+        true,
+        req.body.reason || null
+      );
+      sendResult(req, res, result);
+    } catch (error) {
+      console.error("Error approving reservation:", error);
+      res.status(500).json({ error: "Failed to approve reservation" });
+    }
+  });
+
+  router.post("/:id/reject", authenticateManager, async (req, res) => {
+    try {
+      const result = await reservationService.decideReservation(
+        req.params.id,
+        req.user,
+        false,
+        req.body.reason || null
+      );
+      sendResult(req, res, result);
+    } catch (error) {
+      console.error("Error rejecting reservation:", error);
+      res.status(500).json({ error: "Failed to reject reservation" });
+    }
+  });
+
+  // Cancel a reservation (its holder or manage_reservations); cancelling a
+  // slot in progress ends it
+  router.delete("/:id", authenticateAndVerifyEmail, async (req, res) => {
+    try {
+      const result = await reservationService.cancelReservation(
+        req.params.id,
+        req.user
+      );
+      sendResult(req, res, result);
+    } catch (error) {
+      console.error("Error cancelling reservation:", error);
+      res.status(500).json({ error: "Failed to cancel reservation" });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createReservationRoutes;
@@ -0,0 +1,133 @@
+// ROS Routes for inspecting the robot's ROS graph and topic rates, calling
+// services and reading/writing parameters (admin only)
+const express = require("express");
+const {
+  authenticateAndVerifyEmail,
+  requireCapability,
+} = require("../middleware/auth");
+
+function createRosRoutes(controller) {
+  const router = express.Router();
+
+  router.use(authenticateAndVerifyEmail, requireCapability("configure_robot"));
+
+  // Query the active driver's ROS graph or respond 503
+  const withGraph = (handler) => async (req, res) => {
+    if (!controller.isConnected) {
+      return res.status(503).json({ error: "Robot driver not connected" });
+    }
+    try {
+      const graph = await controller.driver.getRosGraph();
+      handler(graph, req, res);
+    } catch (error) {
+      console.error("Error querying ROS graph:", error.message);
+      res
+        .status(502)
+        .json({ error: `Failed to query ROS graph: ${error.message}` });
+    }
+  };
+
+  // Nodes with the topics they publish/subscribe and the services they provide
+  router.get(
+    "/nodes",
+    withGraph((graph, req, res) => {
+      res.json({
+        driver: controller.driver.name,
+        nodes: graph.nodes,
+        user: req.user.email,
+      });
+    })
+  );
+
+  // Topics with types, publishers and subscribers
+  router.get(
+    "/topics",
+    withGraph((graph, req, res) => {
+      res.json({
+        driver: controller.driver.name,
+        topics: graph.topics,
+        services: graph.services,
+        user: req.user.email,
+      });
+    })
+  );
+
+  // Measured message rates of the topics the controller uses
+  router.get("/rates", (req, res) => {
+    res.json({
+      driver: controller.driver ? controller.driver.name : null,
+      rates: controller.getTopicRates(),
+      user: req.user.email,
+    });
+  });
+
+  // Service and parameter names come from the path, e.g.
+  // /services/mobile_base/reset_odometry/call -> /mobile_base/reset_odometry
+  const rosName = (path) => `/${path.replace(/^\/+/, "")}`;
+
+  // Send a proxy result, mapping failures to their status
+  const sendResult = (res, req, { status, ...result }) => {
+    if (!result.success) {
+      return res.status(status).json(result);
+    }
+    res.json({ ...result, user: req.user.email });
+  };
+
+  // Whitelisted services with their request and response fields
+  router.get("/services", (req, res) => {
+    res.json({
+      services: controller.rosServices.getWhitelist(),
+      user: req.user.email,
+    });
+  });
+
+  // Call a service: { request, timeout_ms }
+  router.post("/services/*/call", async (req, res) => {
+    const service = rosName(req.params[0]);
+    const { request = {}, timeout_ms } = req.body;
+    if (timeout_ms !== undefined && !(timeout_ms > 0)) {
+      return res.status(400).json({ error: "timeout_ms must be positive" });
+    }
+
+    const result = await controller.rosServices.callService(
+      service,
+      request,
+      timeout_ms
+    );
+    if (result.success) {
+      console.log(`Service ${service} called by ${req.user.email}`);
+    }
+    sendResult(res, req, result);
+  });
+
+  // Parameter names
+  router.get("/params", async (req, res) => {
+    sendResult(res, req, await controller.rosServices.getParamNames());
+  });
+
+  router.get("/params/*", async (req, res) => {
+    sendResult(
+      res,
+      req,
+      await controller.rosServices.getParam(rosName(req.params[0]))
+    );
+  });
+
+  // Set a parameter: { value }
+  router.put("/params/*", async (req, res) => {
+    const name = rosName(req.params[0]);
+    const result = await controller.rosServices.setParam(name, req.body.value);
+    if (result.success) {
+      console.log(
+        `Parameter ${name} set to ${JSON.stringify(result.value)} by ${
+          req.user.email
+        }`
+      );
+    }
+    sendResult(res, req, result);
+  });
+
+  return router;
+}
+
+module.exports = createRosRoutes;
@@ -0,0 +1,68 @@
+// Simulation Routes for injecting faults into the simulation driver (admin only)
+const express = require("express");
+const {
+  authenticateAndVerifyEmail,
+  requireCapability,
+} = require("../middleware/auth");
+const { FAULT_TYPES } = require("../services/simulationFaults");
+
+function createSimRoutes(controller) {
+  const router = express.Router();
+
+  router.use(authenticateAndVerifyEmail, requireCapability("sim_admin"));
+
+  // Faults can only be injected while the simulation driver is active
+  const requireSimulation = (req, res, next) => {
+    if (!controller.driver || !controller.driver.injectFault) {
+      return res.status(409).json({
+        error: "Fault injection requires the simulation driver",
+        driver: controller.driver ? controller.driver.name : null,
+      });
+    }
+    next();
+  };
+
+  // Active faults and the fault types that can be injected
+  router.get("/faults", (req, res) => {
+    res.json({
+      faults: controller.driver ? controller.driver.getActiveFaults() : [],
+      fault_types: FAULT_TYPES,
+      user: req.user.email,
+    });
+  });
+
+  // Inject a fault: { type, duration_ms, ...params }
+  router.post("/faults", requireSimulation, (req, res) => {
+    const { type, ...options } = req.body;
+    const result = controller.driver.injectFault(type, options, req.user.email);
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+
+    console.log(`Fault ${type} injected by ${req.user.email}`);
+    res.status(201).json({
+      success: true,
+      fault: result.fault,
+      user: req.user.email,
+    });
+  });
+
+  // Clear all active faults
+  router.delete("/faults", requireSimulation, (req, res) => {
+    const cleared = controller.driver.clearFaults();
+    res.json({ success: true, cleared, user: req.user.email });
+  });
+
+  // Clear one fault before it expires
+  router.delete("/faults/:id", requireSimulation, (req, res) => {
+    const fault = controller.driver.clearFault(req.params.id);
+    if (!fault) {
+      return res.status(404).json({ error: "Fault not active" });
+    }
+    res.json({ success: true, fault, user: req.user.email });
+  });
+
+  return router;
+}
+
+module.exports = createSimRoutes;
@@ -0,0 +1,83 @@
+// Topic Proxy Routes for publishing to and echoing whitelisted ROS topics
+const express = require("express");
+const {
+  authenticateAndVerifyEmail,
+  requireCapability,
+} = require("../middleware/auth");
+
+const MAX_ECHO_TIMEOUT_MS = 30000;
+
+// requireControl: middleware that admits only the control lease holder
+function createTopicProxyRoutes(topicProxy, requireControl) {
+  const router = express.Router();
+
+  router.use(authenticateAndVerifyEmail);
+  const configureRobot = requireCapability("configure_robot");
+  // Proxied topics can upset a run in progress (odometry resets), so
+  // publishing needs the control lease like motion commands
+  const authenticatePublish = [requireCapability("drive"), requireControl];
+
+  // Topics clients may publish to or echo, with types and rate limits
+  router.get("/whitelist", (req, res) => {
+    res.json({ topics: topicProxy.getWhitelist(), user: req.user.email });
+  });
+
+  // Replace the whitelist: { topics: [{ topic, type, publish, subscribe, ... }] }
+  router.put("/whitelist", configureRobot, (req, res) => {
+    const error = topicProxy.setWhitelist(req.body.topics);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    console.log(`Topic whitelist updated by ${req.user.email}`);
+    res.json({
+      success: true,
+      topics: topicProxy.getWhitelist(),
+      user: req.user.email,
+    });
+  });
+
+  // Publish one message: { topic, msg }
+  router.post("/publish", authenticatePublish, (req, res) => {
+    const { topic, msg } = req.body;
+    if (typeof topic !== "string") {
+      return res.status(400).json({ error: "topic is required" });
+    }
+
+    const { status, ...result } = topicProxy.publish(topic, msg);
+    if (!result.success) {
+      if (result.retry_after_ms) {
+        res.set("Retry-After", Math.ceil(result.retry_after_ms / 1000));
+      }
+      return res.status(status).json(result);
+    }
+    res.json({ ...result, user: req.user.email });
+  });
+
+  // Wait for the next message on a topic: ?topic=/name&timeout_ms=5000
+  router.get("/echo", requireCapability("view_sensors"), async (req, res) => {
+    const { topic } = req.query;
+    if (typeof topic !== "string") {
+      return res.status(400).json({ error: "topic is required" });
+    }
+    const error = topicProxy.checkSubscribe(topic);
+    if (error) {
+      return res.status(403).json({ error });
+    }
+
+    const timeoutMs = Math.min(
+      parseInt(req.query.timeout_ms) || 5000,
+      MAX_ECHO_TIMEOUT_MS
+    );
+    try {
+      const message = await topicProxy.echo(topic, timeoutMs);
+      res.json({ ...message, user: req.user.email });
+    } catch (error) {
+      res.status(504).json({ error: error.message });
+    }
+  });
+
+  return router;
+}
+
+module.exports = createTopicProxyRoutes;
@@ -3,7 +3,21 @@ const router = express.Router();
 const NodeWebcam = require("node-webcam");
 const fs = require("fs");
 const path = require("path");
-const { authenticateAndVerifyEmail } = require("../middleware/auth");
+const {
+  authenticateAndVerifyEmail,
+  requireCapability,
+} = require("../middleware/auth");
+const { hasCapability } = require("../middleware/permissions");
+
+// Watching needs view_camera; testing and reinitializing need manage_webcam
+const authenticateViewer = [
+  ...authenticateAndVerifyEmail,
+  requireCapability("view_camera"),
+];
+const authenticateManager = [
+  ...authenticateAndVerifyEmail,
+  requireCapability("manage_webcam"),
+];
 
 // Webcam configuration
 const webcamOptions = {
@@ -58,7 +72,7 @@ function initializeWebcam() {
 initializeWebcam();
 
 // Webcam status endpoint
-router.get("/status", authenticateAndVerifyEmail, (req, res) => {
+router.get("/status", authenticateViewer, (req, res) => {
   res.json({
     isInitialized: isWebcamInitialized,
     error: webcamError,
@@ -69,7 +83,7 @@ router.get("/status", authenticateAndVerifyEmail, (req, res) => {
 });
 
 // Capture single image from webcam
-router.get("/capture", authenticateAndVerifyEmail, (req, res) => {
+router.get("/capture", authenticateViewer, (req, res) => {
   if (!isWebcamInitialized) {
     return res.status(503).json({
       error: "Webcam not initialized",
@@ -143,6 +157,13 @@ router.get("/stream", async (req, res) => {
         message: "Please verify your email with OTP first",
       });
     }
+
+    if (!hasCapability(user, "view_camera")) {
+      return res.status(403).json({
+        error: "Insufficient permissions",
+        requiredCapability: "view_camera",
+      });
+    }
   } catch (authError) {
     return res.status(401).json({
       error: "Invalid authentication token",
@@ -222,7 +243,7 @@ router.get("/stream", async (req, res) => {
 });
 
 // Test webcam functionality
-router.post("/test", authenticateAndVerifyEmail, (req, res) => {
+router.post("/test", authenticateManager, (req, res) => {
   if (!isWebcamInitialized) {
     return res.status(503).json({
       error: "Webcam not initialized",
@@ -255,7 +276,7 @@ router.post("/test", authenticateAndVerifyEmail, (req, res) => {
 });
 
 // Reinitialize webcam
-router.post("/reinitialize", authenticateAndVerifyEmail, (req, res) => {
+router.post("/reinitialize", authenticateManager, (req, res) => {
   console.log(`🔄 Reinitializing webcam for user: ${req.user.email}`);
 
   initializeWebcam();
@@ -269,7 +290,7 @@ router.post("/reinitialize", authenticateAndVerifyEmail, (req, res) => {
 });
 
 // List available cameras (Windows-specific)
-router.get("/devices", authenticateAndVerifyEmail, (req, res) => {
+router.get("/devices", authenticateManager, (req, res) => {
   console.log(`📋 Listing webcam devices for user: ${req.user.email}`);
 
   // For Windows, we can try to get device list using PowerShell
@@ -66,7 +66,9 @@ class BrowserWebcamService {
         if (client) {
           client.type = "broadcaster";
           this.broadcasters.add(socket.id);
-          console.log(`📡 Client ${socket.id} registered as broadcaster`);
+          console.log(
+            `📡 Client ${socket.id} registered as broadcaster (${socket.data.user.email})`
+          );
         }
 
         socket.emit("broadcaster_registered", {
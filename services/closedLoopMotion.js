@@ -0,0 +1,247 @@
+// Closed-loop motion helpers - drive/turn steps that close the loop on odometry
+
+// Odometry older than this is treated as unavailable
+const ODOM_STALE_MS = 1000;
+
+// Proportional gains and minimum speeds so the robot does not stall near the goal
+const DRIVE_GAIN = 1.5;
+const HEADING_GAIN = 2.0;
+const TURN_GAIN = 2.5;
+const MIN_LINEAR_SPEED = 0.03;
+const MIN_ANGULAR_SPEED = 0.15;
+
+// Yaw (rad) from an orientation quaternion
+function yawFromQuaternion(q) {
+  return Math.atan2(
+    2 * (q.w * q.z + q.x * q.y),
+    1 - 2 * (q.y * q.y + q.z * q.z)
+  );
+}
+
+// Wrap an angle into [-π, π]
+function normalizeAngle(angle) {
+  return Math.atan2(Math.sin(angle), Math.cos(angle));
+}
+
+function isOdometryAvailable(odomData) {
+  return Boolean(
+    odomData &&
+      odomData.position &&
+      odomData.orientation &&
+      Date.now() - odomData.timestamp < ODOM_STALE_MS
+  );
+}
+
+function readPose(odomData) {
+  return {
+    x: odomData.position.x,
+    y: odomData.position.y,
+    yaw: yawFromQuaternion(odomData.orientation),
+  };
+}
+
+// Speed proportional to the remaining error, bounded by [minSpeed, maxSpeed]
+function proportionalSpeed(error, gain, minSpeed, maxSpeed) {
+  const magnitude = Math.min(
+    maxSpeed,
+    Math.max(minSpeed, Math.abs(error) * gain)
+  );
+  return Math.sign(error) * magnitude;
+}
+
+// Drive a signed distance (m) along the starting heading
+function createDriveStep(controller, label, distance, speed, tolerance = 0.02) {
+  let start = null;
+
+  const step = {
+    label,
+    closedLoop: true,
+    timeout: (Math.abs(distance) / Math.abs(speed)) * 2000 + 5000,
+    progress: { target: distance, achieved: 0 },
+
+    begin() {
+      start = readPose(controller.odomData);
+    },
+
+    update() {
+      if (!isOdometryAvailable(controller.odomData)) {
+        return { error: "odometry_lost" };
+      }
+
+      const pose = readPose(controller.odomData);
+      const dx = pose.x - start.x;
+      const dy = pose.y - start.y;
+      const travelled = dx * Math.cos(start.yaw) + dy * Math.sin(start.yaw);
+      const remaining = distance - travelled;
+      step.progress.achieved = travelled;
+
+      if (Math.abs(remaining) <= tolerance) {
+        return { done: true };
+      }
+
+      return {
+        linear: proportionalSpeed(
+          remaining,
+          DRIVE_GAIN,
+          MIN_LINEAR_SPEED,
+          Math.abs(speed)
+        ),
+        angular: HEADING_GAIN * normalizeAngle(start.yaw - pose.yaw),
+      };
+    },
+  };
+
+  return step;
+}
+
+// Rotate by a signed angle (rad); accumulates yaw so turns beyond ±π work
+function createTurnStep(controller, label, angle, speed, tolerance = 0.035) {
+  let lastYaw = null;
+  let turned = 0;
+
+  const step = {
+    label,
+    closedLoop: true,
+    timeout: (Math.abs(angle) / Math.abs(speed)) * 2000 + 5000,
+    progress: { target: angle, achieved: 0 },
+
+    begin() {
+      lastYaw = readPose(controller.odomData).yaw;
+      turned = 0;
+    },
+
+    update() {
+      if (!isOdometryAvailable(controller.odomData)) {
+        return { error: "odometry_lost" };
+      }
+
+      const yaw = readPose(controller.odomData).yaw;
+      turned += normalizeAngle(yaw - lastYaw);
+      lastYaw = yaw;
+      step.progress.achieved = turned;
+
+      const remaining = angle - turned;
+      if (Math.abs(remaining) <= tolerance) {
+        return { done: true };
+      }
+
+      return {
+        linear: 0,
+        angular: proportionalSpeed(
+          remaining,
+          TURN_GAIN,
+          MIN_ANGULAR_SPEED,
+          Math.abs(speed)
+        ),
+      };
+    },
+  };
+
+  return step;
+}
+
+// Rotate to an absolute heading (rad); the target is resolved when the step
+// begins so it can depend on where earlier steps left the robot
+function createHeadingStep(
+  controller,
+  label,
+  resolveTarget,
+  speed,
+  tolerance = 0.035
+) {
+  let target = null;
+
+  const step = {
+    label,
+    closedLoop: true,
+    timeout: (Math.PI / Math.abs(speed)) * 2000 + 5000,
+    progress: { target: null, achieved: null, remaining: null },
+
+    begin() {
+      target = resolveTarget(readPose(controller.odomData));
+      step.progress.target = target;
+    },
+
+    update() {
+      if (!isOdometryAvailable(controller.odomData)) {
+        return { error: "odometry_lost" };
+      }
+      if (target === null) {
+        return { done: true };
+      }
+
+      const yaw = readPose(controller.odomData).yaw;
+      const remaining = normalizeAngle(target - yaw);
+      step.progress.achieved = yaw;
+      step.progress.remaining = remaining;
+
+      if (Math.abs(remaining) <= tolerance) {
+        return { done: true };
+      }
+
+      return {
+        linear: 0,
+        angular: proportionalSpeed(
+          remaining,
+          TURN_GAIN,
+          MIN_ANGULAR_SPEED,
+          Math.abs(speed)
+        ),
+      };
+    },
+  };
+
+  return step;
+}
+
+// Drive to a point (odometry frame), steering toward it as it goes
+function createGoToPointStep(controller, label, goal, speed, tolerance = 0.05) {
+  const step = {
+    label,
+    closedLoop: true,
+    timeout: null, // Bounded by the navigation timeout instead
+    progress: { target: goal, remaining: null },
+
+    begin() {},
+
+    update() {
+      if (!isOdometryAvailable(controller.odomData)) {
+        return { error: "odometry_lost" };
+      }
+
+      const pose = readPose(controller.odomData);
+      const dx = goal.x - pose.x;
+      const dy = goal.y - pose.y;
+      const distance = Math.hypot(dx, dy);
+      const headingError = normalizeAngle(Math.atan2(dy, dx) - pose.yaw);
+      step.progress.remaining = distance;
+
+      if (distance <= tolerance) {
+        return { done: true };
+      }
+
+      // Slow down while the goal is off to the side, turn in place if behind
+      const alignment = Math.max(0, Math.cos(headingError));
+      return {
+        linear:
+          alignment *
+          proportionalSpeed(distance, DRIVE_GAIN, MIN_LINEAR_SPEED, speed),
+        angular: HEADING_GAIN * headingError,
+      };
+    },
+  };
+
+  return step;
+}
+
+module.exports = {
+  ODOM_STALE_MS,
+  yawFromQuaternion,
+  normalizeAngle,
+  isOdometryAvailable,
+  readPose,
+  createDriveStep,
+  createTurnStep,
+  createHeadingStep,
+  createGoToPointStep,
+};
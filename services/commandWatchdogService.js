@@ -0,0 +1,97 @@
+// Command Watchdog Service - deadman switch for velocity commands
+class CommandWatchdogService {
+  constructor(options = {}) {
+    // Explicit 0 is meaningful (disables the watchdog / stops immediately)
+    const fromEnv = (name, fallback) => {
+      const value = parseInt(process.env[name]);
+      return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    this.timeoutMs =
+      options.timeoutMs !== undefined
+        ? options.timeoutMs
+        : fromEnv("WATCHDOG_TIMEOUT_MS", 1500);
+    this.rampDurationMs =
+      options.rampDurationMs !== undefined
+        ? options.rampDurationMs
+        : fromEnv("WATCHDOG_RAMP_MS", 500);
+
+    this.lastRefresh = 0;
+    this.lastSource = null;
+    this.holds = new Map(); // Long-running commands (patterns) that own the lease
+    this.nextHoldId = 1;
+    this.lastTrigger = null;
+    this.triggerCount = 0;
+  }
+
+  // Whether the watchdog is active (a timeout of 0 disables it)
+  isEnabled() {
+    return this.timeoutMs > 0;
+  }
+
+  // Refresh the command lease from a movement source
+  refresh(source = "unknown") {
+    this.lastRefresh = Date.now();
+    this.lastSource = source;
+  }
+
+  // Take a hold on the lease so a long-running command is not cut off
+  acquireHold(owner) {
+    const holdId = this.nextHoldId++;
+    this.holds.set(holdId, { owner, acquiredAt: Date.now() });
+    this.refresh(owner);
+    return holdId;
+  }
+
+  // Release a single hold and restart the timeout window
+  releaseHold(holdId) {
+    if (this.holds.delete(holdId)) {
+      this.refresh(this.lastSource);
+    }
+  }
+
+  // Drop every hold (used by stop pattern / emergency stop)
+  releaseAllHolds() {
+    this.holds.clear();
+  }
+
+  // Check whether the lease has gone stale
+  isStale(now = Date.now()) {
+    if (!this.isEnabled() || this.holds.size > 0) {
+      return false;
+    }
+    return now - this.lastRefresh > this.timeoutMs;
+  }
+
+  // Record why the watchdog fired
+  recordTrigger(reason, twist) {
+    this.triggerCount++;
+    this.lastTrigger = {
+      reason,
+      lastSource: this.lastSource,
+      lastRefresh: this.lastRefresh,
+      staleForMs: Date.now() - this.lastRefresh,
+      twist,
+      timestamp: Date.now(),
+    };
+    return this.lastTrigger;
+  }
+
+  getStatus() {
+    return {
+      enabled: this.isEnabled(),
+      timeout_ms: this.timeoutMs,
+      ramp_duration_ms: this.rampDurationMs,
+      last_refresh: this.lastRefresh || null,
+      last_source: this.lastSource,
+      holds: Array.from(this.holds.entries()).map(([id, hold]) => ({
+        id,
+        ...hold,
+      })),
+      trigger_count: this.triggerCount,
+      last_trigger: this.lastTrigger,
+    };
+  }
+}
+
+module.exports = CommandWatchdogService;
@@ -0,0 +1,279 @@
+// Control Lease Service - one user at a time drives the robot. Motion
+// commands from anyone but the holder are refused; everyone else watches
+// control_changed events.
+const { hasCapability } = require("../middleware/permissions");
+
+class ControlLeaseService {
+  constructor(controller, io, options = {}) {
+    this.controller = controller;
+    this.io = io;
+
+    // Inactivity before the lease expires; 0 keeps it until released
+    const timeout = parseInt(process.env.CONTROL_LEASE_TIMEOUT_MS);
+    this.timeoutMs =
+      options.timeoutMs !== undefined
+        ? options.timeoutMs
+        : Number.isFinite(timeout) && timeout >= 0
+        ? timeout
+        : 60000;
+    // A motion command while nobody holds the lease takes it
+    this.autoAcquire =
+      options.autoAcquire !== undefined
+        ? options.autoAcquire
+        : process.env.CONTROL_LEASE_AUTO_ACQUIRE !== "false";
+
+    this.holder = null; // { uid, email, role, via, socket_id, acquired_at, last_activity_at }
+    this.expiryTimer = null;
+    this.lastChange = null;
+    this.reservations = null;
+    this.queue = null;
+  }
+
+  // During a reserved slot or a queue turn only its holder may take control
+  setReservations(reservations) {
+    this.reservations = reservations;
+  }
+
+  setQueue(queue) {
+    this.queue = queue;
+  }
+
+  // A reserved slot overrides the queue: turns are held back until it ends
+  accessRefusal(user) {
+    const slot = this.reservations && this.reservations.getActive();
+    const error = slot
+      ? this.reservations.checkSlot(user)
+      : this.queue && this.queue.checkTurn(user);
+    if (!error) {
+      return null;
+    }
+    return {
+      success: false,
+      status: 409,
+      error,
+      control: this.getStatus(),
+    };
+  }
+
+  // Taking control during one's own queue turn claims the turn
+  claimTurn(user) {
+    if (this.queue) {
+      this.queue.claim(user);
+    }
+  }
+
+  isHolder(user) {
+    return Boolean(this.holder && user && this.holder.uid === user.uid);
+  }
+
+  // Take the lease (or renew it); force lets take_control users take it
+  // from someone else. Returns { success, status, ... }.
+  acquire(user, options = {}) {
+    const { socketId = null, force = false } = options;
+
+    const refusal = this.accessRefusal(user);
+    if (refusal) {
+      return refusal;
+    }
+    if (this.isHolder(user)) {
+      if (socketId) {
+        this.holder.via = "socket";
+        this.holder.socket_id = socketId;
+      }
+      this.touch();
+      this.claimTurn(user);
+      return { success: true, control: this.getStatus() };
+    }
+
+    if (this.holder) {
+      if (!force) {
+        return {
+          success: false,
+          status: 409,
+          error: `Robot is controlled by ${this.holder.email}`,
+          control: this.getStatus(),
+        };
+      }
+      if (!hasCapability(user, "take_control")) {
+        return {
+          success: false,
+          status: 403,
+          error: "Insufficient permissions",
+          requiredCapability: "take_control",
+          control: this.getStatus(),
+        };
+      }
+    }
+
+    const previous = this.holder;
+    const now = Date.now();
+    this.holder = {
+      uid: user.uid,
+      email: user.email,
+      role: user.role,
+      via: socketId ? "socket" : "rest",
+      socket_id: socketId,
+      acquired_at: now,
+      last_activity_at: now,
+    };
+    if (previous) {
+      console.warn(`🎮 Control taken from ${previous.email} by ${user.email}`);
+      this.stopRobot("control_taken");
+    } else {
+      console.log(`🎮 Control acquired by ${user.email}`);
+    }
+    this.touch();
+    this.claimTurn(user);
+    this.announce(previous ? "taken" : "acquired", previous, user.email);
+    return { success: true, control: this.getStatus() };
+  }
+
+  // Give the lease up; force lets take_control users release someone else's
+  release(user, options = {}) {
+    if (!this.holder) {
+      return {
+        success: false,
+        status: 409,
+        error: "Nobody holds control",
+        control: this.getStatus(),
+      };
+    }
+    if (!this.isHolder(user)) {
+      if (!options.force) {
+        return {
+          success: false,
+          status: 409,
+          error: `Robot is controlled by ${this.holder.email}`,
+          control: this.getStatus(),
+        };
+      }
+      if (!hasCapability(user, "take_control")) {
+        return {
+          success: false,
+          status: 403,
+          error: "Insufficient permissions",
+          requiredCapability: "take_control",
+          control: this.getStatus(),
+        };
+      }
+    }
+    this.end("released", user.email);
+    return { success: true, control: this.getStatus() };
+  }
+
+  // Gate for a motion command: the holder's commands keep the lease alive
+  authorize(user, socketId = null) {
+    const refusal = this.accessRefusal(user);
+    if (refusal) {
+      return refusal;
+    }
+    if (this.isHolder(user)) {
+      this.touch();
+      this.claimTurn(user);
+      return { success: true };
+    }
+    if (!this.holder && this.autoAcquire) {
+      return this.acquire(user, { socketId });
+    }
+    return {
+      success: false,
+      status: 409,
+      error: this.holder
+        ? `Robot is controlled by ${this.holder.email}`
+        : "Acquire control before sending motion commands",
+      control: this.getStatus(),
+    };
+  }
+
+  // Record holder activity and restart the inactivity timer
+  touch() {
+    this.holder.last_activity_at = Date.now();
+    clearTimeout(this.expiryTimer);
+    this.expiryTimer = null;
+    if (this.timeoutMs > 0) {
+      this.expiryTimer = setTimeout(() => this.expire(), this.timeoutMs);
+    }
+  }
+
+  expire() {
+    // A running pattern, navigation goal or mission counts as activity
+    if (this.controller.isMotionActive()) {
+      this.touch();
+      return;
+    }
+    console.log(`⏱️ Control lease of ${this.holder.email} expired`);
+    this.end("expired");
+  }
+
+  // A socket closed: end the lease it was taken through
+  handleDisconnect(socketId) {
+    if (this.holder && this.holder.socket_id === socketId) {
+      console.log(`🔌 ${this.holder.email} disconnected, releasing control`);
+      this.end("disconnected");
+    }
+  }
+
+  end(reason, by = null) {
+    const previous = this.holder;
+    clearTimeout(this.expiryTimer);
+    this.expiryTimer = null;
+    this.holder = null;
+    this.stopRobot(`control_${reason}`);
+    this.announce(reason, previous, by);
+  }
+
+  // A reserved slot starts or ends: end the lease, or just stop the robot
+  revoke(reason) {
+    if (this.holder) {
+      console.log(`📅 Control of ${this.holder.email} revoked: ${reason}`);
+      this.end(reason);
+    } else {
+      this.stopRobot(reason);
+    }
+  }
+
+  // Control changes hands: nobody keeps driving on the old holder's command
+  stopRobot(reason) {
+    if (!this.controller.cancelMotion(reason)) {
+      this.controller.stop();
+    }
+  }
+
+  announce(reason, previous, by) {
+    this.lastChange = {
+      reason,
+      previous_holder: previous ? previous.email : null,
+      by,
+      timestamp: Date.now(),
+    };
+    this.io.emit("control_changed", this.getStatus());
+  }
+
+  getStatus() {
+    const holder = this.holder;
+    return {
+      held: holder !== null,
+      holder: holder
+        ? {
+            uid: holder.uid,
+            email: holder.email,
+            role: holder.role,
+            via: holder.via,
+          }
+        : null,
+      acquired_at: holder ? holder.acquired_at : null,
+      last_activity_at: holder ? holder.last_activity_at : null,
+      expires_at:
+        holder && this.timeoutMs > 0
+          ? holder.last_activity_at + this.timeoutMs
+          : null,
+      timeout_ms: this.timeoutMs,
+      auto_acquire: this.autoAcquire,
+      last_change: this.lastChange,
+      reservation: this.reservations ? this.reservations.getActive() : null,
+      queue_turn: this.queue ? this.queue.turn : null,
+    };
+  }
+}
+
+module.exports = ControlLeaseService;
@@ -0,0 +1,167 @@
+// Differential Drive Simulator - kinematic model of a two-wheeled base
+const { normalizeAngle } = require("./closedLoopMotion");
+
+// Kobuki-like defaults; override with SIM_* environment variables
+const DEFAULT_CONFIG = {
+  wheel_base: 0.23, // m between the wheels
+  max_wheel_speed: 0.7, // m/s per wheel
+  wheel_noise: 0.02, // std dev of wheel speed error, fraction of speed
+  odom_rate: 20, // Hz
+  robot_radius: 0.18, // m, footprint used for world collisions
+};
+
+const ENV_OVERRIDES = {
+  wheel_base: "SIM_WHEEL_BASE",
+  max_wheel_speed: "SIM_MAX_WHEEL_SPEED",
+  wheel_noise: "SIM_WHEEL_NOISE",
+  odom_rate: "SIM_ODOM_RATE",
+  robot_radius: "SIM_ROBOT_RADIUS",
+};
+
+// Standard normal sample (Box-Muller)
+function gaussian() {
+  const u = 1 - Math.random();
+  const v = Math.random();
+  return Math.sqrt(-2 * Math.log(u)) * Math.cos(2 * Math.PI * v);
+}
+
+class DifferentialDriveSimulator {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG };
+    Object.keys(ENV_OVERRIDES).forEach((key) => {
+      const value = parseFloat(process.env[ENV_OVERRIDES[key]]);
+      if (options[key] !== undefined) {
+        this.config[key] = options[key];
+      } else if (
+        Number.isFinite(value) &&
+        (value > 0 || (key === "wheel_noise" && value === 0))
+      ) {
+        this.config[key] = value;
+      }
+    });
+
+    this.world = options.world || null; // Optional obstacles (services/simWorld)
+    this.command = { linear: 0, angular: 0 };
+    this.velocity = { linear: 0, angular: 0 }; // Achieved, after limits and noise
+    this.reset();
+  }
+
+  reset(pose = {}) {
+    this.pose = { x: pose.x || 0, y: pose.y || 0, yaw: pose.yaw || 0 };
+    this.odomOrigin = { x: 0, y: 0, yaw: 0 }; // Odometry frame in the world
+  }
+
+  // Zero the odometry at the current pose, like Kobuki's reset_odometry;
+  // the pose in the world is unchanged
+  resetOdometry() {
+    this.odomOrigin = { ...this.pose };
+  }
+
+  setCommand(twist) {
+    this.command = { linear: twist.linear.x, angular: twist.angular.z };
+  }
+
+  // Wheel speeds for the command, scaled together so the curvature is kept
+  // when one wheel would exceed its limit
+  wheelSpeeds() {
+    const { wheel_base, max_wheel_speed } = this.config;
+    let left = this.command.linear - (this.command.angular * wheel_base) / 2;
+    let right = this.command.linear + (this.command.angular * wheel_base) / 2;
+
+    const fastest = Math.max(Math.abs(left), Math.abs(right));
+    if (fastest > max_wheel_speed) {
+      left *= max_wheel_speed / fastest;
+      right *= max_wheel_speed / fastest;
+    }
+    return { left, right };
+  }
+
+  // Advance the model by dt seconds. A move into a world obstacle is undone
+  // and the robot is halted; the result reports whether that happened.
+  step(dt) {
+    const { wheel_base, wheel_noise } = this.config;
+    const wheels = this.wheelSpeeds();
+    const left = wheels.left * (1 + wheel_noise * gaussian());
+    const right = wheels.right * (1 + wheel_noise * gaussian());
+
+    const linear = (left + right) / 2;
+    const angular = (right - left) / wheel_base;
+    this.velocity = { linear, angular };
+
+    // Exact integration along the arc; straight line when not turning
+    const { x, y, yaw } = this.pose;
+    if (Math.abs(angular) < 1e-6) {
+      this.pose.x = x + linear * Math.cos(yaw) * dt;
+      this.pose.y = y + linear * Math.sin(yaw) * dt;
+    } else {
+      const radius = linear / angular;
+      const nextYaw = yaw + angular * dt;
+      this.pose.x = x + radius * (Math.sin(nextYaw) - Math.sin(yaw));
+      this.pose.y = y - radius * (Math.cos(nextYaw) - Math.cos(yaw));
+    }
+    this.pose.yaw = normalizeAngle(yaw + angular * dt);
+
+    if (
+      this.world &&
+      this.world.collides(this.pose.x, this.pose.y, this.config.robot_radius)
+    ) {
+      this.pose = { x, y, yaw };
+      this.command = { linear: 0, angular: 0 };
+      this.velocity = { linear: 0, angular: 0 };
+      return { pose: this.pose, collided: true };
+    }
+
+    return { pose: this.pose, collided: false };
+  }
+
+  // Laser scan raycast from the current pose; beams without a return are
+  // reported as Infinity, like a real LaserScan
+  scan({ beams = 360, rangeMin = 0.1, rangeMax = 6.0 } = {}) {
+    const increment = (2 * Math.PI) / beams;
+    const ranges = [];
+    for (let i = 0; i < beams; i++) {
+      const angle = this.pose.yaw - Math.PI + i * increment;
+      const range = this.world
+        ? this.world.raycast(this.pose.x, this.pose.y, angle, rangeMax)
+        : Infinity;
+      ranges.push(range < rangeMin ? rangeMin : range);
+    }
+
+    return {
+      ranges,
+      angle_min: -Math.PI,
+      angle_max: Math.PI - increment,
+      angle_increment: increment,
+      time_increment: 0,
+      scan_time: 0.2,
+      range_min: rangeMin,
+      range_max: rangeMax,
+      timestamp: Date.now(),
+    };
+  }
+
+  // Pose and velocity in the shape of the controller's odomData
+  getOdometry() {
+    const origin = this.odomOrigin;
+    const dx = this.pose.x - origin.x;
+    const dy = this.pose.y - origin.y;
+    const yaw = normalizeAngle(this.pose.yaw - origin.yaw);
+    return {
+      position: {
+        x: dx * Math.cos(origin.yaw) + dy * Math.sin(origin.yaw),
+        y: -dx * Math.sin(origin.yaw) + dy * Math.cos(origin.yaw),
+        z: 0,
+      },
+      orientation: { x: 0, y: 0, z: Math.sin(yaw / 2), w: Math.cos(yaw / 2) },
+      linear_velocity: { x: this.velocity.linear, y: 0, z: 0 },
+      angular_velocity: { x: 0, y: 0, z: this.velocity.angular },
+      timestamp: Date.now(),
+    };
+  }
+
+  isMoving() {
+    return this.command.linear !== 0 || this.command.angular !== 0;
+  }
+}
+
+module.exports = DifferentialDriveSimulator;
@@ -0,0 +1,152 @@
+// Hazard Safety Service - reactions to the base's bumper, cliff and
+// wheel-drop sensors. A bump or wheel drop latches a motion lock until it
+// is acknowledged; a cliff (or a bumper still pressed) blocks forward motion.
+
+// Sides reported by each sensor, in kobuki_msgs index order
+const HAZARD_SENSORS = {
+  bumper: ["left", "center", "right"],
+  cliff: ["left", "center", "right"],
+  wheel_drop: ["left", "right"],
+};
+
+// Sensors whose activation latches the motion lock
+const LATCHING_SENSORS = ["bumper", "wheel_drop"];
+
+// State names of an inactive/active sensor, as in kobuki_msgs
+const STATE_NAMES = {
+  bumper: ["released", "pressed"],
+  cliff: ["floor", "cliff"],
+  wheel_drop: ["raised", "dropped"],
+};
+
+// Normalized hazard event, emitted by drivers as "bumper" | "cliff" |
+// "wheel_drop" data
+function hazardEvent(sensor, side, active, extra = {}) {
+  return {
+    sensor,
+    side,
+    active,
+    state: STATE_NAMES[sensor][active ? 1 : 0],
+    ...extra,
+    timestamp: Date.now(),
+  };
+}
+
+class HazardSafetyService {
+  constructor() {
+    this.state = {};
+    this.reset();
+    this.latch = null; // { sensor, side, latched_at } until acknowledged
+    this.lastAcknowledged = null;
+    this.lastEvents = {}; // sensor -> most recent event
+    this.lastEvent = null;
+  }
+
+  // Forget sensor states, e.g. when the driver changes; a latch is kept
+  reset() {
+    Object.keys(HAZARD_SENSORS).forEach((sensor) => {
+      this.state[sensor] = {};
+      HAZARD_SENSORS[sensor].forEach((side) => {
+        this.state[sensor][side] = false;
+      });
+    });
+  }
+
+  // Record a sensor event ({ sensor, side, active, ... }). Returns whether
+  // it latched the motion lock.
+  update(event) {
+    const sides = HAZARD_SENSORS[event.sensor];
+    if (!sides || !sides.includes(event.side)) {
+      return false;
+    }
+    this.state[event.sensor][event.side] = event.active;
+    this.lastEvents[event.sensor] = event;
+    this.lastEvent = event;
+
+    if (
+      event.active &&
+      LATCHING_SENSORS.includes(event.sensor) &&
+      !this.latch
+    ) {
+      this.latch = {
+        sensor: event.sensor,
+        side: event.side,
+        latched_at: event.timestamp || Date.now(),
+      };
+      return true;
+    }
+    return false;
+  }
+
+  isActive(sensor) {
+    return Object.values(this.state[sensor]).some(Boolean);
+  }
+
+  isLatched() {
+    return this.latch !== null;
+  }
+
+  // A cliff ahead or a bumper still in contact
+  forwardBlocked() {
+    return this.isActive("cliff") || this.isActive("bumper");
+  }
+
+  // Clear the latch; refused while a wheel is still off the ground.
+  // Returns an error message or null.
+  acknowledge(user) {
+    if (!this.latch) {
+      return "No hazard to acknowledge";
+    }
+    if (this.isActive("wheel_drop")) {
+      return "A wheel is still dropped; put the robot back on the floor first";
+    }
+    this.lastAcknowledged = {
+      ...this.latch,
+      acknowledged_by: user,
+      acknowledged_at: Date.now(),
+    };
+    this.latch = null;
+    return null;
+  }
+
+  // Apply the hazard limits to a twist: the latch stops everything, a
+  // cliff or pressed bumper drops forward speed; turning and reversing pass
+  filterTwist(twist) {
+    if (this.latch) {
+      return {
+        twist: {
+          linear: { x: 0, y: 0, z: 0 },
+          angular: { x: 0, y: 0, z: 0 },
+        },
+        limited: true,
+      };
+    }
+    if (twist.linear.x > 0 && this.forwardBlocked()) {
+      return {
+        twist: {
+          linear: { ...twist.linear, x: 0 },
+          angular: { ...twist.angular },
+        },
+        limited: true,
+      };
+    }
+    return { twist, limited: false };
+  }
+
+  getStatus() {
+    return {
+      bumper: { ...this.state.bumper },
+      cliff: { ...this.state.cliff },
+      wheel_drop: { ...this.state.wheel_drop },
+      latched: this.latch,
+      forward_blocked: this.forwardBlocked(),
+      last_event: this.lastEvent,
+      last_acknowledged: this.lastAcknowledged,
+    };
+  }
+}
+
+HazardSafetyService.HAZARD_SENSORS = HAZARD_SENSORS;
+HazardSafetyService.hazardEvent = hazardEvent;
+
+module.exports = HazardSafetyService;
@@ -0,0 +1,73 @@
+// iCalendar (RFC 5545) output for reservation feeds
+
+// 20250101T120000Z
+function formatDate(date) {
+  return date
+    .toISOString()
+    .replace(/[-:]/g, "")
+    .replace(/\.\d{3}/, "");
+}
+
+function escapeText(text) {
+  return String(text)
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// Lines longer than 75 octets continue on the next line after a space
+function foldLine(line) {
+  const chunks = [];
+  let rest = Buffer.from(line, "utf8");
+  let limit = 75;
+  while (rest.length > limit) {
+    let cut = limit;
+    // Do not split a multi-byte character
+    while ((rest[cut] & 0xc0) === 0x80) {
+      cut--;
+    }
+    chunks.push(rest.subarray(0, cut).toString("utf8"));
+    rest = rest.subarray(cut);
+    limit = 74; // The leading space counts
+  }
+  chunks.push(rest.toString("utf8"));
+  return chunks.join("\r\n ");
+}
+
+// events: [{ uid, start, end, summary, description, status, updated }]
+function buildCalendar(name, events) {
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//tb-backend//Robot Reservations//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${escapeText(name)}`,
+  ];
+  const now = formatDate(new Date());
+  events.forEach((event) => {
+    lines.push(
+      "BEGIN:VEVENT",
+      `UID:${event.uid}`,
+      `DTSTAMP:${now}`,
+      `DTSTART:${formatDate(event.start)}`,
+      `DTEND:${formatDate(event.end)}`,
+      `SUMMARY:${escapeText(event.summary)}`
+    );
+    if (event.description) {
+      lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+    }
+    if (event.status) {
+      lines.push(`STATUS:${event.status}`);
+    }
+    if (event.updated) {
+      lines.push(`LAST-MODIFIED:${formatDate(event.updated)}`);
+    }
+    lines.push("END:VEVENT");
+  });
+  lines.push("END:VCALENDAR");
+  return lines.map(foldLine).join("\r\n") + "\r\n";
+}
+
+module.exports = { buildCalendar };
@@ -0,0 +1,365 @@
+// Mission Service - named waypoint missions stored in Firestore
+const admin = require("firebase-admin");
+const fs = require("fs");
+const path = require("path");
+
+const STEP_TYPES = ["goto", "pause", "rotate", "snapshot"];
+const SNAPSHOT_DIR = path.join(__dirname, "..", "snapshots");
+
+class MissionService {
+  constructor(controller, webcamService, io) {
+    this.db = admin.firestore();
+    this.controller = controller;
+    this.webcamService = webcamService;
+    this.io = io;
+    this.activeRun = null; // One mission at a time
+
+    // Emergency stops, hazards and control changes end the run too, even
+    // while it waits in a pause or snapshot step
+    controller.addCancelHook({
+      cancel: (reason) => this.cancelActiveRun(reason),
+      isActive: () => this.activeRun !== null,
+    });
+  }
+
+  // Validate a mission definition; returns an error message or null
+  validateMission({ name, steps }) {
+    if (!name || typeof name !== "string") {
+      return "Mission name is required";
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+      return "Mission must contain at least one step";
+    }
+
+    for (let i = 0; i < steps.length; i++) {
+      const step = steps[i];
+      const label = `Step ${i + 1}`;
+
+      if (!step || !STEP_TYPES.includes(step.type)) {
+        return `${label}: type must be one of ${STEP_TYPES.join(", ")}`;
+      }
+      if (
+        step.type === "goto" &&
+        (!Number.isFinite(step.x) || !Number.isFinite(step.y))
+      ) {
+        return `${label}: goto requires numeric x and y`;
+      }
+      if (
+        step.type === "goto" &&
+        step.theta !== undefined &&
+        step.theta !== null &&
+        !Number.isFinite(step.theta)
+      ) {
+        return `${label}: theta must be numeric (radians)`;
+      }
+      if (step.type === "pause" && !(step.duration > 0)) {
+        return `${label}: pause requires a positive duration (ms)`;
+      }
+      if (step.type === "rotate" && !Number.isFinite(step.angle)) {
+        return `${label}: rotate requires a numeric angle (degrees)`;
+      }
+    }
+
+    return null;
+  }
+
+  // Mission CRUD
+  async listMissions() {
+    const snapshot = await this.db.collection("missions").orderBy("name").get();
+    return snapshot.docs.map((doc) => ({ id: doc.id, ...doc.data() }));
+  }
+
+  async getMission(id) {
+    const doc = await this.db.collection("missions").doc(id).get();
+    return doc.exists ? { id: doc.id, ...doc.data() } : null;
+  }
+
+  async findMissionByName(name) {
+    const snapshot = await this.db
+      .collection("missions")
+      .where("name", "==", name)
+      .limit(1)
+      .get();
+    return snapshot.empty
+      ? null
+      : { id: snapshot.docs[0].id, ...snapshot.docs[0].data() };
+  }
+
+  async createMission({ name, description = "", steps }, createdBy) {
+    const mission = {
+      name,
+      description,
+      steps,
+      createdBy,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    };
+    const ref = await this.db.collection("missions").add(mission);
+    return { id: ref.id, ...mission };
+  }
+
+  async updateMission(id, { name, description, steps }, updatedBy) {
+    const update = { name, steps, updatedBy, updatedAt: new Date() };
+    if (description !== undefined) {
+      update.description = description;
+    }
+    await this.db.collection("missions").doc(id).update(update);
+    return this.getMission(id);
+  }
+
+  async deleteMission(id) {
+    await this.db.collection("missions").doc(id).delete();
+  }
+
+  // Run history for a mission, newest first
+  async listRuns(missionId, limit = 20) {
+    // Sorted here rather than in the query to avoid a composite index
+    const snapshot = await this.db
+      .collection("mission_runs")
+      .where("missionId", "==", missionId)
+      .get();
+    return snapshot.docs
+      .map((doc) => ({ id: doc.id, ...doc.data() }))
+      .sort((a, b) => b.startedAt.toMillis() - a.startedAt.toMillis())
+      .slice(0, limit);
+  }
+
+  // Start a mission in the background for the user holding control;
+  // resolves once the run is recorded
+  async startMission(mission, user) {
+    if (this.activeRun) {
+      return {
+        success: false,
+        error: `Mission "${this.activeRun.missionName}" is already running`,
+      };
+    }
+    if (this.controller.patternEngine.isActive()) {
+      return {
+        success: false,
+        error: "A pattern or motion is already running",
+      };
+    }
+
+    const ref = this.db.collection("mission_runs").doc();
+    const run = {
+      id: ref.id,
+      ref,
+      missionId: mission.id,
+      missionName: mission.name,
+      steps: mission.steps,
+      user,
+      startedBy: user.email,
+      cancelled: false,
+      cancelReason: null,
+      currentStep: null,
+      pauseTimer: null,
+      pauseResolve: null,
+      waypoints: mission.steps.map((step, index) => ({
+        index,
+        type: step.type,
+        status: "pending",
+        startedAt: null,
+        finishedAt: null,
+        error: null,
+      })),
+    };
+    this.activeRun = run;
+
+    try {
+      await ref.set({
+        missionId: mission.id,
+        missionName: mission.name,
+        startedBy: user.email,
+        status: "running",
+        startedAt: new Date(),
+        finishedAt: null,
+        waypoints: run.waypoints,
+      });
+    } catch (error) {
+      this.activeRun = null;
+      throw error;
+    }
+
+    this.io.emit("mission_started", this.getRunSummary(run));
+    this.executeRun(run).catch((error) => {
+      console.error("Mission execution error:", error);
+    });
+
+    return { success: true, run: this.getRunSummary(run) };
+  }
+
+  async executeRun(run) {
+    let status = "completed";
+
+    for (let i = 0; i < run.steps.length; i++) {
+      if (run.cancelled) {
+        status = "cancelled";
+        break;
+      }
+
+      const step = run.steps[i];
+      const waypoint = run.waypoints[i];
+      run.currentStep = i;
+      waypoint.status = "running";
+      waypoint.startedAt = new Date();
+      this.io.emit("mission_progress", this.getRunSummary(run));
+
+      try {
+        waypoint.result = await this.executeStep(step, run, i);
+        waypoint.status = "succeeded";
+      } catch (error) {
+        waypoint.status = run.cancelled ? "cancelled" : "failed";
+        waypoint.error = error.message;
+        status = run.cancelled ? "cancelled" : "failed";
+      }
+      waypoint.finishedAt = new Date();
+
+      await this.saveProgress(run, { waypoints: run.waypoints });
+      this.io.emit("mission_progress", this.getRunSummary(run));
+
+      if (status !== "completed") {
+        break;
+      }
+    }
+
+    run.waypoints.forEach((waypoint) => {
+      if (waypoint.status === "pending") {
+        waypoint.status = "skipped";
+      }
+    });
+
+    this.activeRun = null;
+    await this.saveProgress(run, {
+      status,
+      finishedAt: new Date(),
+      waypoints: run.waypoints,
+    });
+
+    console.log(`Mission "${run.missionName}" finished: ${status}`);
+    this.io.emit("mission_finished", { ...this.getRunSummary(run), status });
+  }
+
+  async saveProgress(run, fields) {
+    try {
+      await run.ref.update(fields);
+    } catch (error) {
+      console.error("Failed to save mission run progress:", error);
+    }
+  }
+
+  // Execute one mission step; resolves with a result or throws on failure
+  async executeStep(step, run, index) {
+    switch (step.type) {
+      case "goto": {
+        this.checkControl(run);
+        const result = await this.waitForMotion((onFinish) =>
+          this.controller.navigation.navigateTo(
+            { x: step.x, y: step.y, theta: step.theta },
+            { linearSpeed: step.speed, onFinish }
+          )
+        );
+        if (result.status !== "succeeded") {
+          throw new Error(`Navigation ${result.status} (${result.reason})`);
+        }
+        return result;
+      }
+
+      case "rotate": {
+        this.checkControl(run);
+        const result = await this.waitForMotion((onFinish) =>
+          this.controller.rotateBy(step.angle, step.angular_speed || 0.5, {
+            onFinish,
+          })
+        );
+        if (result.status !== "complete") {
+          throw new Error(`Rotation ${result.status}`);
+        }
+        return result;
+      }
+
+      case "pause":
+        await new Promise((resolve) => {
+          run.pauseResolve = resolve;
+          run.pauseTimer = setTimeout(resolve, step.duration);
+        });
+        run.pauseTimer = null;
+        run.pauseResolve = null;
+        if (run.cancelled) {
+          throw new Error(`Mission cancelled (${run.cancelReason})`);
+        }
+        return { duration: step.duration };
+
+      case "snapshot": {
+        const image = await this.webcamService.captureSnapshot();
+        await fs.promises.mkdir(SNAPSHOT_DIR, { recursive: true });
+        const filename = `mission_${run.id}_${index + 1}.jpg`;
+        await fs.promises.writeFile(path.join(SNAPSHOT_DIR, filename), image);
+
+        this.io.emit("mission_snapshot", {
+          run_id: run.id,
+          step: index + 1,
+          image: image.toString("base64"),
+          timestamp: Date.now(),
+        });
+        return { file: filename, size: image.length };
+      }
+
+      default:
+        throw new Error(`Unknown step type: ${step.type}`);
+    }
+  }
+
+  // Steps that drive need the run's user to still hold control
+  checkControl(run) {
+    if (!this.controller.controlLease.isHolder(run.user)) {
+      throw new Error(`${run.startedBy} no longer holds control of the robot`);
+    }
+  }
+
+  // Start a controller motion and resolve with its final result
+  waitForMotion(start) {
+    return new Promise((resolve, reject) => {
+      const started = start(resolve);
+      if (!started.success) {
+        reject(new Error(started.error));
+      }
+    });
+  }
+
+  cancelActiveRun(reason = "mission_cancelled") {
+    const run = this.activeRun;
+    if (!run || run.cancelled) {
+      return false;
+    }
+
+    console.log(`Mission "${run.missionName}" cancelled: ${reason}`);
+    run.cancelled = true;
+    run.cancelReason = reason;
+    if (run.pauseTimer) {
+      clearTimeout(run.pauseTimer);
+      run.pauseResolve();
+    }
+    this.controller.patternEngine.cancel(reason);
+    return true;
+  }
+
+  getRunSummary(run) {
+    return {
+      run_id: run.id,
+      mission_id: run.missionId,
+      mission_name: run.missionName,
+      started_by: run.startedBy,
+      current_step: run.currentStep === null ? null : run.currentStep + 1,
+      total_steps: run.steps.length,
+      waypoints: run.waypoints,
+    };
+  }
+
+  getStatus() {
+    return this.activeRun
+      ? { active: true, ...this.getRunSummary(this.activeRun) }
+      : { active: false };
+  }
+}
+
+module.exports = MissionService;
@@ -0,0 +1,151 @@
+// Motion Limiter Service - velocity clamping and acceleration-limited ramping
+
+// Kinematic limits per robot base (m/s, rad/s, m/s^2, rad/s^2)
+const ROBOT_PROFILES = {
+  kobuki: {
+    max_linear_velocity: 0.7,
+    max_angular_velocity: 3.14,
+    max_linear_acceleration: 0.5,
+    max_angular_acceleration: 3.5,
+  },
+  create: {
+    max_linear_velocity: 0.5,
+    max_angular_velocity: 2.0,
+    max_linear_acceleration: 0.5,
+    max_angular_acceleration: 2.0,
+  },
+  simulation: {
+    max_linear_velocity: 1.0,
+    max_angular_velocity: 4.0,
+    max_linear_acceleration: 1.0,
+    max_angular_acceleration: 4.0,
+  },
+};
+
+const AXES = ["x", "y", "z"];
+
+class MotionLimiterService {
+  constructor(profileName = process.env.ROBOT_PROFILE || "kobuki") {
+    this.lastClamp = null;
+    this.setProfile(profileName);
+  }
+
+  // Select a robot profile, applying any environment overrides on top
+  setProfile(profileName) {
+    const profile = ROBOT_PROFILES[profileName];
+    if (!profile) {
+      throw new Error(
+        `Unknown robot profile: ${profileName}. Available: ${Object.keys(
+          ROBOT_PROFILES
+        ).join(", ")}`
+      );
+    }
+
+    const fromEnv = (name, fallback) => {
+      const value = parseFloat(process.env[name]);
+      return Number.isFinite(value) && value > 0 ? value : fallback;
+    };
+
+    this.profileName = profileName;
+    this.limits = {
+      max_linear_velocity: fromEnv(
+        "MAX_LINEAR_VELOCITY",
+        profile.max_linear_velocity
+      ),
+      max_angular_velocity: fromEnv(
+        "MAX_ANGULAR_VELOCITY",
+        profile.max_angular_velocity
+      ),
+      max_linear_acceleration: fromEnv(
+        "MAX_LINEAR_ACCELERATION",
+        profile.max_linear_acceleration
+      ),
+      max_angular_acceleration: fromEnv(
+        "MAX_ANGULAR_ACCELERATION",
+        profile.max_angular_acceleration
+      ),
+    };
+  }
+
+  // Clamp a requested twist to the velocity limits
+  clampTwist(twist) {
+    const clampedFields = [];
+    const clampAxis = (group, axis, max) => {
+      const value = twist[group][axis];
+      const limited = Math.max(-max, Math.min(max, value));
+      if (limited !== value) {
+        clampedFields.push({
+          field: `${group}_${axis}`,
+          requested: value,
+          applied: limited,
+          limit: max,
+        });
+      }
+      return limited;
+    };
+
+    const limited = { linear: {}, angular: {} };
+    AXES.forEach((axis) => {
+      limited.linear[axis] = clampAxis(
+        "linear",
+        axis,
+        this.limits.max_linear_velocity
+      );
+      limited.angular[axis] = clampAxis(
+        "angular",
+        axis,
+        this.limits.max_angular_velocity
+      );
+    });
+
+    this.lastClamp = {
+      clamped: clampedFields.length > 0,
+      fields: clampedFields,
+      timestamp: Date.now(),
+    };
+
+    return { twist: limited, ...this.lastClamp };
+  }
+
+  // Move current twist toward target, bounded by the acceleration limits
+  step(current, target, dtSeconds) {
+    const approach = (from, to, maxDelta) => {
+      const delta = to - from;
+      if (Math.abs(delta) <= maxDelta) {
+        return to;
+      }
+      return from + Math.sign(delta) * maxDelta;
+    };
+
+    const maxLinearDelta = this.limits.max_linear_acceleration * dtSeconds;
+    const maxAngularDelta = this.limits.max_angular_acceleration * dtSeconds;
+    const next = { linear: {}, angular: {} };
+
+    AXES.forEach((axis) => {
+      next.linear[axis] = approach(
+        current.linear[axis],
+        target.linear[axis],
+        maxLinearDelta
+      );
+      next.angular[axis] = approach(
+        current.angular[axis],
+        target.angular[axis],
+        maxAngularDelta
+      );
+    });
+
+    return next;
+  }
+
+  getLimits() {
+    return {
+      profile: this.profileName,
+      available_profiles: Object.keys(ROBOT_PROFILES),
+      ...this.limits,
+    };
+  }
+}
+
+MotionLimiterService.ROBOT_PROFILES = ROBOT_PROFILES;
+
+module.exports = MotionLimiterService;
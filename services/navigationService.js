@@ -0,0 +1,197 @@
+// Navigation Service - rotate-drive-rotate go-to-pose controller on odometry
+const {
+  isOdometryAvailable,
+  readPose,
+  normalizeAngle,
+  createHeadingStep,
+  createGoToPointStep,
+} = require("./closedLoopMotion");
+
+const DEFAULT_OPTIONS = {
+  linearSpeed: 0.2, // m/s
+  angularSpeed: 0.6, // rad/s
+  positionTolerance: 0.05, // m
+  angleTolerance: 0.05, // rad
+  timeout: 60000, // ms
+};
+
+class NavigationService {
+  constructor(controller, io) {
+    this.controller = controller;
+    this.io = io;
+    this.goal = null;
+    this.lastResult = null;
+  }
+
+  // Start navigating to {x, y, theta} in the odometry frame (theta optional)
+  navigateTo(goal, options = {}) {
+    if (!isOdometryAvailable(this.controller.odomData)) {
+      return {
+        success: false,
+        error: "Odometry not available",
+        requiresOdometry: true,
+      };
+    }
+
+    const settings = { ...DEFAULT_OPTIONS };
+    Object.keys(DEFAULT_OPTIONS).forEach((key) => {
+      if (options[key] > 0) {
+        settings[key] = options[key];
+      }
+    });
+
+    const hasTheta = Number.isFinite(goal.theta);
+    const target = {
+      x: goal.x,
+      y: goal.y,
+      theta: hasTheta ? goal.theta : null,
+    };
+
+    // Face the goal, drive to it, then turn to the requested heading
+    const steps = [
+      createHeadingStep(
+        this.controller,
+        "rotate to face goal",
+        (pose) => {
+          const dx = target.x - pose.x;
+          const dy = target.y - pose.y;
+          return Math.hypot(dx, dy) <= settings.positionTolerance
+            ? null
+            : Math.atan2(dy, dx);
+        },
+        settings.angularSpeed,
+        settings.angleTolerance
+      ),
+      createGoToPointStep(
+        this.controller,
+        "drive to goal",
+        target,
+        settings.linearSpeed,
+        settings.positionTolerance
+      ),
+      createHeadingStep(
+        this.controller,
+        "rotate to goal heading",
+        () => target.theta,
+        settings.angularSpeed,
+        settings.angleTolerance
+      ),
+    ];
+
+    console.log(
+      `Navigating to goal: x=${target.x}, y=${target.y}, theta=${
+        hasTheta ? target.theta : "any"
+      }`
+    );
+
+    const result = this.controller.patternEngine.start(
+      "navigate",
+      { goal: target },
+      steps,
+      {
+        preempt: options.preempt,
+        timeout: settings.timeout,
+        onProgress: (step) => this.publishFeedback(step),
+        onFinish: (reason, run) => this.publishResult(reason, run),
+      }
+    );
+
+    if (result.success) {
+      this.goal = {
+        ...target,
+        run_id: result.run_id,
+        settings,
+        onFinish: options.onFinish || null,
+        startedAt: Date.now(),
+      };
+    }
+
+    return { ...result, goal: target, settings };
+  }
+
+  cancel() {
+    if (!this.goal) {
+      return false;
+    }
+    return this.controller.patternEngine.cancel("cancelled");
+  }
+
+  // Distance and heading error from the current pose to the goal
+  computeErrors(goal) {
+    const pose = readPose(this.controller.odomData);
+    return {
+      pose,
+      distance_remaining: Math.hypot(goal.x - pose.x, goal.y - pose.y),
+      heading_error:
+        goal.theta === null ? null : normalizeAngle(goal.theta - pose.yaw),
+    };
+  }
+
+  publishFeedback(step) {
+    if (!this.goal) {
+      return;
+    }
+
+    this.io.emit("navigation_feedback", {
+      run_id: this.goal.run_id,
+      goal: { x: this.goal.x, y: this.goal.y, theta: this.goal.theta },
+      phase: step.label,
+      ...this.computeErrors(this.goal),
+      elapsed: Date.now() - this.goal.startedAt,
+      timestamp: Date.now(),
+    });
+  }
+
+  publishResult(reason, run) {
+    const goal = this.goal;
+    if (!goal || goal.run_id !== run.id) {
+      return;
+    }
+    this.goal = null;
+
+    const statusByReason = {
+      complete: "succeeded",
+      cancelled: "cancelled",
+      stopped: "cancelled",
+      preempted: "preempted",
+      emergency_stop: "aborted",
+      timeout: "timeout",
+    };
+
+    this.lastResult = {
+      run_id: run.id,
+      status: statusByReason[reason] || "failed",
+      reason,
+      goal: { x: goal.x, y: goal.y, theta: goal.theta },
+      ...(isOdometryAvailable(this.controller.odomData)
+        ? this.computeErrors(goal)
+        : {}),
+      duration: Date.now() - goal.startedAt,
+      timestamp: Date.now(),
+    };
+
+    console.log(`Navigation finished: ${this.lastResult.status} (${reason})`);
+    this.io.emit("navigation_result", this.lastResult);
+    if (goal.onFinish) {
+      goal.onFinish(this.lastResult);
+    }
+  }
+
+  getStatus() {
+    return {
+      active: this.goal !== null,
+      goal: this.goal && {
+        x: this.goal.x,
+        y: this.goal.y,
+        theta: this.goal.theta,
+        run_id: this.goal.run_id,
+        settings: this.goal.settings,
+        startedAt: this.goal.startedAt,
+      },
+      engine: this.goal ? this.controller.patternEngine.getStatus() : null,
+      last_result: this.lastResult,
+    };
+  }
+}
+
+module.exports = NavigationService;
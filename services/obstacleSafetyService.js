@@ -0,0 +1,209 @@
+// Obstacle Safety Service - blocks or slows forward motion using the laser scan
+const { normalizeAngle } = require("./closedLoopMotion");
+
+// Scans older than this are ignored rather than trusted
+const SCAN_STALE_MS = 1000;
+
+// A scan with more than this share of garbage (NaN, below range_min)
+// returns ahead is as good as none
+const MAX_CORRUPT_RATIO = 0.5;
+
+// Minimum gap between repeated safety_stop notifications
+const NOTIFY_INTERVAL_MS = 1000;
+
+class ObstacleSafetyService {
+  constructor(options = {}) {
+    const fromEnv = (name, fallback) => {
+      const value = parseFloat(process.env[name]);
+      return Number.isFinite(value) && value >= 0 ? value : fallback;
+    };
+
+    this.config = {
+      enabled:
+        options.enabled !== undefined
+          ? options.enabled
+          : process.env.SAFETY_ENABLED !== "false",
+      stop_distance:
+        options.stop_distance || fromEnv("SAFETY_STOP_DISTANCE", 0.25), // m
+      slow_distance:
+        options.slow_distance || fromEnv("SAFETY_SLOW_DISTANCE", 0.5), // m
+      sector_angle: options.sector_angle || fromEnv("SAFETY_SECTOR_ANGLE", 60), // degrees, centred ahead
+      // Block forward motion while there is no usable scan; robots without
+      // a laser set SAFETY_REQUIRE_SCAN=false
+      require_scan:
+        options.require_scan !== undefined
+          ? options.require_scan
+          : process.env.SAFETY_REQUIRE_SCAN !== "false",
+    };
+
+    this.nearest = null; // { range, angle } in the forward sector
+    this.lastScanAt = 0;
+    this.scanCorrupt = false;
+    this.lastEvent = null;
+    this.lastNotifiedAt = 0;
+  }
+
+  // Find the nearest valid return inside the forward sector of a scan
+  updateScan(laserData) {
+    if (!laserData || !Array.isArray(laserData.ranges)) {
+      return this.nearest;
+    }
+
+    const halfSector = ((this.config.sector_angle / 2) * Math.PI) / 180;
+    let nearest = null;
+    let readings = 0;
+    let corrupt = 0;
+
+    laserData.ranges.forEach((range, i) => {
+      const angle = normalizeAngle(
+        laserData.angle_min + i * laserData.angle_increment
+      );
+      if (Math.abs(angle) > halfSector) {
+        return;
+      }
+      readings++;
+      // Infinity and beyond range_max mean nothing was hit
+      if (Number.isNaN(range) || range < laserData.range_min) {
+        corrupt++;
+        return;
+      }
+      if (
+        Number.isFinite(range) &&
+        range <= laserData.range_max &&
+        (!nearest || range < nearest.range)
+      ) {
+        nearest = { range, angle };
+      }
+    });
+
+    this.nearest = nearest;
+    this.scanCorrupt = readings === 0 || corrupt > readings * MAX_CORRUPT_RATIO;
+    this.lastScanAt = laserData.timestamp || Date.now();
+    return this.nearest;
+  }
+
+  // A recent scan that can be trusted
+  hasFreshScan() {
+    return Date.now() - this.lastScanAt < SCAN_STALE_MS && !this.scanCorrupt;
+  }
+
+  // Scale factor for forward velocity: 0 blocks, 1 leaves it untouched
+  forwardScale() {
+    const { enabled, require_scan, stop_distance, slow_distance } = this.config;
+    if (!enabled) {
+      return 1;
+    }
+    // Blind: stopped unless the robot is configured to run without a laser
+    if (!this.hasFreshScan()) {
+      return require_scan ? 0 : 1;
+    }
+    if (!this.nearest) {
+      return 1;
+    }
+
+    const range = this.nearest.range;
+    if (range < stop_distance) {
+      return 0;
+    }
+    if (range < slow_distance) {
+      return (range - stop_distance) / (slow_distance - stop_distance);
+    }
+    return 1;
+  }
+
+  // Apply the safety limit to a twist; turning and reversing pass through
+  filterTwist(twist) {
+    const scale = this.forwardScale();
+    if (twist.linear.x <= 0 || scale === 1) {
+      return { twist, limited: false, scale };
+    }
+
+    const limitedTwist = {
+      linear: { ...twist.linear, x: twist.linear.x * scale },
+      angular: { ...twist.angular },
+    };
+
+    const scanStale = !this.hasFreshScan();
+    this.lastEvent = {
+      action: scale === 0 ? "stop" : "slow",
+      requested_linear_x: twist.linear.x,
+      applied_linear_x: limitedTwist.linear.x,
+      scan_stale: scanStale,
+      range: scanStale ? null : this.nearest.range,
+      angle: scanStale ? null : this.nearest.angle,
+      stop_distance: this.config.stop_distance,
+      slow_distance: this.config.slow_distance,
+      timestamp: Date.now(),
+    };
+
+    return { twist: limitedTwist, limited: true, scale, event: this.lastEvent };
+  }
+
+  // Throttle notifications while a blocked command is being repeated
+  shouldNotify() {
+    if (Date.now() - this.lastNotifiedAt < NOTIFY_INTERVAL_MS) {
+      return false;
+    }
+    this.lastNotifiedAt = Date.now();
+    return true;
+  }
+
+  // Update configuration; returns an error message or null
+  updateConfig(changes) {
+    const next = { ...this.config };
+
+    for (const key of ["enabled", "require_scan"]) {
+      if (changes[key] === undefined) {
+        continue;
+      }
+      if (typeof changes[key] !== "boolean") {
+        return `${key} must be a boolean`;
+      }
+      next[key] = changes[key];
+    }
+
+    for (const key of ["stop_distance", "slow_distance", "sector_angle"]) {
+      if (changes[key] === undefined) {
+        continue;
+      }
+      const value = parseFloat(changes[key]);
+      if (!Number.isFinite(value) || value <= 0) {
+        return `${key} must be a positive number`;
+      }
+      next[key] = value;
+    }
+
+    if (next.slow_distance < next.stop_distance) {
+      return "slow_distance must be greater than or equal to stop_distance";
+    }
+    if (next.sector_angle > 360) {
+      return "sector_angle must be at most 360 degrees";
+    }
+
+    this.config = next;
+    return null;
+  }
+
+  // "clear", "slow", "stop" or "disabled" for the latest scan
+  getState() {
+    if (!this.config.enabled) {
+      return "disabled";
+    }
+    const scale = this.forwardScale();
+    return scale === 0 ? "stop" : scale < 1 ? "slow" : "clear";
+  }
+
+  getStatus() {
+    return {
+      config: { ...this.config },
+      state: this.getState(),
+      scan_available: this.hasFreshScan(),
+      scan_stale: !this.hasFreshScan(),
+      nearest_obstacle: this.nearest,
+      forward_scale: this.forwardScale(),
+      last_event: this.lastEvent,
+    };
+  }
+}
+
+module.exports = ObstacleSafetyService;
@@ -0,0 +1,294 @@
+// Pattern Engine Service - runs movement patterns as cancellable step sequences
+
+// Control period for closed-loop (odometry driven) steps
+const CLOSED_LOOP_PERIOD_MS = 50;
+// How often closed-loop progress is reported
+const PROGRESS_PERIOD_MS = 200;
+
+class PatternEngineService {
+  constructor(controller, io) {
+    this.controller = controller;
+    this.io = io;
+    this.active = null; // Currently running pattern (one at a time)
+    this.nextRunId = 1;
+  }
+
+  // Step helpers used by the pattern builders
+  static move(label, linear, angular, duration) {
+    return { label, linear, angular, duration };
+  }
+
+  static pause(label, duration) {
+    return { label, stop: true, duration };
+  }
+
+  isActive() {
+    return this.active !== null;
+  }
+
+  // Start a pattern; refuses if one is running unless options.preempt is set
+  start(pattern, parameters, steps, options = {}) {
+    if (!this.controller.isConnected) {
+      return { success: false, error: "Controller not connected" };
+    }
+
+    if (this.controller.hazards.isLatched()) {
+      return {
+        success: false,
+        error: "Motion locked by a hazard; acknowledge it first",
+        hazards: this.controller.hazards.getStatus(),
+      };
+    }
+
+    if (this.active) {
+      if (!options.preempt) {
+        return {
+          success: false,
+          error: `Pattern "${this.active.pattern}" is already running`,
+          active: this.getStatus(),
+        };
+      }
+      console.log(
+        `Pre-empting pattern "${this.active.pattern}" with "${pattern}"`
+      );
+      this.cancel("preempted");
+    }
+
+    this.active = {
+      id: this.nextRunId++,
+      pattern,
+      parameters,
+      steps,
+      index: -1,
+      state: "running",
+      timer: null,
+      ticker: null,
+      stepBegun: false,
+      stepActiveMs: 0,
+      stepStartedAt: null,
+      stepRemaining: null,
+      startedAt: Date.now(),
+      onProgress: options.onProgress || null,
+      onFinish: options.onFinish || null,
+      deadline: null,
+      holdId: this.controller.watchdog.acquireHold(`pattern:${pattern}`),
+    };
+
+    console.log(`Starting ${pattern} pattern with ${steps.length} steps`);
+    this.io.emit("pattern_movement_start", {
+      pattern,
+      ...parameters,
+      run_id: this.active.id,
+      total_steps: steps.length,
+    });
+
+    // Optional overall time limit for the whole run
+    if (options.timeout) {
+      this.active.deadline = setTimeout(
+        () => this.cancel("timeout"),
+        options.timeout
+      );
+    }
+
+    const runId = this.active.id;
+    this.advance();
+    return { success: true, run_id: runId, total_steps: steps.length };
+  }
+
+  // Move on to the next step, or finish the pattern
+  advance() {
+    const run = this.active;
+    run.index++;
+
+    if (run.index >= run.steps.length) {
+      this.finish("complete");
+      return;
+    }
+
+    const step = run.steps[run.index];
+    run.stepBegun = false;
+    run.stepActiveMs = 0;
+    this.io.emit("pattern_step", {
+      run_id: run.id,
+      pattern: run.pattern,
+      step: run.index + 1,
+      total_steps: run.steps.length,
+      label: step.label,
+    });
+
+    this.executeStep(step, step.duration);
+  }
+
+  // Apply a step's velocity and schedule the next one
+  executeStep(step, duration) {
+    const run = this.active;
+
+    if (step.closedLoop) {
+      this.executeClosedLoopStep(step);
+      return;
+    }
+
+    if (step.stop) {
+      this.controller.stop();
+    } else {
+      this.controller.publishTwist(step.linear, 0, 0, 0, 0, step.angular);
+    }
+
+    run.stepStartedAt = Date.now();
+    run.stepRemaining = duration;
+    run.timer = setTimeout(() => {
+      run.timer = null;
+      this.advance();
+    }, duration);
+  }
+
+  // Poll a closed-loop step until it reports done, fails or times out
+  executeClosedLoopStep(step) {
+    const run = this.active;
+
+    if (!run.stepBegun) {
+      step.begin();
+      run.stepBegun = true;
+      run.stepStartedAt = Date.now();
+    }
+
+    run.ticker = setInterval(() => {
+      run.stepActiveMs += CLOSED_LOOP_PERIOD_MS;
+      if (step.timeout && run.stepActiveMs > step.timeout) {
+        this.cancel("step_timeout");
+        return;
+      }
+
+      const command = step.update();
+      if (command.error) {
+        this.cancel(command.error);
+        return;
+      }
+
+      if (command.done) {
+        clearInterval(run.ticker);
+        run.ticker = null;
+        this.controller.stop();
+        this.advance();
+        return;
+      }
+
+      if (run.onProgress && run.stepActiveMs % PROGRESS_PERIOD_MS === 0) {
+        run.onProgress(step, run);
+      }
+
+      this.controller.publishTwist(command.linear, 0, 0, 0, 0, command.angular);
+    }, CLOSED_LOOP_PERIOD_MS);
+  }
+
+  clearTimer() {
+    if (this.active && this.active.timer) {
+      clearTimeout(this.active.timer);
+      this.active.timer = null;
+    }
+    if (this.active && this.active.ticker) {
+      clearInterval(this.active.ticker);
+      this.active.ticker = null;
+    }
+  }
+
+  pause() {
+    const run = this.active;
+    if (!run || run.state !== "running") {
+      return { success: false, error: "No running pattern to pause" };
+    }
+
+    this.clearTimer();
+    if (!run.steps[run.index].closedLoop) {
+      run.stepRemaining = Math.max(
+        0,
+        run.stepRemaining - (Date.now() - run.stepStartedAt)
+      );
+    }
+    run.state = "paused";
+    this.controller.stop();
+
+    console.log(`Paused ${run.pattern} pattern at step ${run.index + 1}`);
+    this.io.emit("pattern_movement_paused", this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  resume() {
+    const run = this.active;
+    if (!run || run.state !== "paused") {
+      return { success: false, error: "No paused pattern to resume" };
+    }
+
+    run.state = "running";
+    this.controller.watchdog.refresh(`pattern:${run.pattern}`);
+    this.executeStep(run.steps[run.index], run.stepRemaining);
+
+    console.log(`Resumed ${run.pattern} pattern at step ${run.index + 1}`);
+    this.io.emit("pattern_movement_resumed", this.getStatus());
+    return { success: true, ...this.getStatus() };
+  }
+
+  // Cancel the active pattern and stop the robot
+  cancel(reason = "cancelled") {
+    if (!this.active) {
+      return false;
+    }
+    this.finish(reason);
+    return true;
+  }
+
+  finish(reason) {
+    const run = this.active;
+    this.clearTimer();
+    clearTimeout(run.deadline);
+    this.active = null;
+    this.controller.watchdog.releaseHold(run.holdId);
+    this.controller.stop();
+
+    const payload = {
+      pattern: run.pattern,
+      run_id: run.id,
+      duration: Date.now() - run.startedAt,
+      timestamp: Date.now(),
+    };
+
+    if (reason === "complete") {
+      console.log(`${run.pattern} pattern completed`);
+      this.io.emit("pattern_movement_complete", payload);
+    } else {
+      console.log(`${run.pattern} pattern stopped (${reason})`);
+      this.io.emit("pattern_movement_stopped", {
+        ...payload,
+        reason,
+        stopped_at_step: run.index + 1,
+      });
+    }
+
+    if (run.onFinish) {
+      run.onFinish(reason, run);
+    }
+  }
+
+  getStatus() {
+    const run = this.active;
+    if (!run) {
+      return { active: false, state: "idle" };
+    }
+
+    const step = run.steps[run.index];
+    return {
+      active: true,
+      state: run.state,
+      run_id: run.id,
+      pattern: run.pattern,
+      parameters: run.parameters,
+      step: run.index + 1,
+      total_steps: run.steps.length,
+      step_label: step ? step.label : null,
+      step_progress: step && step.progress ? step.progress : null,
+      started_at: run.startedAt,
+    };
+  }
+}
+
+module.exports = PatternEngineService;
@@ -0,0 +1,282 @@
+// Queue Service - first-come waiting queue for open lab sessions. Users take
+// fixed driving turns; while anyone is queued only the user whose turn it is
+// (and users who manage the queue) may take control.
+const { hasCapability } = require("../middleware/permissions");
+
+// Length of a driving turn
+const TURN_MS = parseInt(process.env.QUEUE_TURN_MS) || 5 * 60 * 1000;
+// A turn not claimed with a motion command within this time is skipped
+const CLAIM_TIMEOUT_MS =
+  parseInt(process.env.QUEUE_CLAIM_TIMEOUT_MS) || 30 * 1000;
+
+class QueueService {
+  constructor(controller, io) {
+    this.controller = controller;
+    this.io = io;
+    this.waiting = []; // { uid, email, role, via, socket_id, joined_at }
+    this.turn = null; // { uid, email, role, started_at, claim_by, claimed_at, ends_at }
+    this.paused = false;
+    this.timer = null;
+  }
+
+  isQueued(user) {
+    return this.waiting.some(({ uid }) => uid === user.uid);
+  }
+
+  isTurn(user) {
+    return Boolean(this.turn && user && this.turn.uid === user.uid);
+  }
+
+  // Returns an error message unless the user may take control now
+  checkTurn(user) {
+    if (hasCapability(user, "manage_queue") || this.isTurn(user)) {
+      return null;
+    }
+    if (this.turn) {
+      return `It is ${this.turn.email}'s turn until ${new Date(
+        this.turn.ends_at
+      ).toISOString()}`;
+    }
+    if (this.waiting.length > 0) {
+      return this.paused
+        ? "The queue is paused"
+        : "Waiting for the next turn to start";
+    }
+    return null;
+  }
+
+  // Returns { success, status, ... }
+  join(user, socketId = null) {
+    if (this.isTurn(user) || this.isQueued(user)) {
+      return {
+        success: false,
+        status: 409,
+        error: "Already in the queue",
+        queue: this.getStatus(),
+      };
+    }
+    this.waiting.push({
+      uid: user.uid,
+      email: user.email,
+      role: user.role,
+      via: socketId ? "socket" : "rest",
+      socket_id: socketId,
+      joined_at: Date.now(),
+    });
+    console.log(
+      `🚶 ${user.email} joined the queue (position ${this.waiting.length})`
+    );
+    if (!this.turn) {
+      this.advance();
+    }
+    this.announce("joined", user.email);
+    return { success: true, queue: this.getStatus() };
+  }
+
+  // Leave the queue, or end one's own turn early
+  leave(user) {
+    if (this.isTurn(user)) {
+      this.endTurn("left");
+      return { success: true, queue: this.getStatus() };
+    }
+    if (!this.isQueued(user)) {
+      return {
+        success: false,
+        status: 409,
+        error: "Not in the queue",
+        queue: this.getStatus(),
+      };
+    }
+    this.waiting = this.waiting.filter(({ uid }) => uid !== user.uid);
+    console.log(`🚶 ${user.email} left the queue`);
+    this.announce("left", user.email);
+    return { success: true, queue: this.getStatus() };
+  }
+
+  // A socket closed: drop the places taken through it. A turn in progress
+  // keeps running, so its user can reconnect.
+  handleDisconnect(socketId) {
+    const count = this.waiting.length;
+    this.waiting = this.waiting.filter((entry) => entry.socket_id !== socketId);
+    if (this.waiting.length !== count) {
+      this.announce("disconnected", null);
+    }
+  }
+
+  // Start the next turn, unless paused or a reserved slot is in progress
+  // (the reservation service calls slotEnded() when it is over)
+  advance() {
+    clearTimeout(this.timer);
+    this.timer = null;
+    this.turn = null;
+    if (this.paused || this.waiting.length === 0) {
+      return;
+    }
+
+    const reservations = this.controller.controlLease.reservations;
+    const slot = reservations && reservations.getActive();
+    if (slot) {
+      return;
+    }
+
+    const next = this.waiting.shift();
+    const now = Date.now();
+    this.turn = {
+      uid: next.uid,
+      email: next.email,
+      role: next.role,
+      started_at: now,
+      claim_by: now + CLAIM_TIMEOUT_MS,
+      claimed_at: null,
+      ends_at: now + TURN_MS,
+    };
+    this.timer = setTimeout(() => this.skip(), CLAIM_TIMEOUT_MS);
+    console.log(`🚦 Turn of ${next.email} started`);
+
+    // Control passes to the turn's user; managers can take it back
+    const controlLease = this.controller.controlLease;
+    if (controlLease.holder && !this.isTurn(controlLease.holder)) {
+      controlLease.revoke("turn_started");
+    }
+    this.io.emit("queue_turn_started", { turn: this.turn });
+  }
+
+  // The turn's user took control or sent their first motion command
+  claim(user) {
+    if (!this.isTurn(user) || this.turn.claimed_at) {
+      return;
+    }
+    const now = Date.now();
+    this.turn.claimed_at = now;
+    this.turn.ends_at = now + TURN_MS;
+    clearTimeout(this.timer);
+    this.timer = setTimeout(() => this.endTurn("expired"), TURN_MS);
+    this.announce("claimed", this.turn.email);
+  }
+
+  // A reserved slot started: the turn in progress ends, and its user goes
+  // back to the front of the queue for a fresh turn after the slot
+  slotStarted() {
+    if (!this.turn) {
+      return;
+    }
+    const { uid, email, role, started_at } = this.turn;
+    this.waiting.unshift({
+      uid,
+      email,
+      role,
+      via: "rest",
+      socket_id: null,
+      joined_at: started_at,
+    });
+    this.endTurn("reserved");
+  }
+
+  slotEnded() {
+    if (!this.turn) {
+      this.advance();
+      this.announce("reservation_ended", null);
+    }
+  }
+
+  skip() {
+    console.log(`🚦 ${this.turn.email} missed their turn`);
+    this.endTurn("skipped");
+  }
+
+  // The robot stops, control is released and the next user's turn starts
+  endTurn(reason, by = null) {
+    const turn = this.turn;
+    this.turn = null;
+    this.controller.controlLease.revoke(`turn_${reason}`);
+    this.io.emit("queue_turn_ended", { turn, reason });
+    this.advance();
+    this.announce(`turn_${reason}`, by || turn.email);
+  }
+
+  // Move a waiting user to a 1-based position
+  move(uid, position) {
+    const index = this.waiting.findIndex((entry) => entry.uid === uid);
+    if (index === -1) {
+      return { success: false, status: 404, error: "User is not waiting" };
+    }
+    if (
+      !Number.isInteger(position) ||
+      position < 1 ||
+      position > this.waiting.length
+    ) {
+      return {
+        success: false,
+        status: 400,
+        error: `position must be an integer from 1 to ${this.waiting.length}`,
+      };
+    }
+    const [entry] = this.waiting.splice(index, 1);
+    this.waiting.splice(position - 1, 0, entry);
+    this.announce("reordered", entry.email);
+    return { success: true, queue: this.getStatus() };
+  }
+
+  // Pausing lets the current turn finish but starts no new one
+  setPaused(paused, by) {
+    if (this.paused === paused) {
+      return {
+        success: false,
+        status: 409,
+        error: `Queue is already ${paused ? "paused" : "running"}`,
+      };
+    }
+    this.paused = paused;
+    console.log(`🚦 Queue ${paused ? "paused" : "resumed"} by ${by}`);
+    if (!paused && !this.turn) {
+      this.advance();
+    }
+    this.announce(paused ? "paused" : "resumed", by);
+    return { success: true, queue: this.getStatus() };
+  }
+
+  // Remove everyone and end the turn in progress
+  clear(by) {
+    this.waiting = [];
+    console.log(`🚦 Queue cleared by ${by}`);
+    if (this.turn) {
+      this.endTurn("cleared", by);
+    } else {
+      this.announce("cleared", by);
+    }
+    return { success: true, queue: this.getStatus() };
+  }
+
+  announce(reason, by) {
+    this.io.emit("queue_updated", {
+      ...this.getStatus(),
+      last_change: { reason, by, timestamp: Date.now() },
+    });
+  }
+
+  getStatus() {
+    // Waiting users' estimated turn starts, assuming every turn is used in
+    // full; unknown while paused
+    let nextStart = this.turn ? this.turn.ends_at : Date.now();
+    return {
+      paused: this.paused,
+      turn_ms: TURN_MS,
+      claim_timeout_ms: CLAIM_TIMEOUT_MS,
+      turn: this.turn,
+      waiting: this.waiting.map((entry, index) => {
+        const eta = this.paused ? null : nextStart;
+        nextStart += TURN_MS;
+        return {
+          uid: entry.uid,
+          email: entry.email,
+          position: index + 1,
+          joined_at: entry.joined_at,
+          eta_at: eta,
+          eta_ms: eta === null ? null : Math.max(eta - Date.now(), 0),
+        };
+      }),
+    };
+  }
+}
+
+module.exports = QueueService;
@@ -0,0 +1,458 @@
+// Reservation Service - robot time slots booked in advance, stored in
+// Firestore. During an approved slot only its holder (and users who manage
+// reservations) may take control; when the slot ends the robot stops and
+// control is released.
+const admin = require("firebase-admin");
+const crypto = require("crypto");
+const { hasCapability } = require("../middleware/permissions");
+const { buildCalendar } = require("./icalendar");
+
+const RESERVATIONS = "robot_reservations";
+const SETTINGS = "robot_reservation_settings";
+const FEEDS = "robot_reservation_feeds";
+
+// Reservations in these states hold their slot
+const BLOCKING_STATUSES = ["pending", "approved"];
+
+const MIN_DURATION_MS = 5 * 60 * 1000;
+const MAX_DURATION_MS =
+  (parseFloat(process.env.RESERVATION_MAX_HOURS) || 4) * 60 * 60 * 1000;
+const MAX_DAYS_AHEAD = parseInt(process.env.RESERVATION_MAX_DAYS_AHEAD) || 60;
+const MAX_TITLE_LENGTH = 100;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// How often slot starts and ends are checked
+const TICK_MS = 1000;
+
+// Requests matching these rules are approved without an admin
+const DEFAULT_RULES = {
+  enabled: false,
+  roles: ["operator"],
+  max_duration_minutes: 60,
+  max_days_ahead: 7,
+};
+
+// Firestore Timestamps back to Dates
+function toDate(value) {
+  return value && typeof value.toDate === "function" ? value.toDate() : value;
+}
+
+function toReservation(doc) {
+  const data = doc.data();
+  return {
+    id: doc.id,
+    ...data,
+    start: toDate(data.start),
+    end: toDate(data.end),
+    createdAt: toDate(data.createdAt),
+    updatedAt: toDate(data.updatedAt),
+    decidedAt: toDate(data.decidedAt) || null,
+  };
+}
+
+function describeSlot(reservation) {
+  return `${
+    reservation.email
+  } from ${reservation.start.toISOString()} to ${reservation.end.toISOString()}`;
+}
+
+class ReservationService {
+  constructor(controller, io) {
+    this.db = admin.firestore();
+    this.controller = controller;
+    this.io = io;
+    this.rules = { ...DEFAULT_RULES };
+    this.upcoming = []; // Approved reservations that have not ended, by start
+    this.active = null; // Approved reservation in progress
+
+    this.ready = this.load().catch((error) => {
+      console.error("Failed to load reservations:", error.message);
+    });
+    this.ticker = setInterval(() => this.updateActive(), TICK_MS);
+  }
+
+  // Auto-approval rules and the approved slots still to come
+  async load() {
+    const settings = await this.db.collection(SETTINGS).doc("rules").get();
+    if (settings.exists) {
+      this.rules = { ...DEFAULT_RULES, ...settings.data() };
+    }
+    const snapshot = await this.db
+      .collection(RESERVATIONS)
+      .where("end", ">", new Date())
+      .get();
+    snapshot.docs
+      .map(toReservation)
+      .forEach((reservation) => this.cacheReservation(reservation));
+    this.updateActive();
+  }
+
+  cacheReservation(reservation) {
+    this.upcoming = this.upcoming.filter(({ id }) => id !== reservation.id);
+    if (reservation.status === "approved" && reservation.end > new Date()) {
+      this.upcoming.push(reservation);
+      this.upcoming.sort((a, b) => a.start - b.start);
+    }
+  }
+
+  getActive() {
+    return this.active;
+  }
+
+  // Approved slot starting next, if any
+  getNext() {
+    const now = new Date();
+    return this.upcoming.find((reservation) => reservation.start > now) || null;
+  }
+
+  // Returns an error message if the slot in progress belongs to someone else
+  checkSlot(user) {
+    const active = this.active;
+    if (
+      !active ||
+      active.uid === user.uid ||
+      hasCapability(user, "manage_reservations")
+    ) {
+      return null;
+    }
+    return `Robot is reserved by ${
+      active.email
+    } until ${active.end.toISOString()}`;
+  }
+
+  // Detect slot starts and ends
+  updateActive() {
+    const now = new Date();
+    this.upcoming = this.upcoming.filter(
+      (reservation) => reservation.end > now
+    );
+    const active =
+      this.upcoming.find((reservation) => reservation.start <= now) || null;
+    const previous = this.active;
+    if ((active && active.id) === (previous && previous.id)) {
+      return;
+    }
+    this.active = active;
+    const controlLease = this.controller.controlLease;
+    const queue = controlLease.queue;
+
+    if (previous) {
+      console.log(`📅 Reservation of ${previous.email} ended`);
+      controlLease.revoke("reservation_ended");
+      this.io.emit("reservation_ended", { reservation: previous });
+      if (queue) {
+        queue.slotEnded();
+      }
+    }
+    if (active) {
+      console.log(`📅 Reservation of ${active.email} started`);
+      // Queue turns give way to the slot
+      if (queue) {
+        queue.slotStarted();
+      }
+      const holder = controlLease.holder;
+      if (holder && this.checkSlot(holder)) {
+        controlLease.revoke("reservation_started");
+      }
+      this.io.emit("reservation_started", { reservation: active });
+    }
+  }
+
+  // Reservations overlapping [from, to), optionally of one user
+  async listReservations({ from, to, uid = null }) {
+    // Filtered and sorted here rather than in the query to avoid a
+    // composite index
+    const snapshot = await this.db
+      .collection(RESERVATIONS)
+      .where("end", ">", from)
+      .get();
+    return snapshot.docs
+      .map(toReservation)
+      .filter((reservation) => reservation.start < to)
+      .filter((reservation) => !uid || reservation.uid === uid)
+      .sort((a, b) => a.start - b.start);
+  }
+
+  async getReservation(id) {
+    const doc = await this.db.collection(RESERVATIONS).doc(id).get();
+    return doc.exists ? toReservation(doc) : null;
+  }
+
+  // Returns an error message for an invalid slot request
+  validateSlot(start, end, title) {
+    if (isNaN(start) || isNaN(end)) {
+      return "start and end must be ISO 8601 dates";
+    }
+    if (end <= start) {
+      return "end must be after start";
+    }
+    if (end - start < MIN_DURATION_MS) {
+      return `Slots are at least ${MIN_DURATION_MS / 60000} minutes long`;
+    }
+    if (end - start > MAX_DURATION_MS) {
+      return `Slots are at most ${MAX_DURATION_MS / 3600000} hours long`;
+    }
+    if (end <= new Date()) {
+      return "Slot is in the past";
+    }
+    if (start - Date.now() > MAX_DAYS_AHEAD * DAY_MS) {
+      return `Slots can be booked at most ${MAX_DAYS_AHEAD} days ahead`;
+    }
+    if (
+      title !== undefined &&
+      (typeof title !== "string" || title.length > MAX_TITLE_LENGTH)
+    ) {
+      return `title must be a string of at most ${MAX_TITLE_LENGTH} characters`;
+    }
+    return null;
+  }
+
+  // How a new request is approved: "admin", "auto" or null (pending)
+  approvalFor(user, start, end) {
+    if (hasCapability(user, "manage_reservations")) {
+      return "admin";
+    }
+    const rules = this.rules;
+    if (
+      rules.enabled &&
+      rules.roles.includes(user.role) &&
+      end - start <= rules.max_duration_minutes * 60000 &&
+      start - Date.now() <= rules.max_days_ahead * DAY_MS
+    ) {
+      return "auto";
+    }
+    return null;
+  }
+
+  // Request a slot; returns { success, status, ... }
+  async createReservation(user, { start, end, title }) {
+    start = new Date(start);
+    end = new Date(end);
+    const error = this.validateSlot(start, end, title);
+    if (error) {
+      return { success: false, status: 400, error };
+    }
+
+    const approval = this.approvalFor(user, start, end);
+    const now = new Date();
+    const reservation = {
+      uid: user.uid,
+      email: user.email,
+      role: user.role,
+      title: title || "",
+      start,
+      end,
+      status: approval ? "approved" : "pending",
+      approval,
+      createdAt: now,
+      updatedAt: now,
+      decidedBy: approval ? user.email : null,
+      decidedAt: approval ? now : null,
+      decisionReason: null,
+    };
+
+    // Overlap check and insert in one transaction, so two requests for the
+    // same slot cannot both succeed
+    const ref = this.db.collection(RESERVATIONS).doc();
+    const conflict = await this.db.runTransaction(async (transaction) => {
+      const snapshot = await transaction.get(
+        this.db.collection(RESERVATIONS).where("end", ">", start)
+      );
+      const overlap = snapshot.docs
+        .map(toReservation)
+        .find(
+          (other) =>
+            BLOCKING_STATUSES.includes(other.status) && other.start < end
+        );
+      if (overlap) {
+        return overlap;
+      }
+      transaction.set(ref, reservation);
+      return null;
+    });
+    if (conflict) {
+      return {
+        success: false,
+        status: 409,
+        error: `Slot overlaps the ${
+          conflict.status
+        } reservation of ${describeSlot(conflict)}`,
+        conflict: { id: conflict.id, start: conflict.start, end: conflict.end },
+      };
+    }
+
+    const created = { id: ref.id, ...reservation };
+    console.log(
+      `📅 Reservation ${created.status} for ${describeSlot(created)}`
+    );
+    this.changed("created", created);
+    return { success: true, reservation: created };
+  }
+
+  // Approve or reject a pending request
+  async decideReservation(id, approver, approve, reason = null) {
+    const reservation = await this.getReservation(id);
+    if (!reservation) {
+      return { success: false, status: 404, error: "Reservation not found" };
+    }
+    if (reservation.status !== "pending") {
+      return {
+        success: false,
+        status: 409,
+        error: `Reservation is already ${reservation.status}`,
+      };
+    }
+    if (approve && reservation.end <= new Date()) {
+      return { success: false, status: 409, error: "Slot is in the past" };
+    }
+
+    const update = {
+      status: approve ? "approved" : "rejected",
+      approval: approve ? "manual" : null,
+      decidedBy: approver.email,
+      decidedAt: new Date(),
+      decisionReason: reason,
+      updatedAt: new Date(),
+    };
+    await this.db.collection(RESERVATIONS).doc(id).update(update);
+    const decided = { ...reservation, ...update };
+    this.changed(update.status, decided);
+    return { success: true, reservation: decided };
+  }
+
+  // Cancel a slot; its holder or a reservation manager only
+  async cancelReservation(id, user) {
+    const reservation = await this.getReservation(id);
+    if (!reservation) {
+      return { success: false, status: 404, error: "Reservation not found" };
+    }
+    if (
+      reservation.uid !== user.uid &&
+      !hasCapability(user, "manage_reservations")
+    ) {
+      return {
+        success: false,
+        status: 403,
+        error: "Only the holder or an admin can cancel a reservation",
+      };
+    }
+    if (!BLOCKING_STATUSES.includes(reservation.status)) {
+      return {
+        success: false,
+        status: 409,
+        error: `Reservation is already ${reservation.status}`,
+      };
+    }
+    if (reservation.end <= new Date()) {
+      return { success: false, status: 409, error: "Slot is already over" };
+    }
+
+    const update = {
+      status: "cancelled",
+      cancelledBy: user.email,
+      updatedAt: new Date(),
+    };
+    await this.db.collection(RESERVATIONS).doc(id).update(update);
+    const cancelled = { ...reservation, ...update };
+    this.changed("cancelled", cancelled);
+    return { success: true, reservation: cancelled };
+  }
+
+  changed(action, reservation) {
+    this.cacheReservation(reservation);
+    this.io.emit("reservation_updated", { action, reservation });
+    this.updateActive();
+  }
+
+  getRules() {
+    return this.rules;
+  }
+
+  // Returns an error message, or null once the rules are stored
+  async setRules(rules, updatedBy) {
+    const merged = { ...this.rules, ...rules };
+    if (typeof merged.enabled !== "boolean") {
+      return "enabled must be a boolean";
+    }
+    if (
+      !Array.isArray(merged.roles) ||
+      merged.roles.some((role) => typeof role !== "string")
+    ) {
+      return "roles must be an array of role names";
+    }
+    for (const key of ["max_duration_minutes", "max_days_ahead"]) {
+      if (typeof merged[key] !== "number" || merged[key] <= 0) {
+        return `${key} must be a positive number`;
+      }
+    }
+    const stored = {
+      enabled: merged.enabled,
+      roles: merged.roles,
+      max_duration_minutes: merged.max_duration_minutes,
+      max_days_ahead: merged.max_days_ahead,
+    };
+    await this.db
+      .collection(SETTINGS)
+      .doc("rules")
+      .set({ ...stored, updatedBy, updatedAt: new Date() });
+    this.rules = stored;
+    console.log(`📅 Auto-approval rules updated by ${updatedBy}`);
+    return null;
+  }
+
+  // Secret token of a user's calendar feed, created on first use
+  async getFeedToken(user, reset = false) {
+    const ref = this.db.collection(FEEDS).doc(user.uid);
+    if (!reset) {
+      const doc = await ref.get();
+      if (doc.exists) {
+        return doc.data().token;
+      }
+    }
+    const token = crypto.randomBytes(24).toString("hex");
+    await ref.set({ token, email: user.email, createdAt: new Date() });
+    return token;
+  }
+
+  // iCalendar feed of the user owning the token, or null
+  async buildFeed(token) {
+    const snapshot = await this.db
+      .collection(FEEDS)
+      .where("token", "==", token)
+      .limit(1)
+      .get();
+    if (snapshot.empty) {
+      return null;
+    }
+    const { email } = snapshot.docs[0].data();
+    const reservations = await this.listReservations({
+      from: new Date(Date.now() - 30 * DAY_MS),
+      to: new Date(Date.now() + MAX_DAYS_AHEAD * DAY_MS),
+      uid: snapshot.docs[0].id,
+    });
+
+    const STATUS = {
+      approved: "CONFIRMED",
+      pending: "TENTATIVE",
+      rejected: "CANCELLED",
+      cancelled: "CANCELLED",
+    };
+    return buildCalendar(
+      `TurtleBot reservations (${email})`,
+      reservations.map((reservation) => ({
+        uid: `${reservation.id}@tb-backend`,
+        start: reservation.start,
+        end: reservation.end,
+        summary: `TurtleBot${
+          reservation.title ? `: ${reservation.title}` : ""
+        }${reservation.status === "pending" ? " (pending)" : ""}`,
+        description: `Reservation ${reservation.status}${
+          reservation.decisionReason ? `: ${reservation.decisionReason}` : ""
+        }`,
+        status: STATUS[reservation.status],
+        updated: reservation.updatedAt,
+      }))
+    );
+  }
+}
+
+module.exports = ReservationService;
@@ -0,0 +1,241 @@
+// ROS Connection Supervisor - heartbeat, health state and reconnection with
+// backoff for the ROS drivers
+//
+// States:
+//   inactive      no ROS driver is in use
+//   connecting    a connection attempt is running
+//   connected     heartbeats succeed
+//   degraded      heartbeats or cmd_vel publishes are failing
+//   disconnected  connection lost; a retry is scheduled
+const EventEmitter = require("events");
+
+class RosConnectionSupervisor extends EventEmitter {
+  // reconnect(driverName) connects (or reconnects) the ROS driver and
+  // resolves with it; it rejects if the attempt fails
+  constructor(reconnect) {
+    super();
+    const fromEnv = (name, fallback) => {
+      const value = parseInt(process.env[name]);
+      return Number.isFinite(value) && value > 0 ? value : fallback;
+    };
+
+    this.config = {
+      heartbeat_interval_ms: fromEnv("ROS_HEARTBEAT_INTERVAL_MS", 2000),
+      heartbeat_timeout_ms: fromEnv("ROS_HEARTBEAT_TIMEOUT_MS", 3000),
+      heartbeat_failures: fromEnv("ROS_HEARTBEAT_FAILURES", 3),
+      publish_error_threshold: fromEnv("ROS_PUBLISH_ERROR_THRESHOLD", 5),
+      retry_min_delay_ms: fromEnv("ROS_RECONNECT_MIN_DELAY_MS", 1000),
+      retry_max_delay_ms: fromEnv("ROS_RECONNECT_MAX_DELAY_MS", 30000),
+    };
+
+    this.reconnect = reconnect;
+    this.state = "inactive";
+    this.stateSince = Date.now();
+    this.driver = null;
+    this.driverName = null;
+    this.attempts = 0; // Failed attempts since the last connection
+    this.heartbeatFailures = 0;
+    this.publishErrors = 0;
+    this.lastHeartbeatAt = null;
+    this.lastError = null;
+    this.nextRetryAt = null;
+    this.heartbeatTimer = null;
+    this.heartbeatPending = false;
+    this.retryTimer = null;
+  }
+
+  setState(state) {
+    if (state === this.state) {
+      return;
+    }
+    console.log(`🔌 ROS connection: ${this.state} -> ${state}`);
+    this.state = state;
+    this.stateSince = Date.now();
+    this.emit("state", this.getStatus());
+  }
+
+  // A connection attempt to driverName has started
+  begin(driverName) {
+    this.stop();
+    this.driverName = driverName;
+    this.setState("connecting");
+  }
+
+  // The driver connected: monitor it with heartbeats
+  watch(driver) {
+    this.clearTimers();
+    this.driver = driver;
+    this.driverName = driver.name;
+    this.attempts = 0;
+    this.heartbeatFailures = 0;
+    this.publishErrors = 0;
+    this.lastError = null;
+    this.nextRetryAt = null;
+    this.lastHeartbeatAt = Date.now();
+    this.heartbeatTimer = setInterval(
+      () => this.heartbeat(),
+      this.config.heartbeat_interval_ms
+    );
+    this.setState("connected");
+  }
+
+  async heartbeat() {
+    if (this.heartbeatPending || !this.driver) {
+      return;
+    }
+    const driver = this.driver;
+    this.heartbeatPending = true;
+
+    let timer;
+    try {
+      await Promise.race([
+        driver.ping(),
+        new Promise((resolve, reject) => {
+          timer = setTimeout(
+            () => reject(new Error("heartbeat timed out")),
+            this.config.heartbeat_timeout_ms
+          );
+        }),
+      ]);
+      if (driver !== this.driver) {
+        return;
+      }
+      this.heartbeatFailures = 0;
+      this.lastHeartbeatAt = Date.now();
+      if (
+        this.state === "degraded" &&
+        this.publishErrors < this.config.publish_error_threshold
+      ) {
+        this.setState("connected");
+      }
+    } catch (error) {
+      if (driver !== this.driver) {
+        return;
+      }
+      this.heartbeatFailures++;
+      this.lastError = `Heartbeat failed: ${error.message}`;
+      if (this.heartbeatFailures >= this.config.heartbeat_failures) {
+        // The controller hears "disconnected" and calls handleLoss()
+        driver.markDisconnected(this.lastError);
+        this.handleLoss(this.lastError);
+      } else {
+        this.setState("degraded");
+      }
+    } finally {
+      clearTimeout(timer);
+      this.heartbeatPending = false;
+    }
+  }
+
+  reportPublishError(error) {
+    if (!this.driver) {
+      return;
+    }
+    this.publishErrors++;
+    this.lastError = `cmd_vel publish failed: ${error.message}`;
+    if (
+      this.state === "connected" &&
+      this.publishErrors >= this.config.publish_error_threshold
+    ) {
+      this.setState("degraded");
+    }
+  }
+
+  reportPublishSuccess() {
+    if (!this.driver || this.publishErrors === 0) {
+      return;
+    }
+    this.publishErrors = 0;
+    if (this.state === "degraded" && this.heartbeatFailures === 0) {
+      this.setState("connected");
+    }
+  }
+
+  // Connection lost or an attempt failed: schedule a retry with backoff
+  handleLoss(reason) {
+    if (
+      !this.driverName ||
+      this.state === "disconnected" ||
+      this.state === "inactive"
+    ) {
+      return;
+    }
+    this.clearTimers();
+    this.lastError = reason;
+    this.scheduleRetry();
+    this.setState("disconnected");
+  }
+
+  scheduleRetry() {
+    const { retry_min_delay_ms, retry_max_delay_ms } = this.config;
+    const delay = Math.min(
+      retry_max_delay_ms,
+      retry_min_delay_ms * 2 ** this.attempts
+    );
+    this.nextRetryAt = Date.now() + delay;
+    this.retryTimer = setTimeout(() => this.retry(), delay);
+  }
+
+  async retry() {
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+    this.attempts++;
+    this.setState("connecting");
+    console.log(
+      `🔄 Reconnecting ${this.driverName} driver (attempt ${this.attempts})...`
+    );
+
+    try {
+      const driver = await this.reconnect(this.driverName);
+      if (this.state !== "connecting") {
+        return; // Stopped while the attempt was running
+      }
+      this.watch(driver);
+      console.log(`✅ ${this.driverName} driver reconnected`);
+    } catch (error) {
+      if (this.state !== "connecting") {
+        return;
+      }
+      console.warn(
+        `❌ Reconnect attempt ${this.attempts} failed:`,
+        error.message
+      );
+      this.lastError = error.message;
+      this.scheduleRetry();
+      this.setState("disconnected");
+    }
+  }
+
+  clearTimers() {
+    clearInterval(this.heartbeatTimer);
+    clearTimeout(this.retryTimer);
+    this.heartbeatTimer = null;
+    this.retryTimer = null;
+    this.nextRetryAt = null;
+  }
+
+  // No ROS driver in use any more (switched away or shutting down)
+  stop() {
+    this.clearTimers();
+    this.driver = null;
+    this.driverName = null;
+    this.attempts = 0;
+    this.setState("inactive");
+  }
+
+  getStatus() {
+    return {
+      state: this.state,
+      since: this.stateSince,
+      driver: this.driverName,
+      attempts: this.attempts,
+      next_retry_at: this.nextRetryAt,
+      last_heartbeat_at: this.lastHeartbeatAt,
+      heartbeat_failures: this.heartbeatFailures,
+      publish_errors: this.publishErrors,
+      last_error: this.lastError,
+    };
+  }
+}
+
+module.exports = RosConnectionSupervisor;
@@ -0,0 +1,56 @@
+// ROS Graph - topics, types, publishers/subscribers and nodes from a master
+// system state, like `rostopic list -v` and `rosnode list`
+
+// Master system state lists are [[name, [nodes]], ...]; rosnodejs and
+// rosapi-based clients may already return { name: [nodes] }
+function toMap(entries = {}) {
+  return Array.isArray(entries) ? Object.fromEntries(entries) : entries;
+}
+
+// published: [{ name, type }] from getPublishedTopics()
+// systemState: { publishers, subscribers, services } from getSystemState()
+function buildRosGraph(published, systemState) {
+  const publishers = toMap(systemState.publishers);
+  const subscribers = toMap(systemState.subscribers);
+  const services = toMap(systemState.services);
+  const types = new Map(published.map((topic) => [topic.name, topic.type]));
+
+  const topicNames = new Set([
+    ...types.keys(),
+    ...Object.keys(publishers),
+    ...Object.keys(subscribers),
+  ]);
+  const topics = [...topicNames].sort().map((name) => ({
+    name,
+    type: types.get(name) || null,
+    publishers: publishers[name] || [],
+    subscribers: subscribers[name] || [],
+  }));
+
+  const nodes = new Map(); // name -> { publishes, subscribes, services }
+  const nodeEntry = (name) => {
+    if (!nodes.has(name)) {
+      nodes.set(name, { name, publishes: [], subscribes: [], services: [] });
+    }
+    return nodes.get(name);
+  };
+  topics.forEach((topic) => {
+    topic.publishers.forEach((node) =>
+      nodeEntry(node).publishes.push(topic.name)
+    );
+    topic.subscribers.forEach((node) =>
+      nodeEntry(node).subscribes.push(topic.name)
+    );
+  });
+  Object.keys(services).forEach((service) => {
+    services[service].forEach((node) => nodeEntry(node).services.push(service));
+  });
+
+  return {
+    topics,
+    nodes: [...nodes.values()].sort((a, b) => a.name.localeCompare(b.name)),
+    services: Object.keys(services).sort(),
+  };
+}
+
+module.exports = { buildRosGraph };
@@ -0,0 +1,223 @@
+// ROS Message Types - field definitions for validating proxied messages
+//
+// A definition maps field names to a primitive type, another message type or
+// an array of either ("float64[]", "uint8[3]"), like a .msg file.
+
+const INTEGER_RANGES = {
+  int8: [-128, 127],
+  uint8: [0, 255],
+  byte: [-128, 127],
+  char: [0, 255],
+  int16: [-32768, 32767],
+  uint16: [0, 65535],
+  int32: [-2147483648, 2147483647],
+  uint32: [0, 4294967295],
+  int64: [Number.MIN_SAFE_INTEGER, Number.MAX_SAFE_INTEGER],
+  uint64: [0, Number.MAX_SAFE_INTEGER],
+};
+
+// ROS time and duration travel as { secs, nsecs } objects
+const BUILTIN_DEFINITIONS = {
+  time: { secs: "int32", nsecs: "int32" },
+  duration: { secs: "int32", nsecs: "int32" },
+};
+
+const MESSAGE_DEFINITIONS = {
+  "std_msgs/Empty": {},
+  "std_msgs/Bool": { data: "bool" },
+  "std_msgs/String": { data: "string" },
+  "std_msgs/Int32": { data: "int32" },
+  "std_msgs/UInt8": { data: "uint8" },
+  "std_msgs/Float32": { data: "float32" },
+  "std_msgs/Float64": { data: "float64" },
+  "std_msgs/Header": { seq: "uint32", stamp: "time", frame_id: "string" },
+  "geometry_msgs/Vector3": { x: "float64", y: "float64", z: "float64" },
+  "geometry_msgs/Point": { x: "float64", y: "float64", z: "float64" },
+  "geometry_msgs/Quaternion": {
+    x: "float64",
+    y: "float64",
+    z: "float64",
+    w: "float64",
+  },
+  "geometry_msgs/Pose": {
+    position: "geometry_msgs/Point",
+    orientation: "geometry_msgs/Quaternion",
+  },
+  "geometry_msgs/PoseStamped": {
+    header: "std_msgs/Header",
+    pose: "geometry_msgs/Pose",
+  },
+  "geometry_msgs/Twist": {
+    linear: "geometry_msgs/Vector3",
+    angular: "geometry_msgs/Vector3",
+  },
+  // Kobuki base
+  "kobuki_msgs/Sound": { value: "uint8" },
+  "kobuki_msgs/Led": { value: "uint8" },
+  "kobuki_msgs/DigitalOutput": { values: "bool[4]", mask: "bool[4]" },
+  "kobuki_msgs/ButtonEvent": { button: "uint8", state: "uint8" },
+  "kobuki_msgs/BumperEvent": { bumper: "uint8", state: "uint8" },
+  "kobuki_msgs/CliffEvent": {
+    sensor: "uint8",
+    state: "uint8",
+    bottom: "uint16",
+  },
+  "kobuki_msgs/WheelDropEvent": { wheel: "uint8", state: "uint8" },
+  // Services have <type>Request and <type>Response messages, as in rospy
+  "std_srvs/EmptyRequest": {},
+  "std_srvs/EmptyResponse": {},
+  "std_srvs/TriggerRequest": {},
+  "std_srvs/TriggerResponse": { success: "bool", message: "string" },
+  "std_srvs/SetBoolRequest": { data: "bool" },
+  "std_srvs/SetBoolResponse": { success: "bool", message: "string" },
+  "slam_toolbox/SaveMapRequest": { name: "std_msgs/String" },
+  "slam_toolbox/SaveMapResponse": { result: "uint8" },
+};
+
+// Default value of a field, as roslib fills in omitted fields
+function defaultValue(type, definitions) {
+  const array = type.match(/^(.+)\[(\d*)\]$/);
+  if (array) {
+    const length = array[2] ? parseInt(array[2]) : 0;
+    return Array.from({ length }, () => defaultValue(array[1], definitions));
+  }
+  if (type in INTEGER_RANGES || type === "float32" || type === "float64") {
+    return 0;
+  }
+  if (type === "bool") {
+    return false;
+  }
+  if (type === "string") {
+    return "";
+  }
+  const fields = definitions[type];
+  const msg = {};
+  Object.keys(fields).forEach((field) => {
+    msg[field] = defaultValue(fields[field], definitions);
+  });
+  return msg;
+}
+
+// Returns { value } or { error } for one field value
+function checkField(path, type, value, definitions) {
+  const array = type.match(/^(.+)\[(\d*)\]$/);
+  if (array) {
+    if (!Array.isArray(value)) {
+      return { error: `${path} must be an array` };
+    }
+    if (array[2] && value.length !== parseInt(array[2])) {
+      return { error: `${path} must have ${array[2]} elements` };
+    }
+    const items = [];
+    for (let i = 0; i < value.length; i++) {
+      const item = checkField(`${path}[${i}]`, array[1], value[i], definitions);
+      if (item.error) {
+        return item;
+      }
+      items.push(item.value);
+    }
+    return { value: items };
+  }
+
+  if (type in INTEGER_RANGES) {
+    const [min, max] = INTEGER_RANGES[type];
+    if (!Number.isInteger(value) || value < min || value > max) {
+      return { error: `${path} must be a ${type} integer (${min} to ${max})` };
+    }
+    return { value };
+  }
+  if (type === "float32" || type === "float64") {
+    if (typeof value !== "number" || !Number.isFinite(value)) {
+      return { error: `${path} must be a finite number` };
+    }
+    return { value };
+  }
+  if (type === "bool") {
+    if (typeof value !== "boolean") {
+      return { error: `${path} must be a boolean` };
+    }
+    return { value };
+  }
+  if (type === "string") {
+    if (typeof value !== "string") {
+      return { error: `${path} must be a string` };
+    }
+    return { value };
+  }
+  const fields = definitions[type];
+  if (!fields) {
+    return { error: `${path} has unknown message type ${type}` };
+  }
+  if (typeof value !== "object" || value === null || Array.isArray(value)) {
+    return { error: `${path || "message"} must be a ${type} object` };
+  }
+  const unknown = Object.keys(value).find((field) => !(field in fields));
+  if (unknown) {
+    return {
+      error: `${path ? `${path}.` : ""}${unknown} is not a field of ${type}`,
+    };
+  }
+
+  const msg = {};
+  for (const field of Object.keys(fields)) {
+    const fieldPath = path ? `${path}.${field}` : field;
+    if (value[field] === undefined) {
+      msg[field] = defaultValue(fields[field], definitions);
+      continue;
+    }
+    const checked = checkField(
+      fieldPath,
+      fields[field],
+      value[field],
+      definitions
+    );
+    if (checked.error) {
+      return checked;
+    }
+    msg[field] = checked.value;
+  }
+  return { value: msg };
+}
+
+// Validate a message against its type; omitted fields get default values.
+// extraDefinitions adds types that are not built in.
+function validateMessage(type, msg = {}, extraDefinitions = {}) {
+  const definitions = {
+    ...BUILTIN_DEFINITIONS,
+    ...MESSAGE_DEFINITIONS,
+    ...extraDefinitions,
+  };
+  if (!definitions[type]) {
+    return { error: `Unknown message type: ${type}` };
+  }
+  const checked = checkField("", type, msg, definitions);
+  return checked.error ? { error: checked.error } : { msg: checked.value };
+}
+
+// Whether a type (and every type it references) has a definition
+function isKnownType(type, extraDefinitions = {}) {
+  const definitions = {
+    ...BUILTIN_DEFINITIONS,
+    ...MESSAGE_DEFINITIONS,
+    ...extraDefinitions,
+  };
+  const pending = [type];
+  const seen = new Set();
+  while (pending.length) {
+    const current = pending.pop().replace(/\[\d*\]$/, "");
+    if (seen.has(current) || current in INTEGER_RANGES) {
+      continue;
+    }
+    seen.add(current);
+    if (["float32", "float64", "bool", "string"].includes(current)) {
+      continue;
+    }
+    if (!definitions[current]) {
+      return false;
+    }
+    pending.push(...Object.values(definitions[current]));
+  }
+  return true;
+}
+
+module.exports = { MESSAGE_DEFINITIONS, validateMessage, isKnownType };
@@ -0,0 +1,297 @@
+// ROS Service Proxy - whitelisted service calls and parameter server access
+// (Kobuki odometry reset, map saving, velocity smoother limits) for admins
+const fs = require("fs");
+const {
+  MESSAGE_DEFINITIONS,
+  validateMessage,
+  isKnownType,
+} = require("./rosMessageTypes");
+
+const DEFAULT_TIMEOUT_MS = parseInt(process.env.ROS_SERVICE_TIMEOUT_MS) || 5000;
+const MAX_TIMEOUT_MS = 60000;
+
+const DEFAULT_SERVICES = [
+  { service: "/mobile_base/reset_odometry", type: "std_srvs/Empty" },
+  { service: "/move_base/clear_costmaps", type: "std_srvs/Empty" },
+  {
+    service: "/slam_toolbox/save_map",
+    type: "slam_toolbox/SaveMap",
+    timeout_ms: 20000, // Writing the map image takes a while
+  },
+];
+
+// Parameters under these namespaces may be written; any can be read
+const WRITABLE_PARAMS = (
+  process.env.ROS_WRITABLE_PARAMS || "/velocity_smoother/,/mobile_base/"
+)
+  .split(",")
+  .map((prefix) => prefix.trim())
+  .filter(Boolean);
+
+// Initial whitelist: ROS_SERVICE_WHITELIST_PATH (JSON array) or the defaults
+function loadServiceWhitelist() {
+  const file = process.env.ROS_SERVICE_WHITELIST_PATH;
+  if (!file) {
+    return DEFAULT_SERVICES;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`Failed to load service whitelist ${file}:`, error.message);
+    return DEFAULT_SERVICES;
+  }
+}
+
+// Reject with a timeout error unless the promise settles within ms
+function withTimeout(promise, ms, message) {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(message);
+      error.timeout = true;
+      reject(error);
+    }, ms);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+}
+
+// JSON type of a parameter value, for keeping writes type-stable
+function paramType(value) {
+  if (Array.isArray(value)) {
+    return "array";
+  }
+  if (value === null) {
+    return "null";
+  }
+  return typeof value;
+}
+
+class RosServiceProxy {
+  constructor(controller) {
+    this.controller = controller;
+    this.services = new Map(); // service -> entry
+
+    const error = this.setWhitelist(loadServiceWhitelist());
+    if (error) {
+      console.error(`Invalid service whitelist, using defaults: ${error}`);
+      this.setWhitelist(DEFAULT_SERVICES);
+    }
+  }
+
+  // Returns an error message, or null once the whitelist is replaced
+  setWhitelist(entries) {
+    if (!Array.isArray(entries)) {
+      return "Service whitelist must be an array of service entries";
+    }
+
+    const services = new Map();
+    for (const [i, raw] of entries.entries()) {
+      const entry = {
+        timeout_ms: DEFAULT_TIMEOUT_MS,
+        definitions: {},
+        ...raw,
+      };
+      const label = `Entry ${i + 1}`;
+      if (
+        typeof entry.service !== "string" ||
+        !/^\/[\w/]+$/.test(entry.service)
+      ) {
+        return `${label}: service must be an absolute ROS name`;
+      }
+      if (services.has(entry.service)) {
+        return `${label}: ${entry.service} is listed twice`;
+      }
+      if (
+        typeof entry.timeout_ms !== "number" ||
+        entry.timeout_ms <= 0 ||
+        entry.timeout_ms > MAX_TIMEOUT_MS
+      ) {
+        return `${label}: timeout_ms must be between 0 and ${MAX_TIMEOUT_MS}`;
+      }
+      for (const part of ["Request", "Response"]) {
+        if (!isKnownType(`${entry.type}${part}`, entry.definitions)) {
+          return `${label}: no definition for ${entry.type}${part}`;
+        }
+      }
+      services.set(entry.service, entry);
+    }
+
+    this.services = services;
+    return null;
+  }
+
+  // Whitelisted services with their request and response fields
+  getWhitelist() {
+    return [...this.services.values()].map((entry) => ({
+      service: entry.service,
+      type: entry.type,
+      timeout_ms: entry.timeout_ms,
+      request: this.fields(entry, "Request"),
+      response: this.fields(entry, "Response"),
+    }));
+  }
+
+  fields(entry, part) {
+    const type = `${entry.type}${part}`;
+    return entry.definitions[type] || MESSAGE_DEFINITIONS[type];
+  }
+
+  // Call a whitelisted service; returns { success, status, ... }
+  async callService(service, request, timeoutMs) {
+    const entry = this.services.get(service);
+    if (!entry) {
+      return {
+        success: false,
+        status: 403,
+        error: `Calling ${service} is not allowed`,
+      };
+    }
+
+    const validated = validateMessage(
+      `${entry.type}Request`,
+      request,
+      entry.definitions
+    );
+    if (validated.error) {
+      return { success: false, status: 400, error: validated.error };
+    }
+
+    const timeout = Math.min(timeoutMs || entry.timeout_ms, entry.timeout_ms);
+    const started = Date.now();
+    const result = await this.withDriver(
+      (driver) => driver.callService(service, entry.type, validated.msg),
+      timeout,
+      `Service ${service} did not respond within ${timeout} ms`
+    );
+    if (!result.success) {
+      return result;
+    }
+
+    // Typed response: the fields of the response definition, with defaults
+    const response = validateMessage(
+      `${entry.type}Response`,
+      result.value || {},
+      entry.definitions
+    );
+    if (response.error) {
+      return {
+        success: false,
+        status: 502,
+        error: `Unexpected response from ${service}: ${response.error}`,
+      };
+    }
+    return {
+      success: true,
+      service,
+      type: entry.type,
+      response: response.msg,
+      duration_ms: Date.now() - started,
+    };
+  }
+
+  async getParamNames() {
+    const result = await this.withDriver(
+      (driver) => driver.getParamNames(),
+      DEFAULT_TIMEOUT_MS,
+      "Parameter server did not respond"
+    );
+    return result.success
+      ? { success: true, names: result.value.sort() }
+      : result;
+  }
+
+  async getParam(name) {
+    const result = await this.withDriver(
+      async (driver) => {
+        const exists = await driver.hasParam(name);
+        return { exists, value: exists ? await driver.getParam(name) : null };
+      },
+      DEFAULT_TIMEOUT_MS,
+      "Parameter server did not respond"
+    );
+    if (!result.success) {
+      return result;
+    }
+    if (!result.value.exists) {
+      return { success: false, status: 404, error: `${name} is not set` };
+    }
+    const { value } = result.value;
+    return { success: true, name, type: paramType(value), value };
+  }
+
+  // Write a parameter under a writable namespace; an existing parameter
+  // keeps its type, so a limit cannot become a string by mistake
+  async setParam(name, value) {
+    if (!WRITABLE_PARAMS.some((prefix) => name.startsWith(prefix))) {
+      return {
+        success: false,
+        status: 403,
+        error: `${name} is not writable (writable: ${WRITABLE_PARAMS.join(
+          ", "
+        )})`,
+      };
+    }
+    if (value === undefined || value === null) {
+      return { success: false, status: 400, error: "value is required" };
+    }
+    if (typeof value === "number" && !Number.isFinite(value)) {
+      return { success: false, status: 400, error: "value must be finite" };
+    }
+
+    const current = await this.getParam(name);
+    if (!current.success && current.status !== 404) {
+      return current;
+    }
+    if (current.success && current.type !== paramType(value)) {
+      return {
+        success: false,
+        status: 400,
+        error: `${name} is a ${current.type}, got a ${paramType(value)}`,
+      };
+    }
+
+    const result = await this.withDriver(
+      (driver) => driver.setParam(name, value),
+      DEFAULT_TIMEOUT_MS,
+      "Parameter server did not respond"
+    );
+    if (!result.success) {
+      return result;
+    }
+    return {
+      success: true,
+      name,
+      type: paramType(value),
+      value,
+      previous: current.success ? current.value : null,
+    };
+  }
+
+  // Run a driver query with a timeout; maps failures to HTTP statuses
+  async withDriver(query, timeoutMs, timeoutMessage) {
+    if (!this.controller.isConnected) {
+      return {
+        success: false,
+        status: 503,
+        error: "Robot driver not connected",
+      };
+    }
+    try {
+      const value = await withTimeout(
+        query(this.controller.driver),
+        timeoutMs,
+        timeoutMessage
+      );
+      return { success: true, value };
+    } catch (error) {
+      console.error("ROS request failed:", error.message);
+      return {
+        success: false,
+        status: error.timeout ? 504 : 502,
+        error: error.message,
+      };
+    }
+  }
+}
+
+module.exports = RosServiceProxy;
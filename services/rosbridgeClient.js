@@ -0,0 +1,283 @@
+// Rosbridge Client - ROS over the rosbridge v2 JSON protocol (WebSocket)
+// Mirrors the parts of the rosnodejs node handle the controller uses
+// (advertise, subscribe, serviceClient, the parameter server,
+// getPublishedTopics, getSystemState) so either transport can be used.
+const EventEmitter = require("events");
+const WebSocket = require("ws");
+
+class RosbridgeClient extends EventEmitter {
+  constructor(
+    url = process.env.ROSBRIDGE_URL || "ws://localhost:9090",
+    options = {}
+  ) {
+    super();
+    this.url = url;
+    this.timeout = options.timeout || 10000; // ms, connect and service calls
+    this.socket = null;
+    this.connected = false;
+    this.nextId = 1;
+    this.pendingCalls = new Map(); // id -> { resolve, reject, timer }
+    this.subscriptions = new Map(); // id -> { topic, callback }
+  }
+
+  connect() {
+    return new Promise((resolve, reject) => {
+      const socket = new WebSocket(this.url);
+      const timer = setTimeout(() => {
+        socket.terminate();
+        reject(new Error(`Timed out connecting to rosbridge at ${this.url}`));
+      }, this.timeout);
+
+      socket.once("open", () => {
+        clearTimeout(timer);
+        this.socket = socket;
+        this.connected = true;
+        console.log(`✅ Connected to rosbridge at ${this.url}`);
+        resolve(this);
+      });
+
+      // Kept for the socket's lifetime: an unhandled error event would throw
+      socket.on("error", (error) => {
+        clearTimeout(timer);
+        if (this.socket === socket) {
+          console.warn(`rosbridge socket error: ${error.message}`);
+        } else {
+          reject(error);
+        }
+      });
+
+      socket.on("message", (data) => {
+        if (this.socket === socket) {
+          this.handleMessage(data);
+        }
+      });
+
+      socket.on("close", () => {
+        // A socket replaced by reconnect() can close long after the new one
+        // opened; it no longer owns the client state
+        if (this.socket !== socket) {
+          return;
+        }
+        this.socket = null;
+        this.connected = false;
+        this.rejectPendingCalls();
+        console.warn(`rosbridge connection to ${this.url} closed`);
+        this.emit("close");
+      });
+    });
+  }
+
+  send(message) {
+    if (!this.connected) {
+      throw new Error("rosbridge not connected");
+    }
+    this.socket.send(JSON.stringify(message));
+  }
+
+  handleMessage(data) {
+    let message;
+    try {
+      message = JSON.parse(data);
+    } catch (error) {
+      console.warn("Ignoring malformed rosbridge message:", error.message);
+      return;
+    }
+
+    switch (message.op) {
+      case "publish":
+        this.subscriptions.forEach((subscription) => {
+          if (subscription.topic === message.topic) {
+            try {
+              subscription.callback(message.msg);
+            } catch (error) {
+              console.error(
+                `Error handling ${message.topic} message:`,
+                error.message
+              );
+            }
+          }
+        });
+        break;
+
+      case "service_response": {
+        const call = this.pendingCalls.get(message.id);
+        if (!call) {
+          return;
+        }
+        clearTimeout(call.timer);
+        this.pendingCalls.delete(message.id);
+        if (message.result === false) {
+          call.reject(
+            new Error(
+              `Service ${message.service} failed: ${JSON.stringify(
+                message.values
+              )}`
+            )
+          );
+        } else {
+          call.resolve(message.values || {});
+        }
+        break;
+      }
+
+      case "status":
+        if (message.level === "error" || message.level === "warning") {
+          console.warn(`rosbridge ${message.level}: ${message.msg}`);
+        }
+        break;
+
+      default:
+        break;
+    }
+  }
+
+  // Returns a publisher with publish(msg) like rosnodejs nh.advertise()
+  advertise(topic, type) {
+    const id = `advertise:${topic}:${this.nextId++}`;
+    this.send({ op: "advertise", id, topic, type });
+
+    return {
+      topic,
+      type,
+      publish: (msg) => this.send({ op: "publish", id, topic, msg }),
+      shutdown: () => {
+        if (this.connected) {
+          this.send({ op: "unadvertise", id, topic });
+        }
+      },
+    };
+  }
+
+  // Returns a subscriber handle like rosnodejs nh.subscribe()
+  subscribe(topic, type, callback, options = {}) {
+    const id = `subscribe:${topic}:${this.nextId++}`;
+    this.subscriptions.set(id, { topic, callback });
+    this.send({
+      op: "subscribe",
+      id,
+      topic,
+      type,
+      queue_length: options.queueSize || 1,
+      throttle_rate: options.throttleMs || 0,
+    });
+
+    return {
+      topic,
+      type,
+      shutdown: () => {
+        this.subscriptions.delete(id);
+        if (this.connected) {
+          this.send({ op: "unsubscribe", id, topic });
+        }
+      },
+    };
+  }
+
+  // Call a ROS service; resolves with the response values
+  callService(service, args = {}) {
+    return new Promise((resolve, reject) => {
+      const id = `call_service:${service}:${this.nextId++}`;
+      const timer = setTimeout(() => {
+        this.pendingCalls.delete(id);
+        reject(new Error(`Service ${service} timed out`));
+      }, this.timeout);
+
+      this.pendingCalls.set(id, { resolve, reject, timer });
+      try {
+        this.send({ op: "call_service", id, service, args });
+      } catch (error) {
+        clearTimeout(timer);
+        this.pendingCalls.delete(id);
+        reject(error);
+      }
+    });
+  }
+
+  // Same shape as rosnodejs nh.serviceClient()
+  serviceClient(service) {
+    return { call: (request) => this.callService(service, request) };
+  }
+
+  // Parameter server through rosapi, which sends values as JSON strings
+  async hasParam(name) {
+    const { exists } = await this.callService("/rosapi/has_param", { name });
+    return exists;
+  }
+
+  async getParam(name) {
+    const { value } = await this.callService("/rosapi/get_param", { name });
+    return JSON.parse(value);
+  }
+
+  async setParam(name, value) {
+    await this.callService("/rosapi/set_param", {
+      name,
+      value: JSON.stringify(value),
+    });
+  }
+
+  async getParamNames() {
+    const { names = [] } = await this.callService("/rosapi/get_param_names");
+    return names;
+  }
+
+  // Same shape as rosnodejs nh.getPublishedTopics(), via rosapi
+  async getPublishedTopics() {
+    const { topics = [], types = [] } = await this.callService(
+      "/rosapi/topics"
+    );
+    return {
+      topics: topics.map((name, i) => ({ name, type: types[i] })),
+    };
+  }
+
+  // Same shape as rosnodejs nh.getSystemState(), assembled from rosapi
+  // queries: { publishers, subscribers, services } mapping names to nodes
+  async getSystemState() {
+    const [{ topics = [] }, { services = [] }] = await Promise.all([
+      this.callService("/rosapi/topics"),
+      this.callService("/rosapi/services"),
+    ]);
+
+    const state = { publishers: {}, subscribers: {}, services: {} };
+    await Promise.all([
+      ...topics.map(async (topic) => {
+        const [{ publishers = [] }, { subscribers = [] }] = await Promise.all([
+          this.callService("/rosapi/publishers", { topic }),
+          this.callService("/rosapi/subscribers", { topic }),
+        ]);
+        state.publishers[topic] = publishers;
+        state.subscribers[topic] = subscribers;
+      }),
+      ...services.map(async (service) => {
+        const { node } = await this.callService("/rosapi/service_node", {
+          service,
+        });
+        state.services[service] = node ? [node] : [];
+      }),
+    ]);
+    return state;
+  }
+
+  // Fail every service call still waiting for a response
+  rejectPendingCalls() {
+    this.pendingCalls.forEach(({ reject, timer }) => {
+      clearTimeout(timer);
+      reject(new Error("rosbridge connection closed"));
+    });
+    this.pendingCalls.clear();
+  }
+
+  // Intentional close: no "close" event is emitted
+  close() {
+    const socket = this.socket;
+    this.socket = null;
+    this.connected = false;
+    this.rejectPendingCalls();
+    if (socket) {
+      socket.close();
+    }
+  }
+}
+
+module.exports = RosbridgeClient;
@@ -0,0 +1,89 @@
+// Sensor topic discovery - candidate ROS topics for each sensor stream
+
+// Missing sensors are probed again at this interval (drivers may start late)
+const SENSOR_PROBE_INTERVAL_MS = 10000;
+
+// Candidates are probed in order; the first one published with a supported
+// type is used. Override with BATTERY_TOPIC / ODOM_TOPIC / LASER_TOPIC /
+// BUMPER_TOPIC / CLIFF_TOPIC / WHEEL_DROP_TOPIC.
+const SENSOR_TOPICS = {
+  battery: {
+    env: "BATTERY_TOPIC",
+    types: [
+      "smart_battery_msgs/SmartBatteryStatus",
+      "sensor_msgs/BatteryState",
+      "diagnostic_msgs/DiagnosticArray",
+    ],
+    candidates: [
+      "/laptop_charge",
+      "/battery_state",
+      "/mobile_base/sensors/battery",
+      "/diagnostics_agg",
+      "/diagnostics",
+    ],
+  },
+  odom: {
+    env: "ODOM_TOPIC",
+    types: ["nav_msgs/Odometry"],
+    candidates: ["/odom", "/mobile_base/odom", "/odometry/filtered"],
+  },
+  laser: {
+    env: "LASER_TOPIC",
+    types: ["sensor_msgs/LaserScan"],
+    candidates: ["/scan", "/base_scan", "/laser/scan"],
+  },
+  // Kobuki hazard events
+  bumper: {
+    env: "BUMPER_TOPIC",
+    types: ["kobuki_msgs/BumperEvent"],
+    candidates: ["/mobile_base/events/bumper"],
+  },
+  cliff: {
+    env: "CLIFF_TOPIC",
+    types: ["kobuki_msgs/CliffEvent"],
+    candidates: ["/mobile_base/events/cliff"],
+  },
+  wheel_drop: {
+    env: "WHEEL_DROP_TOPIC",
+    types: ["kobuki_msgs/WheelDropEvent"],
+    candidates: ["/mobile_base/events/wheel_drop"],
+  },
+};
+
+// Pick the topic and message type for a sensor from the published topic list
+function resolveSensorTopic(sensor, publishedTopics, env = process.env) {
+  const spec = SENSOR_TOPICS[sensor];
+  const published = new Map(publishedTopics.map((t) => [t.name, t.type]));
+
+  // A configured topic is used even if it is not published yet; its type
+  // comes from the master, <ENV>_TYPE, or the sensor's first supported type
+  const override = env[spec.env];
+  if (override) {
+    const type =
+      published.get(override) || env[`${spec.env}_TYPE`] || spec.types[0];
+    if (!spec.types.includes(type)) {
+      return {
+        topic: override,
+        type,
+        source: "config",
+        error: `Unsupported ${sensor} message type: ${type}`,
+      };
+    }
+    return { topic: override, type, source: "config" };
+  }
+
+  for (const topic of spec.candidates) {
+    const type = published.get(topic);
+    if (type && spec.types.includes(type)) {
+      return { topic, type, source: "probe" };
+    }
+  }
+
+  return null;
+}
+
+module.exports = {
+  SENSOR_PROBE_INTERVAL_MS,
+  SENSOR_TOPICS,
+  resolveSensorTopic,
+};
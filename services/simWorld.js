@@ -0,0 +1,335 @@
+// Simulation World - 2D obstacles for raycast laser scans and collisions
+// Worlds are either a JSON list of wall segments or a ROS map_server
+// occupancy grid (YAML + PGM). Bundled worlds live in /worlds.
+const fs = require("fs");
+const path = require("path");
+
+const WORLDS_DIR = path.join(__dirname, "..", "worlds");
+
+// Resolve a bundled world name ("empty_room") or a path to a world file
+function resolveWorldPath(name) {
+  if (fs.existsSync(name)) {
+    return path.resolve(name);
+  }
+  for (const ext of [".json", ".yaml", ".yml"]) {
+    const candidate = path.join(WORLDS_DIR, `${name}${ext}`);
+    if (fs.existsSync(candidate)) {
+      return candidate;
+    }
+  }
+  throw new Error(`World not found: ${name}`);
+}
+
+// Bundled world names
+function listWorlds() {
+  if (!fs.existsSync(WORLDS_DIR)) {
+    return [];
+  }
+  return fs
+    .readdirSync(WORLDS_DIR)
+    .filter((file) => /\.(json|ya?ml)$/.test(file))
+    .map((file) => file.replace(/\.(json|ya?ml)$/, ""));
+}
+
+// Distance from point (px, py) to segment (x1, y1)-(x2, y2)
+function pointSegmentDistance(px, py, [x1, y1, x2, y2]) {
+  const dx = x2 - x1;
+  const dy = y2 - y1;
+  const lengthSq = dx * dx + dy * dy;
+  const t =
+    lengthSq === 0
+      ? 0
+      : Math.max(0, Math.min(1, ((px - x1) * dx + (py - y1) * dy) / lengthSq));
+  return Math.hypot(px - (x1 + t * dx), py - (y1 + t * dy));
+}
+
+// Distance along a ray to a segment, or null if it does not hit it
+function raySegmentDistance(ox, oy, dirX, dirY, [x1, y1, x2, y2]) {
+  const ex = x2 - x1;
+  const ey = y2 - y1;
+  const denominator = dirX * ey - dirY * ex;
+  if (Math.abs(denominator) < 1e-12) {
+    return null; // Parallel
+  }
+  const t = ((x1 - ox) * ey - (y1 - oy) * ex) / denominator;
+  const u = ((x1 - ox) * dirY - (y1 - oy) * dirX) / denominator;
+  return t >= 0 && u >= 0 && u <= 1 ? t : null;
+}
+
+// Robot pose on the charging dock; within radius the contacts touch
+function normalizeDock(dock) {
+  return dock ? { yaw: 0, radius: 0.2, ...dock } : null;
+}
+
+class WallWorld {
+  constructor({ name, description = "", start, dock, walls, cliffs = [] }) {
+    if (!Array.isArray(walls)) {
+      throw new Error("World file must contain a walls array");
+    }
+    walls.forEach((wall, i) => {
+      if (!Array.isArray(wall) || wall.length !== 4) {
+        throw new Error(`Wall ${i + 1} must be [x1, y1, x2, y2]`);
+      }
+    });
+    // Drop-offs (stairs, table edges) as [xmin, ymin, xmax, ymax] areas
+    cliffs.forEach((cliff, i) => {
+      if (
+        !Array.isArray(cliff) ||
+        cliff.length !== 4 ||
+        cliff[0] >= cliff[2] ||
+        cliff[1] >= cliff[3]
+      ) {
+        throw new Error(`Cliff ${i + 1} must be [xmin, ymin, xmax, ymax]`);
+      }
+    });
+
+    this.type = "walls";
+    this.name = name;
+    this.description = description;
+    this.start = { x: 0, y: 0, yaw: 0, ...start };
+    this.dock = normalizeDock(dock);
+    this.walls = walls;
+    this.cliffs = cliffs;
+  }
+
+  raycast(x, y, angle, maxRange) {
+    const dirX = Math.cos(angle);
+    const dirY = Math.sin(angle);
+    let nearest = Infinity;
+    this.walls.forEach((wall) => {
+      const distance = raySegmentDistance(x, y, dirX, dirY, wall);
+      if (distance !== null && distance < nearest) {
+        nearest = distance;
+      }
+    });
+    return nearest <= maxRange ? nearest : Infinity;
+  }
+
+  collides(x, y, radius) {
+    return this.walls.some((wall) => pointSegmentDistance(x, y, wall) < radius);
+  }
+
+  describe() {
+    return {
+      type: this.type,
+      name: this.name,
+      description: this.description,
+      start: this.start,
+      dock: this.dock,
+      walls: this.walls,
+      cliffs: this.cliffs,
+    };
+  }
+}
+
+class GridWorld {
+  constructor({
+    name,
+    description = "",
+    start,
+    dock,
+    resolution,
+    origin,
+    grid,
+  }) {
+    this.type = "occupancy_grid";
+    this.name = name;
+    this.description = description;
+    this.start = { x: 0, y: 0, yaw: 0, ...start };
+    this.dock = normalizeDock(dock);
+    this.resolution = resolution;
+    this.origin = origin; // [x, y, yaw] of the lower-left cell
+    this.width = grid.width;
+    this.height = grid.height;
+    this.occupied = grid.occupied; // Row 0 is the top row of the image
+  }
+
+  isOccupied(x, y) {
+    const col = Math.floor((x - this.origin[0]) / this.resolution);
+    const row =
+      this.height - 1 - Math.floor((y - this.origin[1]) / this.resolution);
+    if (col < 0 || row < 0 || col >= this.width || row >= this.height) {
+      return false; // Unknown space outside the map is treated as free
+    }
+    return this.occupied[row * this.width + col] === 1;
+  }
+
+  // March along the ray in half-cell steps
+  raycast(x, y, angle, maxRange) {
+    const step = this.resolution / 2;
+    const dirX = Math.cos(angle);
+    const dirY = Math.sin(angle);
+    for (let distance = 0; distance <= maxRange; distance += step) {
+      if (this.isOccupied(x + dirX * distance, y + dirY * distance)) {
+        return distance;
+      }
+    }
+    return Infinity;
+  }
+
+  collides(x, y, radius) {
+    for (let dx = -radius; dx <= radius; dx += this.resolution / 2) {
+      for (let dy = -radius; dy <= radius; dy += this.resolution / 2) {
+        if (
+          dx * dx + dy * dy <= radius * radius &&
+          this.isOccupied(x + dx, y + dy)
+        ) {
+          return true;
+        }
+      }
+    }
+    return false;
+  }
+
+  describe() {
+    return {
+      type: this.type,
+      name: this.name,
+      description: this.description,
+      start: this.start,
+      dock: this.dock,
+      resolution: this.resolution,
+      origin: this.origin,
+      width: this.width,
+      height: this.height,
+    };
+  }
+}
+
+// Minimal parser for the flat key: value YAML written by map_server
+function parseMapYaml(text) {
+  const map = {};
+  text.split("\n").forEach((line) => {
+    const match = line.replace(/#.*$/, "").match(/^\s*(\w+)\s*:\s*(.+?)\s*$/);
+    if (!match) {
+      return;
+    }
+    const [, key, raw] = match;
+    if (raw.startsWith("[")) {
+      map[key] = raw
+        .slice(1, -1)
+        .split(",")
+        .map((value) => parseFloat(value));
+    } else if (/^-?[\d.]+(e-?\d+)?$/i.test(raw)) {
+      map[key] = parseFloat(raw);
+    } else {
+      map[key] = raw.replace(/^["']|["']$/g, "");
+    }
+  });
+  return map;
+}
+
+// Parse a binary (P5) or ASCII (P2) PGM image
+function parsePgm(buffer) {
+  const magic = buffer.toString("ascii", 0, 2);
+  if (magic !== "P5" && magic !== "P2") {
+    throw new Error("Map image must be a PGM (P5 or P2) file");
+  }
+
+  // Header: magic, width, height, maxval, separated by whitespace/comments
+  const header = [];
+  let offset = 2;
+  while (header.length < 3) {
+    const char = String.fromCharCode(buffer[offset]);
+    if (char === "#") {
+      while (buffer[offset] !== 0x0a) offset++;
+    } else if (/\s/.test(char)) {
+      offset++;
+    } else {
+      let token = "";
+      while (!/\s/.test(String.fromCharCode(buffer[offset]))) {
+        token += String.fromCharCode(buffer[offset++]);
+      }
+      header.push(parseInt(token));
+    }
+  }
+  offset++; // Single whitespace before the raster
+
+  const [width, height, maxval] = header;
+  const pixels =
+    magic === "P5"
+      ? buffer.subarray(offset, offset + width * height)
+      : buffer
+          .toString("ascii", offset)
+          .trim()
+          .split(/\s+/)
+          .map((value) => parseInt(value));
+
+  return { width, height, maxval, pixels };
+}
+
+function loadGridWorld(file) {
+  const map = parseMapYaml(fs.readFileSync(file, "utf8"));
+  if (!map.image || !map.resolution || !Array.isArray(map.origin)) {
+    throw new Error("Map YAML must define image, resolution and origin");
+  }
+
+  const image = parsePgm(
+    fs.readFileSync(path.resolve(path.dirname(file), map.image))
+  );
+  const occupiedThresh = map.occupied_thresh ?? 0.65;
+  const occupied = new Uint8Array(image.width * image.height);
+  for (let i = 0; i < occupied.length; i++) {
+    const value = image.pixels[i] / image.maxval;
+    // map_server: dark pixels are occupied unless negate is set
+    const probability = map.negate ? value : 1 - value;
+    occupied[i] = probability > occupiedThresh ? 1 : 0;
+  }
+
+  return new GridWorld({
+    name: map.name || path.basename(file).replace(/\.ya?ml$/, ""),
+    description: map.description,
+    start: Array.isArray(map.start)
+      ? { x: map.start[0], y: map.start[1], yaw: map.start[2] || 0 }
+      : undefined,
+    dock: Array.isArray(map.dock)
+      ? { x: map.dock[0], y: map.dock[1], yaw: map.dock[2] || 0 }
+      : undefined,
+    resolution: map.resolution,
+    origin: map.origin,
+    grid: { width: image.width, height: image.height, occupied },
+  });
+}
+
+// Whether the robot at (x, y) sits on the world's charging dock
+function isDocked(world, x, y) {
+  return (
+    !!world &&
+    !!world.dock &&
+    Math.hypot(x - world.dock.x, y - world.dock.y) <= world.dock.radius
+  );
+}
+
+// Whether the floor at (x, y) drops away
+function isCliff(world, x, y) {
+  return (
+    !!world &&
+    !!world.cliffs &&
+    world.cliffs.some(
+      ([xmin, ymin, xmax, ymax]) =>
+        x >= xmin && x <= xmax && y >= ymin && y <= ymax
+    )
+  );
+}
+
+// Load a world by bundled name or file path
+function loadWorld(name) {
+  const file = resolveWorldPath(name);
+  if (file.endsWith(".json")) {
+    const data = JSON.parse(fs.readFileSync(file, "utf8"));
+    return new WallWorld({
+      name: path.basename(file, ".json"),
+      ...data,
+    });
+  }
+  return loadGridWorld(file);
+}
+
+module.exports = {
+  loadWorld,
+  listWorlds,
+  isDocked,
+  isCliff,
+  WallWorld,
+  GridWorld,
+};
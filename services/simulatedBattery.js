@@ -0,0 +1,140 @@
+// Simulated Battery - Kobuki-like 4S Li-ion pack with load-dependent
+// discharge and dock charging
+const DEFAULT_CONFIG = {
+  capacity: 2.2, // Ah
+  initial_percentage: 0.85, // 0..1
+  idle_current: 0.5, // A drawn by the electronics while stationary
+  motor_current: 2.0, // A per m/s of summed wheel speed
+  charge_current: 1.5, // A delivered by the dock
+  internal_resistance: 0.1, // ohm, voltage sag under load
+  time_scale: 1, // >1 drains/charges faster, for testing
+};
+
+const ENV_OVERRIDES = {
+  capacity: "SIM_BATTERY_CAPACITY",
+  initial_percentage: "SIM_BATTERY_START",
+  idle_current: "SIM_BATTERY_IDLE_CURRENT",
+  motor_current: "SIM_BATTERY_MOTOR_CURRENT",
+  charge_current: "SIM_CHARGE_CURRENT",
+  time_scale: "SIM_BATTERY_TIME_SCALE",
+};
+
+const CELLS = 4;
+
+// Open-circuit voltage per cell by state of charge
+const CELL_OCV = [
+  [0, 3.3],
+  [0.1, 3.55],
+  [0.2, 3.65],
+  [0.5, 3.8],
+  [0.8, 4.0],
+  [1, 4.2],
+];
+
+// Above this state of charge the dock switches to constant voltage and the
+// charge current tapers off
+const TAPER_START = 0.9;
+
+function openCircuitVoltage(percentage) {
+  for (let i = 1; i < CELL_OCV.length; i++) {
+    const [p1, v1] = CELL_OCV[i];
+    if (percentage <= p1) {
+      const [p0, v0] = CELL_OCV[i - 1];
+      return CELLS * (v0 + ((percentage - p0) / (p1 - p0)) * (v1 - v0));
+    }
+  }
+  return CELLS * CELL_OCV[CELL_OCV.length - 1][1];
+}
+
+class SimulatedBattery {
+  constructor(options = {}) {
+    this.config = { ...DEFAULT_CONFIG };
+    Object.keys(ENV_OVERRIDES).forEach((key) => {
+      const value = parseFloat(process.env[ENV_OVERRIDES[key]]);
+      if (options[key] !== undefined) {
+        this.config[key] = options[key];
+      } else if (Number.isFinite(value) && value >= 0) {
+        this.config[key] = value;
+      }
+    });
+    this.config.initial_percentage = Math.min(
+      1,
+      this.config.initial_percentage
+    );
+
+    this.reset();
+  }
+
+  reset(percentage = this.config.initial_percentage) {
+    this.charge = this.config.capacity * percentage; // Ah
+    this.current = 0; // A, positive while charging (sensor_msgs/BatteryState)
+    this.docked = false;
+  }
+
+  get percentage() {
+    return this.config.capacity > 0 ? this.charge / this.config.capacity : 0;
+  }
+
+  isEmpty() {
+    return this.charge <= 0;
+  }
+
+  // Advance by dt seconds. wheelSpeed is the summed absolute wheel speed
+  // (m/s); docked connects the charging contacts.
+  step(dt, { wheelSpeed = 0, docked = false } = {}) {
+    const { idle_current, motor_current, charge_current, capacity } =
+      this.config;
+    this.docked = docked;
+
+    if (docked) {
+      // The dock powers the base; charging tapers off near full
+      const taper =
+        this.percentage < TAPER_START
+          ? 1
+          : Math.max(0, (1 - this.percentage) / (1 - TAPER_START));
+      this.current = charge_current * taper;
+    } else if (this.isEmpty()) {
+      this.current = 0; // Flat: the base has shut down
+    } else {
+      this.current = -(idle_current + motor_current * wheelSpeed);
+    }
+
+    const hours = (dt * this.config.time_scale) / 3600;
+    this.charge = Math.min(
+      capacity,
+      Math.max(0, this.charge + this.current * hours)
+    );
+  }
+
+  // Sudden loss of a fraction of the capacity
+  drain(amount) {
+    this.charge = Math.max(0, this.charge - this.config.capacity * amount);
+  }
+
+  powerSupplyStatus() {
+    if (this.docked) {
+      return this.percentage >= 0.999 ? "full" : "charging";
+    }
+    return "discharging";
+  }
+
+  // Same shape as the ROS drivers' battery data
+  getState() {
+    return {
+      percentage: this.percentage,
+      voltage:
+        openCircuitVoltage(this.percentage) +
+        this.current * this.config.internal_resistance,
+      current: this.current,
+      charge: this.charge,
+      capacity: this.config.capacity,
+      design_capacity: this.config.capacity,
+      present: true,
+      power_supply_status: this.powerSupplyStatus(),
+      docked: this.docked,
+      timestamp: Date.now(),
+    };
+  }
+}
+
+module.exports = SimulatedBattery;
@@ -0,0 +1,153 @@
+// Simulation Faults - timed fault injection for the simulation driver
+const EventEmitter = require("events");
+
+const DEFAULT_DURATION_MS = 10000;
+const MAX_DURATION_MS = 10 * 60 * 1000;
+
+// Fault types and their parameter defaults; string parameters take one of
+// the listed choices. Instant faults are applied once and never listed as
+// active.
+const FAULT_TYPES = {
+  odom_dropout: { params: {} }, // No odometry is published
+  laser_freeze: { params: {} }, // The last scan is repeated
+  laser_corrupt: { params: { ratio: 0.3 } }, // Fraction of ranges garbled
+  cmd_vel_latency: { params: { delay_ms: 500 } }, // Commands arrive late
+  publish_error: { params: {} }, // Publishing a velocity throws
+  battery_drain: { params: { amount: 0.3 }, instant: true }, // Charge lost
+  // Hazard sensors held active for the duration
+  bumper_press: {
+    params: { bumper: "center" },
+    choices: { bumper: ["left", "center", "right"] },
+  },
+  cliff: {
+    params: { sensor: "center" },
+    choices: { sensor: ["left", "center", "right"] },
+  },
+  wheel_drop: {
+    params: { wheel: "left" },
+    choices: { wheel: ["left", "right"] },
+  },
+};
+
+class SimulationFaults extends EventEmitter {
+  constructor() {
+    super();
+    this.active = new Map(); // id -> fault
+    this.timers = new Map(); // id -> expiry timeout
+    this.nextId = 1;
+  }
+
+  // Returns { fault } or { error } for invalid requests
+  inject(type, options = {}, injectedBy = null) {
+    const spec = FAULT_TYPES[type];
+    if (!spec) {
+      return {
+        error: `type must be one of ${Object.keys(FAULT_TYPES).join(", ")}`,
+      };
+    }
+
+    const params = { ...spec.params };
+    for (const key of Object.keys(spec.params)) {
+      if (options[key] === undefined) {
+        continue;
+      }
+      const choices = spec.choices && spec.choices[key];
+      if (choices) {
+        if (!choices.includes(options[key])) {
+          return { error: `${key} must be one of ${choices.join(", ")}` };
+        }
+        params[key] = options[key];
+        continue;
+      }
+      const value = parseFloat(options[key]);
+      if (!Number.isFinite(value) || value < 0) {
+        return { error: `${key} must be a non-negative number` };
+      }
+      params[key] = value;
+    }
+    if (params.ratio > 1 || params.amount > 1) {
+      return { error: "ratio and amount must be between 0 and 1" };
+    }
+
+    const duration =
+      options.duration_ms === undefined
+        ? DEFAULT_DURATION_MS
+        : parseInt(options.duration_ms);
+    if (
+      !spec.instant &&
+      (!Number.isFinite(duration) ||
+        duration <= 0 ||
+        duration > MAX_DURATION_MS)
+    ) {
+      return {
+        error: `duration_ms must be between 1 and ${MAX_DURATION_MS}`,
+      };
+    }
+
+    const now = Date.now();
+    const fault = {
+      id: `fault-${this.nextId++}`,
+      type,
+      params,
+      injected_by: injectedBy,
+      injected_at: now,
+      expires_at: spec.instant ? null : now + duration,
+    };
+
+    if (!spec.instant) {
+      this.active.set(fault.id, fault);
+      this.timers.set(
+        fault.id,
+        setTimeout(() => this.clear(fault.id, "expired"), duration)
+      );
+    }
+    this.emit("injected", fault);
+    return { fault };
+  }
+
+  // Returns the cleared fault, or null if it was not active
+  clear(id, reason = "cleared") {
+    const fault = this.active.get(id);
+    if (!fault) {
+      return null;
+    }
+    clearTimeout(this.timers.get(id));
+    this.timers.delete(id);
+    this.active.delete(id);
+    this.emit("cleared", { ...fault, reason });
+    return fault;
+  }
+
+  clearAll(reason = "cleared") {
+    return [...this.active.keys()].map((id) => this.clear(id, reason));
+  }
+
+  // Active faults of a type
+  getAll(type) {
+    return [...this.active.values()].filter((fault) => fault.type === type);
+  }
+
+  // The most recently injected active fault of a type, if any
+  get(type) {
+    let match = null;
+    this.active.forEach((fault) => {
+      if (fault.type === type) {
+        match = fault;
+      }
+    });
+    return match;
+  }
+
+  isActive(type) {
+    return this.get(type) !== null;
+  }
+
+  getActive() {
+    return [...this.active.values()].map((fault) => ({
+      ...fault,
+      remaining_ms: Math.max(0, fault.expires_at - Date.now()),
+    }));
+  }
+}
+
+module.exports = { SimulationFaults, FAULT_TYPES };
@@ -50,7 +50,9 @@ class SocketWebcamService {
 
       // Handle webcam stream start
       socket.on("start_webcam_stream", (data) => {
-        console.log(`🎥 Starting webcam stream for client: ${socket.id}`);
+        console.log(
+          `🎥 Starting webcam stream for client: ${socket.id} (${socket.data.user.email})`
+        );
         this.addStreamingClient(socket);
       });
 
@@ -358,6 +360,38 @@ class SocketWebcamService {
     });
   }
 
+  // Public method to capture a single frame as a Buffer (used by missions)
+  captureSnapshot() {
+    return new Promise((resolve, reject) => {
+      if (!this.isInitialized) {
+        reject(new Error("Webcam not initialized"));
+        return;
+      }
+
+      const filename = `socketio_snapshot_${Date.now()}`;
+      this.webcam.capture(filename, (err, filePath) => {
+        if (err) {
+          reject(err);
+          return;
+        }
+
+        fs.readFile(filePath, (readErr, imageBuffer) => {
+          fs.unlink(filePath, (unlinkErr) => {
+            if (unlinkErr && unlinkErr.code !== "ENOENT") {
+              console.error("❌ Failed to delete snapshot file:", unlinkErr);
+            }
+          });
+
+          if (readErr) {
+            reject(readErr);
+            return;
+          }
+          resolve(imageBuffer);
+        });
+      });
+    });
+  }
+
   // Public method to change frame rate
   setFrameRate(fps) {
     this.frameRate = Math.max(1, Math.min(30, fps)); // Clamp between 1-30 FPS
@@ -0,0 +1,338 @@
+// Topic Proxy Service - whitelisted publish/echo of extra ROS topics
+// (Kobuki sound, LEDs, odometry reset, button events) for web clients
+const fs = require("fs");
+const { validateMessage, isKnownType } = require("./rosMessageTypes");
+
+// Velocity topics stay with the motion controller, so proxied messages
+// cannot bypass the safety layer, motion limits or watchdog
+const RESERVED_TOPICS = [
+  "/cmd_vel",
+  "/cmd_vel_mux/input/navi",
+  "/cmd_vel_mux/input/teleop",
+  "/mobile_base/commands/velocity",
+];
+
+const DEFAULT_WHITELIST = [
+  {
+    topic: "/mobile_base/commands/sound",
+    type: "kobuki_msgs/Sound",
+    publish: true,
+    max_publish_hz: 2,
+  },
+  {
+    topic: "/mobile_base/commands/led1",
+    type: "kobuki_msgs/Led",
+    publish: true,
+    max_publish_hz: 5,
+  },
+  {
+    topic: "/mobile_base/commands/led2",
+    type: "kobuki_msgs/Led",
+    publish: true,
+    max_publish_hz: 5,
+  },
+  {
+    topic: "/mobile_base/commands/reset_odometry",
+    type: "std_msgs/Empty",
+    publish: true,
+    max_publish_hz: 0.2,
+  },
+  {
+    topic: "/mobile_base/events/button",
+    type: "kobuki_msgs/ButtonEvent",
+    subscribe: true,
+  },
+];
+
+const ENTRY_DEFAULTS = {
+  publish: false,
+  subscribe: false,
+  max_publish_hz: 1,
+  max_echo_hz: 10,
+  definitions: {}, // Message definitions for types that are not built in
+};
+
+const MAX_RATE_HZ = 50;
+const ECHO_TIMEOUT_MS = 5000;
+
+// Socket.IO room of a topic's echo subscribers
+function topicRoom(topic) {
+  return `topic:${topic}`;
+}
+
+// Initial whitelist: TOPIC_WHITELIST_PATH (JSON array) or the defaults
+function loadInitialWhitelist() {
+  const file = process.env.TOPIC_WHITELIST_PATH;
+  if (!file) {
+    return DEFAULT_WHITELIST;
+  }
+  try {
+    return JSON.parse(fs.readFileSync(file, "utf8"));
+  } catch (error) {
+    console.error(`Failed to load topic whitelist ${file}:`, error.message);
+    return DEFAULT_WHITELIST;
+  }
+}
+
+class TopicProxyService {
+  constructor(controller, io) {
+    this.controller = controller;
+    this.io = io;
+    this.whitelist = new Map(); // topic -> entry
+    this.lastPublishAt = new Map(); // topic -> ms, for rate limiting
+    this.subscriptions = new Map(); // topic -> { handle, waiters, lastEmitAt }
+
+    const error = this.setWhitelist(loadInitialWhitelist());
+    if (error) {
+      console.error(`Invalid topic whitelist, using defaults: ${error}`);
+      this.setWhitelist(DEFAULT_WHITELIST);
+    }
+
+    // Echo subscribers are Socket.IO rooms: the first socket to join
+    // subscribes on the robot, the room closing releases it
+    const adapter = io.of("/").adapter;
+    adapter.on("create-room", (room) => {
+      if (room.startsWith("topic:")) {
+        this.acquire(room.slice("topic:".length));
+      }
+    });
+    adapter.on("delete-room", (room) => {
+      if (room.startsWith("topic:")) {
+        this.releaseIfUnused(room.slice("topic:".length));
+      }
+    });
+  }
+
+  // Returns an error message, or null once the whitelist is replaced
+  setWhitelist(entries) {
+    if (!Array.isArray(entries)) {
+      return "Whitelist must be an array of topic entries";
+    }
+
+    const whitelist = new Map();
+    for (const [i, raw] of entries.entries()) {
+      const entry = { ...ENTRY_DEFAULTS, ...raw };
+      const label = `Entry ${i + 1}`;
+      if (typeof entry.topic !== "string" || !/^\/[\w/]+$/.test(entry.topic)) {
+        return `${label}: topic must be an absolute ROS name`;
+      }
+      if (whitelist.has(entry.topic)) {
+        return `${label}: ${entry.topic} is listed twice`;
+      }
+      if (
+        typeof entry.publish !== "boolean" ||
+        typeof entry.subscribe !== "boolean"
+      ) {
+        return `${label}: publish and subscribe must be booleans`;
+      }
+      if (!entry.publish && !entry.subscribe) {
+        return `${label}: allow publish, subscribe or both`;
+      }
+      if (entry.publish && RESERVED_TOPICS.includes(entry.topic)) {
+        return `${label}: ${entry.topic} is reserved for the motion controller`;
+      }
+      for (const key of ["max_publish_hz", "max_echo_hz"]) {
+        if (
+          typeof entry[key] !== "number" ||
+          entry[key] <= 0 ||
+          entry[key] > MAX_RATE_HZ
+        ) {
+          return `${label}: ${key} must be between 0 and ${MAX_RATE_HZ}`;
+        }
+      }
+      if (typeof entry.definitions !== "object" || entry.definitions === null) {
+        return `${label}: definitions must be an object`;
+      }
+      if (!isKnownType(entry.type, entry.definitions)) {
+        return `${label}: no message definition for ${entry.type}`;
+      }
+      whitelist.set(entry.topic, entry);
+    }
+
+    this.whitelist = whitelist;
+
+    // Drop echo subscribers of topics that are no longer allowed
+    [...this.subscriptions.keys()].forEach((topic) => {
+      const entry = whitelist.get(topic);
+      if (!entry || !entry.subscribe) {
+        this.io.in(topicRoom(topic)).socketsLeave(topicRoom(topic));
+        this.release(topic);
+      }
+    });
+    this.syncDriver();
+    this.io.emit("topic_whitelist_updated", { topics: this.getWhitelist() });
+    return null;
+  }
+
+  getWhitelist() {
+    return [...this.whitelist.values()];
+  }
+
+  // Returns an error message if the topic may not be echoed
+  checkSubscribe(topic) {
+    const entry = this.whitelist.get(topic);
+    return entry && entry.subscribe
+      ? null
+      : `Subscribing to ${topic} is not allowed`;
+  }
+
+  // Validate, rate limit and publish; returns { success, status, ... }
+  publish(topic, msg) {
+    const entry = this.whitelist.get(topic);
+    if (!entry || !entry.publish) {
+      return {
+        success: false,
+        status: 403,
+        error: `Publishing to ${topic} is not allowed`,
+      };
+    }
+
+    const validated = validateMessage(entry.type, msg, entry.definitions);
+    if (validated.error) {
+      return { success: false, status: 400, error: validated.error };
+    }
+
+    const now = Date.now();
+    const interval = 1000 / entry.max_publish_hz;
+    const elapsed = now - (this.lastPublishAt.get(topic) || 0);
+    if (elapsed < interval) {
+      return {
+        success: false,
+        status: 429,
+        error: `${topic} accepts at most ${entry.max_publish_hz} messages per second`,
+        retry_after_ms: Math.ceil(interval - elapsed),
+      };
+    }
+
+    if (!this.controller.isConnected) {
+      return {
+        success: false,
+        status: 503,
+        error: "Robot driver not connected",
+      };
+    }
+
+    try {
+      this.controller.driver.publishMessage(topic, entry.type, validated.msg);
+    } catch (error) {
+      console.error(`Failed to publish to ${topic}:`, error.message);
+      return { success: false, status: 502, error: error.message };
+    }
+
+    this.lastPublishAt.set(topic, now);
+    return { success: true, topic, type: entry.type, msg: validated.msg };
+  }
+
+  // Next message on a topic, like `rostopic echo -n 1`
+  echo(topic, timeoutMs = ECHO_TIMEOUT_MS) {
+    return new Promise((resolve, reject) => {
+      const subscription = this.acquire(topic);
+      const timer = setTimeout(() => {
+        subscription.waiters.delete(waiter);
+        this.releaseIfUnused(topic);
+        reject(new Error(`No message on ${topic} within ${timeoutMs} ms`));
+      }, timeoutMs);
+      const waiter = (message) => {
+        clearTimeout(timer);
+        subscription.waiters.delete(waiter);
+        this.releaseIfUnused(topic);
+        resolve(message);
+      };
+      subscription.waiters.add(waiter);
+    });
+  }
+
+  // Subscription for a topic, created on first use
+  acquire(topic) {
+    if (!this.subscriptions.has(topic)) {
+      const subscription = { handle: null, waiters: new Set(), lastEmitAt: 0 };
+      this.subscriptions.set(topic, subscription);
+      this.subscribeDriver(topic, subscription);
+    }
+    return this.subscriptions.get(topic);
+  }
+
+  // Release a subscription once no socket or echo request needs it
+  releaseIfUnused(topic) {
+    const subscription = this.subscriptions.get(topic);
+    const room = this.io.of("/").adapter.rooms.get(topicRoom(topic));
+    if (subscription && subscription.waiters.size === 0 && !room) {
+      this.release(topic);
+    }
+  }
+
+  release(topic) {
+    const subscription = this.subscriptions.get(topic);
+    if (!subscription) {
+      return;
+    }
+    this.subscriptions.delete(topic);
+    if (subscription.handle) {
+      try {
+        subscription.handle.shutdown();
+      } catch (error) {
+        console.warn(`Failed to unsubscribe ${topic}:`, error.message);
+      }
+    }
+  }
+
+  subscribeDriver(topic, subscription) {
+    const entry = this.whitelist.get(topic);
+    subscription.handle = null;
+    if (!entry || !this.controller.isConnected) {
+      return; // Subscribed by syncDriver() once a driver connects
+    }
+    try {
+      subscription.handle = this.controller.driver.subscribeTopic(
+        topic,
+        entry.type,
+        (msg) => this.handleMessage(topic, msg)
+      );
+    } catch (error) {
+      console.warn(`Failed to subscribe ${topic}:`, error.message);
+    }
+  }
+
+  handleMessage(topic, msg) {
+    const subscription = this.subscriptions.get(topic);
+    const entry = this.whitelist.get(topic);
+    if (!subscription || !entry) {
+      return;
+    }
+
+    const now = Date.now();
+    const message = { topic, type: entry.type, msg, timestamp: now };
+    subscription.waiters.forEach((waiter) => waiter(message));
+
+    // Echo to sockets no faster than the topic's echo rate
+    if (now - subscription.lastEmitAt >= 1000 / entry.max_echo_hz) {
+      subscription.lastEmitAt = now;
+      this.io.to(topicRoom(topic)).emit("topic_message", message);
+    }
+  }
+
+  // A driver connected or reconnected: advertise the publish topics up
+  // front (so the first message is not lost) and restore echo subscriptions
+  syncDriver() {
+    if (!this.controller.isConnected) {
+      return;
+    }
+    const driver = this.controller.driver;
+    this.whitelist.forEach((entry) => {
+      if (entry.publish) {
+        try {
+          driver.advertiseTopic(entry.topic, entry.type);
+        } catch (error) {
+          console.warn(`Failed to advertise ${entry.topic}:`, error.message);
+        }
+      }
+    });
+    this.subscriptions.forEach((subscription, topic) =>
+      this.subscribeDriver(topic, subscription)
+    );
+  }
+}
+
+TopicProxyService.topicRoom = topicRoom;
+
+module.exports = TopicProxyService;
@@ -0,0 +1,73 @@
+// Topic Rate Monitor - measured message rates, like `rostopic hz`, for the
+// streams the controller receives and publishes
+const WINDOW_MS = 10000; // Only messages this recent are counted
+const MAX_SAMPLES = 1000; // Per stream, caps memory on fast topics
+
+class TopicRateMonitor {
+  constructor() {
+    this.streams = new Map(); // stream -> message times (ms)
+  }
+
+  // A message arrived on (or was published to) a stream
+  record(stream) {
+    if (!this.streams.has(stream)) {
+      this.streams.set(stream, []);
+    }
+    const times = this.streams.get(stream);
+    times.push(Date.now());
+    if (times.length > MAX_SAMPLES) {
+      times.shift();
+    }
+  }
+
+  // Forget all history, e.g. when the driver changes
+  reset() {
+    this.streams.clear();
+  }
+
+  getRate(stream, now = Date.now()) {
+    const all = this.streams.get(stream) || [];
+    const times = all.filter((time) => now - time <= WINDOW_MS);
+
+    const rate = {
+      stream,
+      rate_hz: 0,
+      min_period_ms: null,
+      max_period_ms: null,
+      std_dev_ms: null,
+      window: times.length,
+      last_message_at: all.length ? all[all.length - 1] : null,
+    };
+    if (times.length < 2) {
+      return rate;
+    }
+
+    const periods = times.slice(1).map((time, i) => time - times[i]);
+    const mean = periods.reduce((sum, p) => sum + p, 0) / periods.length;
+    const variance =
+      periods.reduce((sum, p) => sum + (p - mean) ** 2, 0) / periods.length;
+
+    return {
+      ...rate,
+      // A silent stream decays to 0 Hz instead of keeping its last rate
+      rate_hz:
+        now - times[times.length - 1] > Math.max(2 * mean, 1000)
+          ? 0
+          : Math.round((1000 / mean) * 100) / 100,
+      min_period_ms: Math.min(...periods),
+      max_period_ms: Math.max(...periods),
+      std_dev_ms: Math.round(Math.sqrt(variance) * 10) / 10,
+    };
+  }
+
+  getRates() {
+    const now = Date.now();
+    const rates = {};
+    this.streams.forEach((times, stream) => {
+      rates[stream] = this.getRate(stream, now);
+    });
+    return rates;
+  }
+}
+
+module.exports = TopicRateMonitor;
@@ -0,0 +1,62 @@
+// Command watchdog: the deadman lease on velocity commands
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const CommandWatchdogService = require("../services/commandWatchdogService");
+
+describe("CommandWatchdogService", () => {
+  it("goes stale once the timeout passes without a refresh", () => {
+    const watchdog = new CommandWatchdogService({ timeoutMs: 1000 });
+    watchdog.refresh("rest");
+    const refreshedAt = watchdog.lastRefresh;
+    assert.equal(watchdog.isStale(refreshedAt + 999), false);
+    assert.equal(watchdog.isStale(refreshedAt + 1001), true);
+  });
+
+  it("is never stale when disabled with a timeout of 0", () => {
+    const watchdog = new CommandWatchdogService({ timeoutMs: 0 });
+    assert.equal(watchdog.isEnabled(), false);
+    assert.equal(watchdog.isStale(Date.now() + 60000), false);
+  });
+
+  it("keeps the lease alive while a hold is taken", () => {
+    const watchdog = new CommandWatchdogService({ timeoutMs: 1000 });
+    const holdId = watchdog.acquireHold("pattern:circle");
+    assert.equal(watchdog.isStale(Date.now() + 5000), false);
+
+    watchdog.releaseHold(holdId);
+    const releasedAt = watchdog.lastRefresh;
+    assert.equal(watchdog.isStale(releasedAt + 999), false);
+    assert.equal(watchdog.isStale(releasedAt + 1001), true);
+  });
+
+  it("drops every hold at once", () => {
+    const watchdog = new CommandWatchdogService({ timeoutMs: 1000 });
+    watchdog.acquireHold("pattern:square");
+    watchdog.acquireHold("navigation");
+    watchdog.releaseAllHolds();
+    assert.equal(watchdog.isStale(Date.now() + 2000), true);
+  });
+
+  it("ignores releasing an unknown hold", () => {
+    const watchdog = new CommandWatchdogService({ timeoutMs: 1000 });
+    watchdog.lastRefresh = 1;
+    watchdog.releaseHold(42);
+    assert.equal(watchdog.lastRefresh, 1);
+  });
+
+  it("records why it fired", () => {
+    const watchdog = new CommandWatchdogService({
+      timeoutMs: 1000,
+      rampDurationMs: 0,
+    });
+    watchdog.refresh("socket");
+    const trigger = watchdog.recordTrigger("stale_command", { linear: 0.2 });
+    assert.equal(trigger.reason, "stale_command");
+    assert.equal(trigger.lastSource, "socket");
+
+    const status = watchdog.getStatus();
+    assert.equal(status.trigger_count, 1);
+    assert.equal(status.ramp_duration_ms, 0);
+    assert.deepEqual(status.last_trigger, trigger);
+  });
+});
@@ -0,0 +1,158 @@
+// Control lease: who may send motion commands
+const { describe, it, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const ControlLeaseService = require("../services/controlLeaseService");
+
+const user = (uid, role = "operator") => ({ uid, email: `${uid}@lab`, role });
+const alice = user("alice");
+const bob = user("bob");
+const admin = user("root", "admin");
+
+// Controller and Socket.IO stand-ins recording stops and broadcasts
+const createLease = (options = {}) => {
+  const controller = {
+    stops: [],
+    cancelMotion(reason) {
+      this.stops.push(reason);
+      return false;
+    },
+    stop() {},
+    isMotionActive: () => false,
+  };
+  const io = { events: [], emit: (event) => io.events.push(event) };
+  const lease = new ControlLeaseService(controller, io, {
+    timeoutMs: 0,
+    autoAcquire: true,
+    ...options,
+  });
+  controller.controlLease = lease;
+  return { lease, controller, io };
+};
+
+// A slot in progress held by the given user
+const reservationsFor = (holder) => ({
+  getActive: () => (holder ? { uid: holder.uid, email: holder.email } : null),
+  checkSlot: (candidate) =>
+    !holder || candidate.uid === holder.uid || candidate.role === "admin"
+      ? null
+      : `Robot is reserved by ${holder.email}`,
+});
+
+// A queue whose turn belongs to the given user, with someone waiting
+const queueFor = (turnUser) => ({
+  turn: turnUser ? { uid: turnUser.uid } : null,
+  claimed: [],
+  checkTurn(candidate) {
+    return candidate.role === "admin" ||
+      (turnUser && candidate.uid === turnUser.uid)
+      ? null
+      : "Waiting for the next turn to start";
+  },
+  claim(candidate) {
+    this.claimed.push(candidate.uid);
+  },
+});
+
+describe("ControlLeaseService.accessRefusal", () => {
+  it("lets anyone through without reservations or a queue", () => {
+    const { lease } = createLease();
+    assert.equal(lease.accessRefusal(alice), null);
+  });
+
+  it("refuses others during a reserved slot", () => {
+    const { lease } = createLease();
+    lease.setReservations(reservationsFor(alice));
+    const refusal = lease.accessRefusal(bob);
+    assert.equal(refusal.status, 409);
+    assert.match(refusal.error, /reserved by alice@lab/);
+    assert.equal(lease.accessRefusal(alice), null);
+    assert.equal(lease.accessRefusal(admin), null);
+  });
+
+  it("refuses everyone but the turn's user while the queue runs", () => {
+    const { lease } = createLease();
+    lease.setReservations(reservationsFor(null));
+    lease.setQueue(queueFor(bob));
+    assert.match(lease.accessRefusal(alice).error, /next turn/);
+    assert.equal(lease.accessRefusal(bob), null);
+    assert.equal(lease.accessRefusal(admin), null);
+  });
+
+  it("sets the queue aside during a reserved slot", () => {
+    const { lease } = createLease();
+    lease.setReservations(reservationsFor(alice));
+    lease.setQueue(queueFor(null));
+    assert.equal(lease.accessRefusal(alice), null);
+    assert.match(lease.accessRefusal(bob).error, /reserved by/);
+  });
+
+  it("does not claim a turn by checking access", () => {
+    const { lease } = createLease();
+    const queue = queueFor(bob);
+    lease.setQueue(queue);
+    lease.accessRefusal(bob);
+    assert.deepEqual(queue.claimed, []);
+  });
+});
+
+describe("ControlLeaseService.authorize and acquire", () => {
+  let lease;
+  let controller;
+
+  beforeEach(() => {
+    ({ lease, controller } = createLease());
+  });
+
+  it("takes the free lease with the first motion command", () => {
+    assert.equal(lease.authorize(alice).success, true);
+    assert.equal(lease.holder.uid, "alice");
+    assert.equal(lease.authorize(alice).success, true);
+  });
+
+  it("refuses other users while the lease is held", () => {
+    lease.authorize(alice);
+    const refusal = lease.authorize(bob);
+    assert.equal(refusal.success, false);
+    assert.equal(refusal.status, 409);
+    assert.match(refusal.error, /controlled by alice@lab/);
+  });
+
+  it("requires an explicit acquire without auto-acquire", () => {
+    ({ lease } = createLease({ autoAcquire: false }));
+    assert.match(lease.authorize(alice).error, /Acquire control/);
+    assert.equal(lease.acquire(alice).success, true);
+    assert.equal(lease.authorize(alice).success, true);
+  });
+
+  it("lets only take_control users force the lease", () => {
+    lease.acquire(alice);
+    assert.equal(lease.acquire(bob, { force: true }).status, 403);
+
+    assert.equal(lease.acquire(admin, { force: true }).success, true);
+    assert.equal(lease.holder.uid, "root");
+    assert.deepEqual(controller.stops, ["control_taken"]);
+  });
+
+  it("stops the robot when the lease is released", () => {
+    lease.acquire(alice);
+    assert.equal(lease.release(bob).status, 409);
+    assert.equal(lease.release(alice).success, true);
+    assert.equal(lease.holder, null);
+    assert.deepEqual(controller.stops, ["control_released"]);
+  });
+
+  it("claims the queue turn once control is granted", () => {
+    const queue = queueFor(alice);
+    lease.setQueue(queue);
+    assert.equal(lease.authorize(alice).success, true);
+    assert.deepEqual(queue.claimed, ["alice"]);
+  });
+
+  it("claims nothing when control is refused", () => {
+    lease.acquire(admin);
+    const queue = queueFor(alice);
+    lease.setQueue(queue);
+    assert.equal(lease.authorize(alice).success, false);
+    assert.deepEqual(queue.claimed, []);
+  });
+});
@@ -0,0 +1,167 @@
+// Obstacle safety: forward velocity scaling from the laser scan
+const { describe, it } = require("node:test");
+const assert = require("node:assert/strict");
+const ObstacleSafetyService = require("../services/obstacleSafetyService");
+
+const STOP = 0.25;
+const SLOW = 0.5;
+
+const createSafety = (options = {}) =>
+  new ObstacleSafetyService({
+    enabled: true,
+    require_scan: true,
+    stop_distance: STOP,
+    slow_distance: SLOW,
+    sector_angle: 60,
+    ...options,
+  });
+
+// 360 one-degree beams starting behind the robot; index 180 points ahead
+const scan = (fill = 3.0, overrides = {}, timestamp = Date.now()) => {
+  const ranges = Array.from({ length: 360 }, () => fill);
+  Object.entries(overrides).forEach(([degrees, range]) => {
+    ranges[180 + Number(degrees)] = range;
+  });
+  return {
+    angle_min: -Math.PI,
+    angle_increment: Math.PI / 180,
+    range_min: 0.1,
+    range_max: 6.0,
+    ranges,
+    timestamp,
+  };
+};
+
+const twist = (x, z = 0) => ({
+  linear: { x, y: 0, z: 0 },
+  angular: { x: 0, y: 0, z },
+});
+
+describe("ObstacleSafetyService.forwardScale", () => {
+  it("blocks forward motion before any scan arrives", () => {
+    assert.equal(createSafety().forwardScale(), 0);
+  });
+
+  it("lets motion through without a scan when no laser is required", () => {
+    assert.equal(createSafety({ require_scan: false }).forwardScale(), 1);
+  });
+
+  it("does nothing while disabled", () => {
+    const safety = createSafety({ enabled: false });
+    safety.updateScan(scan(3.0, { 0: 0.1 }));
+    assert.equal(safety.forwardScale(), 1);
+  });
+
+  it("leaves a clear path untouched", () => {
+    const safety = createSafety();
+    safety.updateScan(scan());
+    assert.equal(safety.forwardScale(), 1);
+  });
+
+  it("scales linearly between the stop and slow distances", () => {
+    const safety = createSafety();
+    safety.updateScan(scan(3.0, { 5: 0.375 }));
+    assert.equal(safety.forwardScale(), 0.5);
+    assert.equal(safety.getState(), "slow");
+  });
+
+  it("blocks inside the stop distance", () => {
+    const safety = createSafety();
+    safety.updateScan(scan(3.0, { "-10": 0.2 }));
+    assert.equal(safety.forwardScale(), 0);
+    assert.equal(safety.nearest.range, 0.2);
+  });
+
+  it("ignores obstacles outside the forward sector", () => {
+    const safety = createSafety();
+    safety.updateScan(scan(3.0, { 90: 0.15, "-45": 0.15 }));
+    assert.equal(safety.forwardScale(), 1);
+  });
+
+  it("treats returns with no hit as a clear path", () => {
+    const safety = createSafety();
+    safety.updateScan(scan(Infinity));
+    assert.equal(safety.nearest, null);
+    assert.equal(safety.forwardScale(), 1);
+  });
+
+  it("blocks on a stale scan", () => {
+    const safety = createSafety();
+    safety.updateScan(scan(3.0, {}, Date.now() - 2000));
+    assert.equal(safety.hasFreshScan(), false);
+    assert.equal(safety.forwardScale(), 0);
+  });
+
+  it("blocks when most forward returns are garbage", () => {
+    const safety = createSafety();
+    safety.updateScan(scan(NaN));
+    assert.equal(safety.forwardScale(), 0);
+    assert.equal(safety.getStatus().scan_stale, true);
+  });
+
+  it("trusts a scan with a few garbage returns", () => {
+    const safety = createSafety();
+    safety.updateScan(scan(3.0, { 0: NaN, 1: 0.05 }));
+    assert.equal(safety.forwardScale(), 1);
+  });
+});
+
+describe("ObstacleSafetyService.filterTwist", () => {
+  it("passes a clear forward command through", () => {
+    const safety = createSafety();
+    safety.updateScan(scan());
+    const result = safety.filterTwist(twist(0.3));
+    assert.equal(result.limited, false);
+    assert.equal(result.twist.linear.x, 0.3);
+  });
+
+  it("scales forward velocity and reports the obstacle", () => {
+    const safety = createSafety();
+    safety.updateScan(scan(3.0, { 0: 0.375 }));
+    const result = safety.filterTwist(twist(0.4, 0.2));
+    assert.equal(result.limited, true);
+    assert.equal(result.twist.linear.x, 0.2);
+    assert.equal(result.twist.angular.z, 0.2);
+    assert.equal(result.event.action, "slow");
+    assert.equal(result.event.range, 0.375);
+    assert.equal(result.event.scan_stale, false);
+  });
+
+  it("stops forward motion and reports a missing scan", () => {
+    const result = createSafety().filterTwist(twist(0.2));
+    assert.equal(result.twist.linear.x, 0);
+    assert.equal(result.event.action, "stop");
+    assert.equal(result.event.scan_stale, true);
+    assert.equal(result.event.range, null);
+  });
+
+  it("always lets the robot turn and reverse", () => {
+    const safety = createSafety();
+    safety.updateScan(scan(3.0, { 0: 0.1 }));
+    assert.equal(safety.forwardScale(), 0);
+
+    const reverse = safety.filterTwist(twist(-0.2));
+    assert.equal(reverse.limited, false);
+    assert.equal(reverse.twist.linear.x, -0.2);
+
+    const turn = safety.filterTwist(twist(0, 1.0));
+    assert.equal(turn.limited, false);
+    assert.equal(turn.twist.angular.z, 1.0);
+  });
+});
+
+describe("ObstacleSafetyService.updateConfig", () => {
+  it("rejects invalid values and keeps the old config", () => {
+    const safety = createSafety();
+    assert.match(safety.updateConfig({ require_scan: "no" }), /boolean/);
+    assert.match(safety.updateConfig({ stop_distance: -1 }), /positive/);
+    assert.match(safety.updateConfig({ slow_distance: 0.1 }), /slow_distance/);
+    assert.equal(safety.config.stop_distance, STOP);
+  });
+
+  it("applies valid changes", () => {
+    const safety = createSafety();
+    assert.equal(safety.updateConfig({ require_scan: false }), null);
+    assert.equal(safety.forwardScale(), 1);
+  });
+});
@@ -0,0 +1,151 @@
+// Waiting queue: driving turns and how they meet reserved slots
+const { describe, it, beforeEach, afterEach } = require("node:test");
+const assert = require("node:assert/strict");
+const ControlLeaseService = require("../services/controlLeaseService");
+const QueueService = require("../services/queueService");
+
+const user = (uid, role = "operator") => ({ uid, email: `${uid}@lab`, role });
+const alice = user("alice");
+const bob = user("bob");
+const carol = user("carol");
+const admin = user("root", "admin");
+
+describe("QueueService", () => {
+  let queue;
+  let lease;
+  let slot;
+
+  beforeEach(() => {
+    slot = null;
+    const controller = {
+      cancelMotion: () => false,
+      stop() {},
+      isMotionActive: () => false,
+    };
+    const io = { emit() {} };
+    lease = new ControlLeaseService(controller, io, {
+      timeoutMs: 0,
+      autoAcquire: true,
+    });
+    controller.controlLease = lease;
+    lease.setReservations({
+      getActive: () => slot,
+      checkSlot: (candidate) =>
+        !slot || candidate.uid === slot.uid ? null : "Robot is reserved",
+    });
+    queue = new QueueService(controller, io);
+    lease.setQueue(queue);
+  });
+
+  afterEach(() => clearTimeout(queue.timer));
+
+  it("starts the first user's turn on join", () => {
+    queue.join(alice);
+    queue.join(bob);
+    assert.equal(queue.turn.uid, "alice");
+    assert.deepEqual(
+      queue.getStatus().waiting.map(({ uid, position }) => [uid, position]),
+      [["bob", 1]]
+    );
+    assert.equal(queue.join(bob).status, 409);
+  });
+
+  it("refuses everyone but the turn's user and managers", () => {
+    queue.join(alice);
+    queue.join(bob);
+    assert.equal(queue.checkTurn(alice), null);
+    assert.match(queue.checkTurn(bob), /alice@lab's turn/);
+    assert.match(queue.checkTurn(carol), /alice@lab's turn/);
+    assert.equal(queue.checkTurn(admin), null);
+  });
+
+  it("does not claim the turn when checking it", () => {
+    queue.join(alice);
+    queue.checkTurn(alice);
+    assert.equal(queue.turn.claimed_at, null);
+  });
+
+  it("claims the turn with its user's first motion command", () => {
+    queue.join(alice);
+    const startedEndsAt = queue.turn.ends_at;
+    assert.equal(lease.authorize(alice).success, true);
+    assert.notEqual(queue.turn.claimed_at, null);
+    assert.ok(queue.turn.ends_at >= startedEndsAt);
+  });
+
+  it("ignores claims from anyone else", () => {
+    queue.join(alice);
+    queue.claim(bob);
+    assert.equal(queue.turn.claimed_at, null);
+  });
+
+  it("moves on to the next user when a turn is skipped", () => {
+    queue.join(alice);
+    queue.join(bob);
+    lease.authorize(alice);
+    queue.skip();
+    assert.equal(queue.turn.uid, "bob");
+    assert.equal(lease.holder, null);
+    assert.match(lease.authorize(alice).error, /bob@lab's turn/);
+  });
+
+  it("starts the next turn when its user leaves", () => {
+    queue.join(alice);
+    queue.join(bob);
+    queue.leave(alice);
+    assert.equal(queue.turn.uid, "bob");
+    assert.equal(queue.leave(alice).status, 409);
+  });
+
+  it("starts no turn while paused", () => {
+    queue.setPaused(true, "root@lab");
+    queue.join(alice);
+    assert.equal(queue.turn, null);
+    assert.equal(queue.checkTurn(alice), "The queue is paused");
+    queue.setPaused(false, "root@lab");
+    assert.equal(queue.turn.uid, "alice");
+  });
+
+  it("reorders waiting users", () => {
+    queue.join(alice);
+    queue.join(bob);
+    queue.join(carol);
+    assert.equal(queue.move("carol", 1).success, true);
+    assert.deepEqual(
+      queue.waiting.map(({ uid }) => uid),
+      ["carol", "bob"]
+    );
+    assert.equal(queue.move("carol", 5).status, 400);
+    assert.equal(queue.move("nobody", 1).status, 404);
+  });
+
+  describe("during a reserved slot", () => {
+    it("starts no turn and lets the slot's holder drive", () => {
+      slot = { uid: "carol", email: "carol@lab" };
+      queue.join(alice);
+      assert.equal(queue.turn, null);
+      assert.equal(lease.authorize(carol).success, true);
+      assert.equal(lease.authorize(alice).success, false);
+    });
+
+    it("sends the turn's user back to the front when the slot starts", () => {
+      queue.join(alice);
+      queue.join(bob);
+      lease.authorize(alice);
+
+      slot = { uid: "carol", email: "carol@lab" };
+      queue.slotStarted();
+      assert.equal(queue.turn, null);
+      assert.equal(lease.holder, null);
+      assert.deepEqual(
+        queue.waiting.map(({ uid }) => uid),
+        ["alice", "bob"]
+      );
+
+      slot = null;
+      queue.slotEnded();
+      assert.equal(queue.turn.uid, "alice");
+      assert.equal(queue.turn.claimed_at, null);
+    });
+  });
+});
@@ -0,0 +1,174 @@
+// Rosbridge client and driver against the mock rosbridge server
+const {
+  describe,
+  it,
+  before,
+  after,
+  beforeEach,
+  afterEach,
+} = require("node:test");
+const assert = require("node:assert/strict");
+const { once } = require("events");
+const createMockRosbridgeServer = require("../mock-rosbridge-server");
+const RosbridgeClient = require("../services/rosbridgeClient");
+const RosbridgeDriver = require("../drivers/rosbridgeDriver");
+
+const waitFor = async (condition, timeoutMs = 2000) => {
+  const deadline = Date.now() + timeoutMs;
+  while (!condition()) {
+    if (Date.now() > deadline) {
+      throw new Error("Timed out waiting for condition");
+    }
+    await new Promise((resolve) => setTimeout(resolve, 20));
+  }
+};
+
+// Drop every connection from the server side, like a rosbridge restart
+const dropClients = (wss) =>
+  wss.clients.forEach((socket) => socket.terminate());
+
+describe("rosbridge against the mock server", () => {
+  let mock;
+  let url;
+
+  before(async () => {
+    mock = createMockRosbridgeServer({ port: 0 });
+    await once(mock.wss, "listening");
+    url = `ws://localhost:${mock.wss.address().port}`;
+  });
+
+  after(() => {
+    dropClients(mock.wss);
+    mock.wss.close();
+  });
+
+  describe("RosbridgeClient", () => {
+    let client;
+
+    beforeEach(async () => {
+      client = new RosbridgeClient(url, { timeout: 2000 });
+      await client.connect();
+    });
+
+    afterEach(() => client.close());
+
+    it("advertises and publishes", async () => {
+      const publisher = client.advertise("/cmd_vel", "geometry_msgs/Twist");
+      publisher.publish({
+        linear: { x: 0.2, y: 0, z: 0 },
+        angular: { x: 0, y: 0, z: 0.5 },
+      });
+      await waitFor(() => mock.robot.linear === 0.2);
+      assert.equal(mock.robot.angular, 0.5);
+
+      publisher.publish({
+        linear: { x: 0, y: 0, z: 0 },
+        angular: { x: 0, y: 0, z: 0 },
+      });
+      await waitFor(() => mock.robot.linear === 0);
+    });
+
+    it("subscribes and stops receiving after shutdown", async () => {
+      const messages = [];
+      const subscriber = client.subscribe("/odom", "nav_msgs/Odometry", (msg) =>
+        messages.push(msg)
+      );
+      await waitFor(() => messages.length > 0);
+      assert.equal(messages[0].header.frame_id, "odom");
+
+      subscriber.shutdown();
+      const count = messages.length;
+      await new Promise((resolve) => setTimeout(resolve, 300));
+      assert.equal(messages.length, count);
+    });
+
+    it("calls services and the parameter server", async () => {
+      const { topics } = await client.getPublishedTopics();
+      assert.ok(topics.some(({ name }) => name === "/scan"));
+      assert.equal(await client.getParam("/rosdistro"), "noetic");
+      await client.setParam("/test/value", 3);
+      assert.equal(await client.getParam("/test/value"), 3);
+      await assert.rejects(
+        client.callService("/does/not/exist"),
+        /Service \/does\/not\/exist failed/
+      );
+    });
+
+    it("rejects pending calls on close without a close event", async () => {
+      let closed = false;
+      client.on("close", () => {
+        closed = true;
+      });
+      const call = client.callService("/rosapi/topics");
+      client.close();
+      await assert.rejects(call, /rosbridge connection closed/);
+      assert.equal(client.connected, false);
+      assert.throws(() => client.advertise("/cmd_vel", "geometry_msgs/Twist"));
+      await new Promise((resolve) => setTimeout(resolve, 50));
+      assert.equal(closed, false);
+    });
+
+    it("emits close when the server drops the connection", async () => {
+      const closed = once(client, "close");
+      dropClients(mock.wss);
+      await closed;
+      assert.equal(client.connected, false);
+
+      // The same client can connect again
+      await client.connect();
+      assert.equal(await client.getParam("/rosdistro"), "noetic");
+    });
+  });
+
+  describe("RosbridgeDriver", () => {
+    let driver;
+
+    beforeEach(() => {
+      driver = new RosbridgeDriver(url);
+    });
+
+    afterEach(() => driver.disconnect());
+
+    it("connects, subscribes the sensors and drives the robot", async () => {
+      const odom = once(driver, "odom");
+      await driver.connect();
+      assert.equal(driver.connected, true);
+      assert.equal(driver.getSensorSources().odom.topic, "/odom");
+      assert.equal(driver.getSensorSources().laser.status, "subscribed");
+      await odom;
+
+      driver.publishTwist({
+        linear: { x: 0.1, y: 0, z: 0 },
+        angular: { x: 0, y: 0, z: 0 },
+      });
+      await waitFor(() => mock.robot.linear === 0.1);
+      driver.publishStop();
+      await waitFor(() => mock.robot.linear === 0);
+    });
+
+    it("reports a dropped connection and reconnects", async () => {
+      await driver.connect();
+      const disconnected = once(driver, "disconnected");
+      dropClients(mock.wss);
+      const [reason] = await disconnected;
+      assert.equal(reason, "rosbridge connection closed");
+      assert.equal(driver.connected, false);
+
+      await driver.reconnect();
+      assert.equal(driver.connected, true);
+      await once(driver, "odom");
+      await driver.ping();
+    });
+
+    it("fails to connect when rosbridge is not there", async () => {
+      const closed = createMockRosbridgeServer({ port: 0 });
+      await once(closed.wss, "listening");
+      const port = closed.wss.address().port;
+      closed.wss.close();
+
+      const unreachable = new RosbridgeDriver(`ws://localhost:${port}`);
+      await assert.rejects(unreachable.connect());
+      assert.equal(unreachable.connected, false);
+    });
+  });
+});